@@ -1,131 +1,719 @@
+importScripts(
+  "shared/log.js",
+  "shared/storage-index.js",
+  "shared/settings.js",
+  "shared/format.js",
+  "shared/i18n.js",
+  "shared/job-status.js",
+  "shared/ado-api.js",
+  "shared/hosts.js",
+  "shared/profiles.js",
+  "shared/auto-watch.js",
+  "shared/retry-targets.js",
+  "shared/failure-classifier.js",
+  "shared/history.js",
+  "shared/flakiness.js",
+  "shared/retry-policies.js",
+  "shared/webhooks.js",
+  "shared/config.js",
+  "background/watch-store.js",
+  "background/tab-agent.js",
+  "background/rerun-manager.js",
+  "background/watch-events.js",
+  "background/notifications.js",
+  "background/webhook-delivery.js",
+  "background/context-menus.js",
+  "background/progress.js"
+);
+
+// The log of the background script (see log.js). The page agent's entries come in through the "log" message.
+const logger = new Logger("background", appendLogEntries);
+
+/**
+ * Pick the extension "action" button icon and title for the state of a watch.
+ * @param {the current state of the watch, see `RerunManager.currentState`} currentState
+ * @returns the icon color (`icon`, see the icons folder) and the `title`
+ */
+function getActionAppearance(currentState) {
+
+  let retries = translate("detailRetries", currentState.retries);
+  let elapsed = translate("detailElapsed", getElapsedString(currentState.startTime, currentState.endTime));
+  let rule = currentState.matchedRule == null ? [] : [translate("detailRule", currentState.matchedRule)];
+  let profile = [
+    ...(currentState.profile == null ? [] : [translate("detailProfile", currentState.profile)]),
+    ...(currentState.autoWatchRule == null ? [] : [translate("detailAutoWatchRule", currentState.autoWatchRule)]),
+  ];
+  let dryRun = currentState.dryRun ? [translate("detailDryRun")] : [];
+  let title = (name, details) => translate(name, [...dryRun, ...details].join(translate("detailSeparator")));
+
+  if (currentState.running && currentState.paused) {
+    return { icon: "default", title: title("actionTitlePaused", [retries, ...profile]) };
+  } else if (currentState.running && currentState.detectionBroken) {
+    return { icon: "yellow", title: title("actionTitleDetectionBroken", [retries, ...profile]) };
+  } else if (currentState.running && currentState.status === JobStatus.WAITING) {
+    return { icon: "blue", title: title("actionTitleWaiting", [retries, ...profile]) };
+  } else if (currentState.running) {
+    let nextRetry = currentState.nextRetryTime == null ? [] : [translate("detailNextRetry", new Date(currentState.nextRetryTime).toLocaleTimeString())];
+    let details = [retries, ...nextRetry, translate("detailPolicy", currentState.retryPolicy), ...rule, ...profile];
+    // The title of a dry run says so already.
+    return currentState.dryRun
+      ? { icon: "blue", title: translate("actionTitleDryRun", details.join(translate("detailSeparator"))) }
+      : { icon: "blue", title: title("actionTitleRunning", details) };
+  } else if (currentState.cancelled) {
+    return { icon: "default", title: title("actionTitleCancelled", [translate("detailReason", currentState.cancellationReason), retries, elapsed, ...profile]) };
+  } else if (currentState.finished && currentState.status === JobStatus.SUCCESS) {
+    return { icon: "green", title: title("actionTitleSucceeded", [retries, elapsed, ...profile]) };
+  } else if (currentState.finished && currentState.nonRetryable) {
+    let matched = rule.length === 0 ? [translate("detailNoRuleMatched")] : rule;
+    return { icon: "red", title: title("actionTitleNotRetried", [retries, ...matched, elapsed, ...profile]) };
+  } else if (currentState.finished) {
+    return { icon: "red", title: title("actionTitleFailed", [retries, elapsed, ...profile]) };
+  }
+  return { icon: "default", title: translate("actionDefaultTitle") };
+}
+
 /**
  * Set the extension "action" button icon and title.
- * @param {whether the content script is running} running 
- * @param {the tab ID - if null, action for all tabs is updated} tabId 
+ * @param {the tab ID} tabId
+ * @param {the current state of the watch, see `RerunManager.currentState`} currentState
  */
-function setAction(tab, currentState) {
+async function setAction(tabId, currentState) {
 
-  let iconInputs = { tabId: tab.id };
-  let titleInputs = { tabId: tab.id };
+  let { icon, title } = getActionAppearance(currentState);
 
-  let setIconPath = (icon) => {
-    iconInputs.path = {
+  // Set the displayed icon.
+  await chrome.action.setIcon({
+    tabId,
+    path: {
       16: `/icons/${icon}16x16.png`,
       32: `/icons/${icon}32x32.png`,
       48: `/icons/${icon}48x48.png`,
       128: `/icons/${icon}128x128.png`,
-    };
+    }
+  });
+
+  // Set the displayed "title" (tooltip).
+  await chrome.action.setTitle({ tabId, title });
+}
+
+/**
+ * Get the current tab. Requires "tabs" manifest permission.
+ * @returns the current tab
+ */
+async function getCurrentTab() {
+  let queryOptions = { active: true, lastFocusedWindow: true };
+  let [tab] = await chrome.tabs.query(queryOptions);
+  return tab;
+}
+
+/**
+ * Resolve the settings for a new watch from the persisted settings (see the options page).
+ * Settings from the first profile matching the pipeline override the global ones, the settings of
+ * the auto-watch rule which started the watch (if any) override those, and the `maxRetryCount`
+ * query parameter of the page URL overrides all of them for a single run. Whatever overrides them,
+ * the settings stay within the limits of the policy (see config.js).
+ * @param {the pipeline context reported by the page agent} pageInfo
+ * @param {the auto-watch rule which matched the build, if any} autoWatchRule
+ * @returns the resolved `settings` and the name of the matching profile (`profileName`), if any
+ */
+async function resolveSettings(pageInfo, autoWatchRule = null) {
+
+  let settings = await loadSettings();
+
+  let profile = findMatchingProfile(await loadProfiles(), pageInfo);
+  if (profile != null) {
+    logger.info("settings", translate("logProfileUsed", profile.name, pageInfo.pipelineName ?? pageInfo.definitionId ?? translate("unknownValue")), { buildId: pageInfo.buildId });
+    settings = { ...settings, ...profile.settings };
   }
-  let setTitle = (title) => titleInputs.title = title;
 
-  let finalElapsed = getElapsedString(currentState.startTime, currentState.endTime);
+  if (autoWatchRule != null) {
+    settings = { ...settings, ...autoWatchRule.settings };
+  }
 
-  if (currentState.running) {
-    setIconPath("blue");
-    setTitle(`Periodically scanning for the rerun button. Click to cancel. (retries: ${currentState.retries})`);
-  } else if (currentState.cancelled) {
-    setIconPath("default");
-    setTitle(`Automatic retry was cancelled. (reason: '${currentState.cancellationReason}', retries: ${currentState.retries}), elapsed: ${finalElapsed}`);
-  } else if (currentState.finished && currentState.status === "success") {
-    setIconPath("green");
-    setTitle(`Pipeline succeeded. (retries: ${currentState.retries}, elapsed: ${finalElapsed})`);
-  } else if (currentState.finished) {
-    setIconPath("red");
-    setTitle(`Pipeline failed or script timed out. (retries: ${currentState.retries}, elapsed: ${finalElapsed})`);
+  let maxRetryCountParam = new URL(pageInfo.url).searchParams.get("maxRetryCount");
+  if (maxRetryCountParam != null) {
+    let { value, error } = validateSetting("maxRetryCount", maxRetryCountParam);
+    if (error == null) {
+      logger.info("settings", translate("logMaxRetryCountFromUrl", settings.maxRetryCount, value), { buildId: pageInfo.buildId });
+      settings.maxRetryCount = value;
+    } else {
+      logger.warn("settings", translate("logMaxRetryCountIgnored", error), { buildId: pageInfo.buildId });
+    }
+  }
+
+  let limited = applySettingLimits(settings, (await loadPolicy()).limits);
+  for (const key of Object.keys(settings).filter(key => limited[key] !== settings[key])) {
+    logger.info("settings", translate("logSettingLimited", key, settings[key], limited[key]), { buildId: pageInfo.buildId });
+  }
+
+  return { settings: limited, profileName: profile?.name ?? null };
+}
+
+/**
+ * Start watching the build shown in the given tab, unless the tab is already being watched.
+ * @param {the tab id} tabId
+ */
+async function startWatch(tabId) {
+
+  let existing = await findWatchForTab(tabId);
+  if (existing != null && existing.endTime == null) {
+    logger.info("watch-start", translate("logTabAlreadyWatched"), { tabId, watchId: existing.id });
+    return;
+  }
+
+  let pageInfo = await sendToTabAgent(tabId, { type: "get-page-info" });
+  if (pageInfo == null) {
+    logger.warn("watch-start", translate("logPageNotScriptable"), { tabId });
+    return;
+  }
+  if (findHostForUrl(await loadHosts(), pageInfo.url) == null) {
+    logger.warn("watch-start", translate("logPageNotOnHost"), { tabId });
+    return;
+  }
+
+  await createWatch(tabId, pageInfo);
+}
+
+/**
+ * Start watching the build shown in the given tab, or cancel its watch if it's already being watched.
+ * @param {the tab id} tabId
+ */
+async function toggleWatch(tabId) {
+  let existing = await findWatchForTab(tabId);
+  if (existing != null && existing.endTime == null) {
+    await cancelWatch(existing.id, "cancelled by user");
   } else {
-    setIconPath("default");
-    setTitle("Rerun failed jobs");
+    await startWatch(tabId);
   }
+}
 
-  // Set the displayed icon.
-  chrome.action.setIcon(iconInputs);
+// The ids of the tabs opened in the background from the context menu, to be watched once their page has loaded.
+// They're in the session storage, as the service worker may be stopped while the page loads.
+const PENDING_BACKGROUND_WATCH_TABS_KEY = "pendingBackgroundWatchTabs";
 
-  // Set the displayed "title" (tooltip).
-  chrome.action.setTitle(titleInputs);
+// The last queued update of the pending tabs (see `updatePendingBackgroundWatchTabs`).
+let pendingBackgroundWatchTabsUpdate = Promise.resolve();
+
+/**
+ * Change the tabs waiting to be watched. Updates are queued, so concurrent updates don't overwrite each other.
+ * @param {a function returning the changed tab ids, or the same array if nothing changes} change
+ * @returns the tab ids before the change
+ */
+async function updatePendingBackgroundWatchTabs(change) {
+  let update = pendingBackgroundWatchTabsUpdate.catch(() => { }).then(async () => {
+    let { [PENDING_BACKGROUND_WATCH_TABS_KEY]: tabIds } = await chrome.storage.session.get({ [PENDING_BACKGROUND_WATCH_TABS_KEY]: [] });
+    let changed = change(tabIds);
+    if (changed !== tabIds) {
+      await chrome.storage.session.set({ [PENDING_BACKGROUND_WATCH_TABS_KEY]: changed });
+    }
+    return tabIds;
+  });
+  pendingBackgroundWatchTabsUpdate = update;
+  return await update;
+}
+
+/**
+ * Stop waiting for the given tab to load.
+ * @param {the tab id} tabId
+ * @returns true if it was opened to be watched
+ */
+async function takePendingBackgroundWatchTab(tabId) {
+  let tabIds = await updatePendingBackgroundWatchTabs(tabIds => tabIds.includes(tabId) ? tabIds.filter(id => id !== tabId) : tabIds);
+  return tabIds.includes(tabId);
+}
+
+/**
+ * Open a build in a background tab next to the current one and watch it there once it has loaded.
+ * Builds which are already being watched aren't opened again.
+ * @param {the build URL} url
+ * @param {the tab the link was clicked in} openerTab
+ */
+async function watchInBackgroundTab(url, openerTab) {
+
+  let host = findHostForUrl(await loadHosts(), url);
+  let context = host == null ? null : parseAdoUrl(url, host.baseUrl);
+  if (context?.buildId == null) {
+    logger.warn("watch-start", translate("logLinkNotOnHost", url));
+    return;
+  }
+
+  let watches = await loadWatches();
+  if (watches.some(watch => watch.endTime == null && watch.buildId === context.buildId && watch.collectionUrl === context.collectionUrl)) {
+    logger.info("watch-start", translate("logBuildAlreadyWatched", context.buildId), { buildId: context.buildId });
+    return;
+  }
+
+  let tab = await chrome.tabs.create({
+    url,
+    active: false,
+    index: openerTab == null ? undefined : openerTab.index + 1,
+    openerTabId: openerTab?.id,
+  });
+  await updatePendingBackgroundWatchTabs(tabIds => [...tabIds, tab.id]);
 }
 
-function getElapsedString(startTimeMillis, endTimeMillis) {
+/**
+ * Check the given watch now instead of at its next poll, and retry right away instead of waiting for the delay of the retry policy.
+ * @param {the watch id} id
+ * @returns false if the watch isn't running or is paused
+ */
+async function retryWatchNow(id) {
+  let active = false;
+  await withWatchLock(id, async () => {
+    let watch = await loadWatch(id);
+    if (watch == null) {
+      return;
+    }
+    let manager = new RerunManager(watch);
+    active = manager.running && !manager.paused;
+    if (manager.skipRetryDelay()) {
+      await saveWatch(manager.watch);
+    }
+  });
+  if (active) {
+    await stepWatch(id);
+  }
+  return active;
+}
 
-  let seconds = (endTimeMillis - startTimeMillis) / 1000;
-  let hours = Math.floor(seconds / 3600);
-  seconds = seconds % 3600;
-  let minutes = Math.floor(seconds / 60);
-  seconds = Math.floor(seconds % 60);
+/**
+ * Apply a change to the given watch and commit it.
+ * @param {the watch id} id
+ * @param {changes the watch through its manager and returns false if there was nothing to change} change
+ * @returns false if the watch doesn't exist or didn't change
+ */
+async function changeWatch(id, change) {
+  let changed = false;
+  await withWatchLock(id, async () => {
+    let watch = await loadWatch(id);
+    if (watch == null) {
+      return;
+    }
+    let manager = new RerunManager(watch);
+    let before = manager.currentState;
+    changed = change(manager);
+    if (changed) {
+      await commitWatch(manager, before);
+    }
+  });
+  return changed;
+}
 
-  let hh = hours < 10 ? `0${hours}` : `${hours}`;
-  let mm = minutes < 10 ? `0${minutes}` : `${minutes}`;
-  let ss = seconds < 10 ? `0${seconds}` : `${seconds}`;
+/**
+ * Pause the given watch, which keeps its retries and elapsed time until it's resumed.
+ * @param {the watch id} id
+ * @returns false if the watch isn't running or is paused already
+ */
+async function pauseWatch(id) {
+  return await changeWatch(id, manager => manager.pause());
+}
 
-  return `${hh}:${mm}:${ss}`;
+/**
+ * Resume the given watch and check the build right away.
+ * @param {the watch id} id
+ * @returns false if the watch isn't paused
+ */
+async function resumeWatch(id) {
+  let resumed = await changeWatch(id, manager => manager.resume());
+  if (resumed) {
+    await stepWatch(id);
+  }
+  return resumed;
 }
 
 /**
- * Get the current tab. Requires "tabs" manifest permission.
- * @returns the current tab
+ * Add retries and/or time to the budget of the given watch, within the limits of the policy (see config.js).
+ * @param {the watch id} id
+ * @param {the number of retries to add} retries
+ * @param {the number of minutes to add to the timeout} minutes
+ * @returns false if the watch isn't running or its budget can't grow any further
  */
-async function getCurrentTab() {
-  let queryOptions = { active: true, lastFocusedWindow: true };
-  let [tab] = await chrome.tabs.query(queryOptions);
-  return tab;
+async function extendWatch(id, retries = 0, minutes = 0) {
+  if (!Number.isInteger(retries) || !Number.isInteger(minutes) || retries < 0 || minutes < 0) {
+    throw new Error("The retries and minutes to add must be whole numbers of at least 0.");
+  }
+  let { limits } = await loadPolicy();
+  let extended = await changeWatch(id, manager => manager.extendBudget(retries, minutes, limits));
+  if (extended) {
+    // The new retries may be due right away.
+    await stepWatch(id);
+  }
+  return extended;
+}
+
+/**
+ * Show the state of the given tab's watch as a notification, e.g. for the keyboard shortcut.
+ * @param {the tab id} tabId
+ * @param {a line to show before the state, if any} note
+ */
+async function showWatchStatus(tabId, note = null) {
+
+  let watch = await findWatchForTab(tabId);
+  let title = translate("statusNotWatchedTitle");
+  let message = translate("statusNotWatchedMessage");
+  let id = "status";
+
+  if (watch != null) {
+    let manager = new RerunManager(watch);
+    title = formatBuildName(watch.pipelineName, watch.buildId);
+    message = getActionAppearance(manager.currentState).title;
+    id = watch.id + NOTIFICATION_ID_SEPARATOR + "status";
+  }
+
+  await chrome.notifications.create(id, {
+    type: "basic",
+    iconUrl: "/icons/default128x128.png",
+    title,
+    message: note == null ? message : `${note} ${message}`,
+  });
+}
+
+/**
+ * Start a fresh watch of the same build as the given watch, which is discarded.
+ * Uses the stored pipeline context, so it works even if the build's tab was closed.
+ * @param {the watch id} id
+ */
+async function restartWatch(id) {
+
+  let old = await loadWatch(id);
+  if (old == null) {
+    return;
+  }
+  await removeWatch(id);
+
+  // Keep the settings of the auto-watch rule which started the watch, if it still exists.
+  let autoWatchRule = (await loadAutoWatchRules()).find(rule => rule.name === old.autoWatchRule) ?? null;
+
+  let pageInfo = {
+    url: old.url,
+    organization: old.organization,
+    project: old.project,
+    collectionUrl: old.collectionUrl,
+    buildId: old.buildId,
+    definitionId: old.definitionId,
+    pipelineName: old.pipelineName,
+  };
+  await createWatch(old.tabId, pageInfo, autoWatchRule);
 }
 
+// Tabs whose page is being checked against the auto-watch rules (see `autoWatch`).
+const pendingAutoWatchTabs = new Set();
+
 /**
- * Signal the content script that the extension button ("action") was clicked.
- * @param {the tab where the content script is running} tab 
- * @returns 
+ * Start watching the build shown in the tab if an auto-watch rule matches it.
+ * A build is only watched automatically once, so a finished or cancelled watch isn't started
+ * again when the page is reloaded.
+ * @param {the tab id} tabId
+ * @param {the URL of the page} url
  */
-async function onActionClicked(tab) {
+async function autoWatch(tabId, url) {
 
-  console.log(`Notifying content script the user clicked the action button. (tabId: ${tab.id})`);
+  let host = findHostForUrl(await loadHosts(), url);
+  if (host == null) {
+    return;
+  }
+  let context = parseAdoUrl(url, host.baseUrl);
+  if (context.buildId == null || pendingAutoWatchTabs.has(tabId)) {
+    return;
+  }
 
-  let res = null;
+  let rules = (await loadAutoWatchRules()).filter(rule => rule.enabled && wildcardToRegExp(rule.urlPattern).test(url));
+  if (rules.length === 0) {
+    return;
+  }
 
+  pendingAutoWatchTabs.add(tabId);
   try {
-    res = await chrome.tabs.sendMessage(
-      tab.id,
-      {
-        type: "action-clicked",
-        payload: { tabId: tab.id }
+    let watches = await loadWatches();
+    if (watches.some(watch => watch.buildId === context.buildId && watch.collectionUrl === context.collectionUrl)) {
+      return;
+    }
+
+    let pageInfo = await sendToTabAgent(tabId, { type: "get-page-info" });
+    if (pageInfo == null || pageInfo.buildId !== context.buildId) {
+      return;
+    }
+
+    // Some conditions can only be checked with the REST API, and the page may not show the pipeline name yet.
+    let build = null;
+    let userId = null;
+    let apiClient = AdoApiClient.fromPipelineContext(pageInfo);
+    if (apiClient != null && rules.some(rule => needsBuildDetails(rule) || (rule.pipelinePattern && pageInfo.pipelineName == null))) {
+      try {
+        build = await apiClient.getBuild(pageInfo.buildId);
+        pageInfo.pipelineName = pageInfo.pipelineName ?? build?.definition?.name ?? null;
+        pageInfo.definitionId = pageInfo.definitionId ?? build?.definition?.id ?? null;
+        if (rules.some(rule => rule.requestedByMe)) {
+          userId = await apiClient.getAuthenticatedUserId();
+        }
+      } catch (e) {
+        logger.warn("auto-watch", translate("logAutoWatchBuildFailed", e.message), { tabId, buildId: pageInfo.buildId });
       }
-    );
-  } catch (e) {
-    if (e.message === "Could not establish connection. Receiving end does not exist.") {
-      res = await startContentScript(tab);
     }
+
+    let rule = findMatchingAutoWatchRule(rules, pageInfo, build, userId);
+    if (rule != null) {
+      logger.info("auto-watch", translate("logAutoWatchRuleMatched", rule.name, pageInfo.buildId), { tabId, buildId: pageInfo.buildId });
+      await createWatch(tabId, pageInfo, rule);
+    }
+  } finally {
+    pendingAutoWatchTabs.delete(tabId);
   }
+}
+
+/**
+ * Create, persist and run the first step of a new watch.
+ * @param {the id of the tab showing the build, or null} tabId
+ * @param {the pipeline context} pageInfo
+ * @param {the auto-watch rule which matched the build, if the watch wasn't started by the user} autoWatchRule
+ */
+async function createWatch(tabId, pageInfo, autoWatchRule = null) {
 
-  console.log(`Received state update: ${JSON.stringify(res, null, 4)}`);
+  // A tab shows the state of one watch at a time, so forget the tab's previous (finished) watches.
+  if (tabId != null) {
+    for (const old of await loadWatches()) {
+      if (old.tabId === tabId) {
+        await removeWatch(old.id);
+      }
+    }
+  }
+
+  let { settings, profileName } = await resolveSettings(pageInfo, autoWatchRule);
+  let manager = RerunManager.create(tabId, pageInfo, settings, profileName, autoWatchRule?.name ?? null);
+  logger.info("watch-start", translate("logWatchStarted", manager.id, pageInfo.buildId ?? translate("unknownValue")), { tabId, watchId: manager.id, buildId: pageInfo.buildId });
+
+  await saveWatch(manager.watch);
+  await stepWatch(manager.id);
+}
+
+/**
+ * Forget a watch along with its pending step, if any.
+ * @param {the watch id} id
+ */
+async function removeWatch(id) {
+  await withWatchLock(id, async () => {
+    await chrome.alarms.clear(RerunManager.ALARM_PREFIX + id);
+    await deleteWatch(id);
+  });
+  await updateBadge();
+}
+
+/**
+ * List the stages and jobs of the build shown in the given tab, for choosing the retry targets.
+ * @param {the tab id} tabId
+ * @returns the `pipeline` context, its `stages` (see `AdoApiClient.toStages`), its `retryTargets`
+ * and the `jobRetries` of the tab's watch, or null if the tab doesn't show a build
+ */
+async function getBuildStages(tabId) {
+
+  let watch = await findWatchForTab(tabId);
+  let pageInfo = await sendToTabAgent(tabId, { type: "get-page-info" });
+  if (pageInfo?.buildId == null) {
+    return null;
+  }
+  if (watch?.buildId !== pageInfo.buildId) {
+    watch = null;
+  }
+
+  let apiClient = AdoApiClient.fromPipelineContext(pageInfo);
+  if (apiClient == null) {
+    return null;
+  }
+
+  let pipeline = {
+    organization: pageInfo.organization,
+    project: pageInfo.project,
+    definitionId: pageInfo.definitionId,
+    pipelineName: pageInfo.pipelineName,
+  };
+  return {
+    pipeline,
+    stages: await apiClient.getStages(pageInfo.buildId),
+    retryTargets: await loadRetryTargets(pipeline),
+    jobRetries: watch?.jobRetries ?? {},
+  };
+}
+
+/**
+ * Send a diagnostics request to the page agent in the given tab, as long as the tab shows an ADO page.
+ * @param {the tab id} tabId
+ * @param {the message type: "diagnose" or "get-dom-snapshot"} type
+ * @returns the agent's response
+ */
+async function requestDiagnostics(tabId, type) {
+
+  let tab = await chrome.tabs.get(tabId);
+  if (findHostForUrl(await loadHosts(), tab.url) == null) {
+    throw new Error("The page isn't on Azure DevOps or one of the hosts on the options page.");
+  }
+
+  let res = await sendToTabAgent(tabId, { type });
+  if (res == null) {
+    throw new Error("Unable to reach the page. Reload it and try again.");
+  }
   return res;
 }
 
 /**
- * Start the content script (main loop) on the given tab.
- * @param {the current tab} tab 
- * @returns 
+ * Run every detector of the page agent against the page in the given tab, for the diagnostics page.
+ * @param {the tab id} tabId
+ * @returns the agent's report (see `PageAgent.diagnose`) and the current state of the tab's watch (`watch`), if any
+ */
+async function diagnoseTab(tabId) {
+  let report = await requestDiagnostics(tabId, "diagnose");
+  let watch = await findWatchForTab(tabId);
+  return { ...report, watch: watch == null ? null : new RerunManager(watch).currentState };
+}
+
+/**
+ * Bring the build's tab to the front, or open the build in a new tab if its tab was closed.
+ * @param {the watch id} id
  */
-async function startContentScript(tab) {
+async function openWatch(id) {
+
+  let watch = await loadWatch(id);
+  if (watch == null) {
+    return;
+  }
 
-  let injectionResults = await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    files: ["content-scripts/content.js"]
+  if (watch.tabId != null) {
+    let tab = await chrome.tabs.update(watch.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return;
+  }
+
+  let tab = await chrome.tabs.create({ url: watch.url });
+  await withWatchLock(id, async () => {
+    let current = await loadWatch(id);
+    if (current != null) {
+      current.tabId = tab.id;
+      await saveWatch(current);
+    }
+  });
+}
+
+/**
+ * Run one step of the retry loop of the given watch and persist the result.
+ * @param {the watch id} id
+ */
+async function stepWatch(id) {
+  await withWatchLock(id, async () => {
+    let watch = await loadWatch(id);
+    if (watch == null) {
+      return;
+    }
+    let manager = new RerunManager(watch);
+    let before = manager.currentState;
+    await manager.step();
+    await commitWatch(manager, before);
   });
+}
 
-  console.log(injectionResults.length);
-  let frameResult = injectionResults[0];
-  let { frameId, result } = frameResult;
-  console.log(`Frame ${frameId} result:`, result);
+/**
+ * Cancel the given watch.
+ * @param {the watch id} id
+ * @param {the reason shown to the user} reason
+ */
+async function cancelWatch(id, reason) {
+  await withWatchLock(id, async () => {
+    let watch = await loadWatch(id);
+    if (watch == null || watch.endTime != null) {
+      return;
+    }
+    let manager = new RerunManager(watch);
+    let before = manager.currentState;
+    manager.cancel(reason);
+    await commitWatch(manager, before);
+  });
+}
 
-  return result;
+/**
+ * Persist the watch, schedule its next step, update the visuals and notify the user and the webhooks of what changed.
+ * A watch which just ended is also added to the history.
+ * @param {the manager of the watch} manager
+ * @param {the state of the watch before the change} before
+ */
+async function commitWatch(manager, before) {
+  await saveWatch(manager.watch);
+  if (before.running && !manager.running) {
+    await addHistoryEntry(createHistoryEntry(manager.watch));
+  }
+  await manager.schedule();
+  await publishState(manager);
+  await updateBadge();
+  let events = getWatchEvents(before, manager.currentState);
+  await notifyWatchEvents(manager.watch, events);
+  // Not awaited: failed deliveries are retried after a while, which shouldn't hold up the watch.
+  sendWebhooks(manager.watch, events).catch(e =>
+    logger.warn("webhook", translate("logWebhooksFailed", e.message), { watchId: manager.id, buildId: manager.watch.buildId }));
 }
 
 /**
- * Handle a state update from the content script.
- * @param {the tab where the content script executes} tab 
- * @param {the current state of the content script} currentState 
+ * Show how many watches are active (blue) or ended with a failure (red) on the toolbar button.
  */
-function handleStateUpdate(tab, currentState) {
-  console.log(`Current state of content script: ${JSON.stringify(currentState, null, 4)}`);
-  setAction(tab, currentState);
+async function updateBadge() {
+
+  let watches = (await loadWatches()).map(watch => new RerunManager(watch));
+  let active = watches.filter(manager => manager.running).length;
+  let failed = watches.filter(manager => manager.finished && manager.currentState.status !== JobStatus.SUCCESS).length;
+
+  let text = "";
+  if (active > 0 && failed > 0) {
+    text = `${active}/${failed}`;
+  } else if (active + failed > 0) {
+    text = `${active + failed}`;
+  }
+
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color: failed > 0 ? "#d13438" : "#0078d4" });
+  await chrome.action.setTitle({ title: text === "" ? translate("actionDefaultTitle") : translate("actionBadgeTitle", active, failed) });
+}
+
+/**
+ * Reflect the state of the watch in the extension action and the build's tab.
+ * @param {the manager of the watch} manager
+ */
+async function publishState(manager) {
+
+  let currentState = manager.currentState;
+  logger.debug("state", translate("logCurrentState", JSON.stringify(currentState)), { tabId: manager.tabId, watchId: manager.id, buildId: manager.watch.buildId });
+
+  if (manager.tabId == null) {
+    return;
+  }
+
+  try {
+    await setAction(manager.tabId, currentState);
+  } catch (e) {
+    logger.warn("action", translate("logActionFailed", e.message), { tabId: manager.tabId, watchId: manager.id });
+  }
+  await updateProgressBadge(manager);
+
+  await sendToTabAgent(manager.tabId, {
+    type: "render-state",
+    payload: { buildId: manager.watch.buildId, state: currentState }
+  });
+}
+
+/**
+ * After a browser restart, tab ids are reassigned and alarms may have been dropped.
+ * Detach the watches from their old tabs and make sure every running watch has a pending step.
+ */
+async function resumeWatches() {
+  for (const watch of await loadWatches()) {
+    await withWatchLock(watch.id, async () => {
+      let current = await loadWatch(watch.id);
+      if (current == null) {
+        return;
+      }
+      current.tabId = null;
+      let manager = new RerunManager(current);
+      await saveWatch(manager.watch);
+      if (manager.running && await chrome.alarms.get(RerunManager.ALARM_PREFIX + manager.id) == null) {
+        await manager.schedule();
+      }
+    });
+  }
 }
 
 //
@@ -133,79 +721,222 @@ function handleStateUpdate(tab, currentState) {
 //
 
 /**
- * React when the extension "action" button is clicked.
+ * Receive requests from the extension pages (popup, options, history, diagnostics and logs)
+ * and the log entries of the page agents.
  */
-chrome.action.onClicked.addListener(async (tab) => {
-
-  console.log(`Action clicked.`);
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
-  let currentState = null;
+  if (message.type === "log") {
+    appendLogEntries(message.payload.entries.map(entry => ({ ...entry, tabId: entry.tabId ?? sender.tab?.id ?? null })));
+    return;
+  }
 
-  try {
-    currentState = await onActionClicked(tab);
+  logger.debug("message", translate("logMessageReceived", message.type));
+
+  let respond = (promise) => {
+    promise.then(
+      result => sendResponse({ result }),
+      e => {
+        logger.error("message", translate("logMessageFailed", message.type, e.message));
+        sendResponse({ error: e.message });
+      });
+    return true; // respond asynchronously
+  };
+
+  switch (message.type) {
+    case "list-watches":
+      return respond(loadWatches().then(watches => watches.map(watch => new RerunManager(watch).summary)));
+    case "start-watch":
+      return respond(startWatch(message.payload.tabId));
+    case "cancel-watch":
+      return respond(cancelWatch(message.payload.id, "cancelled by user"));
+    case "restart-watch":
+      return respond(restartWatch(message.payload.id));
+    case "open-watch":
+      return respond(openWatch(message.payload.id));
+    case "remove-watch":
+      return respond(removeWatch(message.payload.id));
+    case "pause-watch":
+      return respond(pauseWatch(message.payload.id));
+    case "resume-watch":
+      return respond(resumeWatch(message.payload.id));
+    case "retry-watch-now":
+      return respond(retryWatchNow(message.payload.id));
+    case "extend-watch":
+      return respond(extendWatch(message.payload.id, message.payload.retries, message.payload.minutes));
+    case "get-build-stages":
+      return respond(getBuildStages(message.payload.tabId));
+    case "save-retry-targets":
+      return respond(saveRetryTargets(message.payload.pipeline, message.payload.retryTargets));
+    case "test-webhook":
+      return respond(sendTestWebhook(message.payload.webhook));
+    case "diagnose-tab":
+      return respond(diagnoseTab(message.payload.tabId));
+    case "get-dom-snapshot":
+      return respond(requestDiagnostics(message.payload.tabId, "get-dom-snapshot").then(res => res.snapshot));
+    default:
+      logger.warn("message", translate("logUnknownMessage", message.type == null ? translate("missingMessageType") : message.type));
+      break;
   }
-  catch (e) {
-    console.log(`Error during state update request: ${e.message}`);
-    throw e;
+});
+
+/**
+ * Let other extensions list and control the watches, if the user allows it on the options page.
+ * The requests and responses have the same shape as those of the extension pages.
+ */
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+
+  logger.info("message", translate("logExternalMessageReceived", message?.type, sender.id));
+
+  let handle = async () => {
+    if (!(await loadSettings()).allowExternalControl) {
+      throw new Error("Control by other extensions is turned off on the options page.");
+    }
+    switch (message?.type) {
+      case "list-watches":
+        return (await loadWatches()).map(watch => new RerunManager(watch).summary);
+      case "pause-watch":
+        return await pauseWatch(message.payload?.id);
+      case "resume-watch":
+        return await resumeWatch(message.payload?.id);
+      case "retry-watch-now":
+        return await retryWatchNow(message.payload?.id);
+      case "extend-watch":
+        return await extendWatch(message.payload?.id, message.payload?.retries, message.payload?.minutes);
+      default:
+        throw new Error(`Unsupported message type '${message?.type}'.`);
+    }
+  };
+
+  handle().then(
+    result => sendResponse({ result }),
+    e => {
+      logger.warn("message", translate("logExternalMessageRejected", message?.type, sender.id, e.message));
+      sendResponse({ error: e.message });
+    });
+  return true; // respond asynchronously
+});
+
+/**
+ * Each watch schedules its next step with an alarm, which wakes the service worker up if necessary.
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name.startsWith(RerunManager.ALARM_PREFIX)) {
+    await stepWatch(alarm.name.substring(RerunManager.ALARM_PREFIX.length));
   }
+});
 
-  if (currentState != null) {
-    handleStateUpdate(tab, currentState);
+/**
+ * Clicking a notification opens the build it's about.
+ */
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  await chrome.notifications.clear(notificationId);
+  if (notificationId === PERMISSIONS_NOTIFICATION_ID) {
+    await chrome.runtime.openOptionsPage();
+    return;
   }
+  await openWatch(getNotificationWatchId(notificationId));
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await resumeWatches();
+  await updateBadge();
+  await notifyMissingHostPermissions();
 });
 
 /**
- * Receive messages from the content script.
+ * Context menu entries are kept across restarts, so they're only created when the extension is installed or
+ * updated, and recreated when the hosts change.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+chrome.runtime.onInstalled.addListener(async () => {
+  await updateContextMenus();
+  await notifyMissingHostPermissions();
+});
 
-  console.log(`Received message type '${message.type}'.`);
-  console.log(message);
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === "sync" && HOSTS_STORAGE_KEY in changes) {
+    await updateContextMenus();
+  }
+  // The browser grants no access to the hosts and webhook URLs of a policy.
+  if (areaName === "managed") {
+    await updateContextMenus();
+    await notifyMissingHostPermissions();
+  }
+});
 
-  switch (message.type)
-  {
-    case "ping":
-      handlePing(message, sender, sendResponse);
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  switch (info.menuItemId) {
+    case CONTEXT_MENU_WATCH_LINK:
+      await watchInBackgroundTab(info.linkUrl, tab);
       break;
-    case "update-state":
-      handleStateUpdate(sender.tab, message.payload);
-      break;
-    default:
-      console.log(`Unable to parse message of type '${(message.type == null ? "(null or undefined)" : message.type)}'`);
+    case CONTEXT_MENU_WATCH_PAGE:
+      await startWatch(tab.id);
       break;
   }
+});
+
+/**
+ * Keyboard shortcuts (see "commands" in the manifest), which act on the watch of the current tab.
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+
+  tab = tab ?? await getCurrentTab();
+  if (tab?.id == null) {
+    return;
+  }
 
-  function handlePing(message, sender, sendResponse) {
-    sendResponse({
-      tabId: sender.tab.id,
-      payload: {
-        originalMessage: message
+  switch (command) {
+    case "toggle-watch":
+      await toggleWatch(tab.id);
+      break;
+    case "retry-now": {
+      let watch = await findWatchForTab(tab.id);
+      if (watch == null || !await retryWatchNow(watch.id)) {
+        await showWatchStatus(tab.id, translate("statusUnableToRetryNow"));
       }
-    });
+      break;
+    }
+    case "show-status":
+      await showWatchStatus(tab.id);
+      break;
   }
 });
 
 /**
- * 
- * @param {*} tabId 
- * @param {*} changeInfo 
- * @param {*} tabInfo 
+ * Reloading or navigating the page drops the favicon, title and per-tab action state,
+ * so restore them once the page has loaded. The watch itself keeps running regardless.
+ * Newly opened builds are checked against the auto-watch rules.
  */
-function handleUpdated(tabId, changeInfo, tabInfo) {
-}
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tabInfo) => {
+  if (changeInfo.status === "complete") {
+    if (await takePendingBackgroundWatchTab(tabId)) {
+      await startWatch(tabId);
+    }
+    let watch = await findWatchForTab(tabId);
+    if (watch != null) {
+      await publishState(new RerunManager(watch));
+    }
+    if (tabInfo.url != null) {
+      await autoWatch(tabId, tabInfo.url);
+    }
+  }
+});
 
 /**
- * Let the content script know the user navigated away so it can cancel polling and retry.
+ * Keep watching after the build's tab is closed (through the REST API), just without a tab to update.
  */
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tabInfo) => {
-  if (changeInfo.url) {
-    console.log(`Tab: ${tabId} URL changed.`);;
-    await chrome.tabs.sendMessage(
-      tabId,
-      {
-        type: "url-updated",
-        payload: { tabId, url: changeInfo.url }
-      }
-    );
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  // A background tab closed before its page loaded isn't watched.
+  await takePendingBackgroundWatchTab(tabId);
+  for (const watch of await loadWatches()) {
+    if (watch.tabId === tabId) {
+      await withWatchLock(watch.id, async () => {
+        let current = await loadWatch(watch.id);
+        if (current != null) {
+          current.tabId = null;
+          await saveWatch(current);
+        }
+      });
+    }
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,38 @@
+/**
+ * Context menu entries for watching builds: on links to ADO builds, which opens the build in a
+ * background tab and watches it there, and on the build pages themselves.
+ * The menus only show up on the URLs of the hosts (see hosts.js), so they're rebuilt when the hosts change.
+ */
+
+const CONTEXT_MENU_WATCH_LINK = "watch-link";
+const CONTEXT_MENU_WATCH_PAGE = "watch-page";
+
+/**
+ * Get the match pattern of the build results pages of a host, e.g. "https://dev.azure.com/*_build/results*".
+ * @param {the host} host
+ */
+function getBuildUrlPattern(host) {
+  return `${host.baseUrl.replace(/\/+$/, "")}/*_build/results*`;
+}
+
+/**
+ * (Re)create the context menu entries for the current hosts.
+ */
+async function updateContextMenus() {
+
+  let patterns = [...await loadHosts(), ...BUILT_IN_HOSTS].map(getBuildUrlPattern);
+
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_WATCH_LINK,
+    title: translate("contextMenuWatchLink"),
+    contexts: ["link"],
+    targetUrlPatterns: patterns,
+  });
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_WATCH_PAGE,
+    title: translate("contextMenuWatchPage"),
+    contexts: ["page"],
+    documentUrlPatterns: patterns,
+  });
+}
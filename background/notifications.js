@@ -0,0 +1,129 @@
+/**
+ * Desktop notifications for the events of a watch (see watch-events.js), each of which
+ * can be turned off on the options page. Clicking a notification opens the build.
+ */
+
+// Notification ids are "<watch id>/<event>", so a click can be traced back to its watch.
+const NOTIFICATION_ID_SEPARATOR = "/";
+
+// The id of the notification about missing host permissions (see `notifyMissingHostPermissions`), which opens the options page.
+const PERMISSIONS_NOTIFICATION_ID = "permissions";
+
+// The setting which turns the notifications of each event on or off.
+const NOTIFICATION_SETTINGS = {
+  [WatchEvent.RETRY]: "notifyRetry",
+  [WatchEvent.SUCCESS]: "notifySuccess",
+  [WatchEvent.FAILURE]: "notifyFailure",
+  [WatchEvent.TIMEOUT]: "notifyTimeout",
+  [WatchEvent.DETECTION_BROKEN]: "notifyDetectionBroken",
+  [WatchEvent.WAITING]: "notifyWaiting",
+  [WatchEvent.NEW_BUILD]: "notifyNewBuild",
+};
+
+/**
+ * Describe an event of a watch.
+ * @param {the WatchEvent} event
+ * @param {the watch record} watch
+ * @returns the notification `title`, `message` and icon color (`icon`)
+ */
+function describeWatchEvent(event, watch) {
+
+  let name = formatBuildName(watch.pipelineName, watch.buildId);
+  let retries = `${watch.retries}/${watch.settings.maxRetryCount}`;
+
+  switch (event) {
+    case WatchEvent.RETRY:
+      if (watch.settings.dryRun) {
+        return { title: translate("notificationDryRunRetryTitle", name), message: translate("notificationDryRunRetryMessage", retries), icon: "blue" };
+      }
+      return { title: translate("notificationRetryTitle", name), message: translate("notificationRetryMessage", retries), icon: "blue" };
+    case WatchEvent.SUCCESS:
+      return { title: translate("notificationSuccessTitle", name), message: translate("notificationSuccessMessage", watch.retries), icon: "green" };
+    case WatchEvent.FAILURE:
+      return {
+        title: translate("notificationFailureTitle", name),
+        message: watch.nonRetryable
+          ? translate("notificationNotRetriedMessage", watch.matchedRule ?? translate("noRuleMatched"))
+          : translate("notificationFailureMessage", watch.retries),
+        icon: "red"
+      };
+    case WatchEvent.TIMEOUT:
+      return { title: translate("notificationTimeoutTitle", name), message: translate("notificationTimeoutMessage", watch.settings.timeoutMinutes, retries), icon: "cancel" };
+    case WatchEvent.DETECTION_BROKEN:
+      return {
+        title: translate("notificationDetectionBrokenTitle", name),
+        message: translate("notificationDetectionBrokenMessage"),
+        icon: "yellow"
+      };
+    case WatchEvent.WAITING:
+      return {
+        title: translate("notificationWaitingTitle", name),
+        message: translate("notificationWaitingMessage"),
+        icon: "blue"
+      };
+    case WatchEvent.NEW_BUILD: {
+      let newBuilds = `${watch.previousBuildIds.length}/${watch.settings.maxNewBuilds}`;
+      return {
+        title: translate("notificationNewBuildTitle", watch.pipelineName ?? translate("notificationUnnamedPipeline")),
+        message: translate("notificationNewBuildMessage", watch.previousBuildIds.at(-1), watch.buildId, newBuilds),
+        icon: "blue"
+      };
+    }
+  }
+}
+
+/**
+ * Show a notification for each of the given events the user wants to hear about.
+ * @param {the watch record} watch
+ * @param {the WatchEvents, see `getWatchEvents`} events
+ */
+async function notifyWatchEvents(watch, events) {
+
+  if (events.length === 0) {
+    return;
+  }
+
+  let settings = await loadSettings();
+
+  for (const event of events.filter(event => settings[NOTIFICATION_SETTINGS[event]])) {
+    let { title, message, icon } = describeWatchEvent(event, watch);
+    try {
+      await chrome.notifications.create(watch.id + NOTIFICATION_ID_SEPARATOR + event, {
+        type: "basic",
+        iconUrl: `/icons/${icon}128x128.png`,
+        title,
+        message,
+      });
+    } catch (e) {
+      logger.warn("notification", translate("logNotificationFailed", event, e.message), { watchId: watch.id, buildId: watch.buildId });
+    }
+  }
+}
+
+/**
+ * Get the id of the watch a notification is about.
+ * @param {the notification id} notificationId
+ * @returns the watch id
+ */
+function getNotificationWatchId(notificationId) {
+  return notificationId.split(NOTIFICATION_ID_SEPARATOR)[0];
+}
+
+/**
+ * Tell the user if the extension has no access to some of the custom hosts or webhook URLs, e.g. those of a policy
+ * (see `getMissingHostPermissions`). Only the options page can ask for access, so the notification opens it.
+ */
+async function notifyMissingHostPermissions() {
+  let missing = await getMissingHostPermissions();
+  if (missing.length === 0) {
+    await chrome.notifications.clear(PERMISSIONS_NOTIFICATION_ID);
+    return;
+  }
+  logger.warn("permissions", translate("logHostPermissionsMissing", missing.join(", ")));
+  await chrome.notifications.create(PERMISSIONS_NOTIFICATION_ID, {
+    type: "basic",
+    iconUrl: "/icons/yellow128x128.png",
+    title: translate("notificationPermissionsTitle"),
+    message: translate("notificationPermissionsMessage", missing.join(", ")),
+  });
+}
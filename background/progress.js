@@ -0,0 +1,54 @@
+/**
+ * Live progress of the running watches on the extension button of their tabs: the attempt (e.g. "2/3"), or the
+ * time left until a retry the retry policy holds back (e.g. "4m"). The badge is updated from the state at hand
+ * whenever a state is published, i.e. on every step, rather than on a timer which would keep the service worker
+ * running; a held back retry gets a step every `pollIntervalSeconds` at the most, which keeps its countdown moving.
+ * There's no countdown to the next status check: it's never more than `pollIntervalSeconds` away, and counting
+ * it down would take the timer this avoids.
+ */
+
+const PROGRESS_COLORS = { running: "#0078d4", failed: "#d13438" };
+
+/**
+ * Get the badge of a running watch. A paused watch has nothing to count down to, so it says so instead.
+ * @param {the current state of the watch, see `RerunManager.currentState`} currentState
+ * @param {the current time} now
+ * @returns the badge `text` and background `color`
+ */
+function getProgressBadge(currentState, now) {
+  let color = currentState.status === JobStatus.FAILED ? PROGRESS_COLORS.failed : PROGRESS_COLORS.running;
+  if (currentState.paused) {
+    return { text: "||", color };
+  }
+  let nextRetryTime = currentState.nextRetryTime ?? null;
+  // The badge only fits about four characters, so "1h 30m" becomes "1h".
+  let text = nextRetryTime != null && nextRetryTime > now
+    ? formatDuration(nextRetryTime - now).split(" ")[0]
+    : `${currentState.attempt}/${currentState.maxAttempts}`;
+  return { text, color };
+}
+
+/**
+ * Show the progress of a running watch on its tab's badge, or hand the badge of its tab back to the
+ * overall badge (see `updateBadge`) once it ended.
+ * @param {the manager of the watch} manager
+ */
+async function updateProgressBadge(manager) {
+
+  if (manager.tabId == null) {
+    return;
+  }
+
+  try {
+    if (!manager.running) {
+      await chrome.action.setBadgeText({ tabId: manager.tabId, text: null });
+      return;
+    }
+    let { text, color } = getProgressBadge(manager.currentState, new Date().getTime());
+    await chrome.action.setBadgeText({ tabId: manager.tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId: manager.tabId, color });
+  } catch (e) {
+    // e.g. the tab was closed meanwhile.
+    logger.debug("action", translate("logBadgeFailed", e.message), { tabId: manager.tabId, watchId: manager.id });
+  }
+}
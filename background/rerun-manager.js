@@ -0,0 +1,923 @@
+/**
+ * Manager class responsible for the following:
+ * - detection of the ADO pipeline status (active/waiting/failed/success), through the REST API or the page
+ * - rerun of the failed jobs, through the REST API or by clicking the "rerun failed jobs" button
+ * - lifetime of a watched build (timeout/cancel/retries), which is paused while the build waits for approvals
+ *   or while the user pauses the watch, and whose retries and timeout the user can extend while it runs
+ * - recording which jobs and tests failed before each retry and whether they passed on it (see flakiness.js)
+ * - queueing a fresh build once the failed jobs can't be rerun anymore (the `maxNewBuilds` setting), which
+ *   the watch then follows instead, with retries of its own: the builds share one attempt budget (see `getMaxAttempts`)
+ *
+ * In a dry run (the `dryRun` setting), the retries are only simulated: every decision is made as usual,
+ * but instead of rerunning the failed jobs the manager records that it would have.
+ *
+ * The service worker can be stopped at any time, so the manager keeps no state of its own.
+ * It operates on a plain watch record, which the caller persists after every step
+ * (see watch-store.js), and each step is triggered by a `chrome.alarms` alarm.
+ */
+class RerunManager {
+
+  static ALARM_PREFIX = "watch:";
+
+  #watch = null;
+
+  /**
+   * @param {the persisted watch record} watch
+   */
+  constructor(watch) {
+    this.#watch = watch;
+  }
+
+  /**
+   * Create a manager for a new watch.
+   * @param {the id of the tab showing the build} tabId
+   * @param {the pipeline context reported by the page agent} pageInfo
+   * @param {the resolved settings for this pipeline} settings
+   * @param {the name of the retry profile the settings came from, if any} profileName
+   * @param {the name of the auto-watch rule which started the watch, if any} autoWatchRuleName
+   * @returns the manager
+   */
+  static create(tabId, pageInfo, settings, profileName, autoWatchRuleName = null) {
+    return new RerunManager({
+      id: uuidv4(),
+      tabId,
+      url: pageInfo.url,
+      organization: pageInfo.organization,
+      project: pageInfo.project,
+      collectionUrl: pageInfo.collectionUrl,
+      buildId: pageInfo.buildId,
+      definitionId: pageInfo.definitionId,
+      pipelineName: pageInfo.pipelineName,
+      profile: profileName,
+      autoWatchRule: autoWatchRuleName,
+      settings,
+      startTime: new Date().getTime(),
+      endTime: null,
+      retries: 0,
+      previousRetries: 0,
+      jobRetries: {},
+      attempts: [],
+      cancelled: false,
+      cancellationReason: null,
+      status: JobStatus.UNKNOWN,
+      source: null,
+      rerunSubmittedTime: null,
+      nextRetryTime: null,
+      nonRetryable: false,
+      matchedRule: null,
+      failureMessage: null,
+      detectionBroken: false,
+      waitingSince: null,
+      waitedMillis: 0,
+      pausedSince: null,
+      pausedMillis: 0,
+      previousBuildIds: [],
+      pendingRetry: null,
+    });
+  }
+
+  /**
+   * The watch record, to be persisted after every change.
+   */
+  get watch() {
+    return this.#watch;
+  }
+
+  get id() {
+    return this.#watch.id;
+  }
+
+  get tabId() {
+    return this.#watch.tabId;
+  }
+
+  /**
+   * The logger of the watch, which adds its watch, build and tab to every entry.
+   */
+  get #log() {
+    return logger.with({ watchId: this.#watch.id, buildId: this.#watch.buildId, tabId: this.#watch.tabId });
+  }
+
+  /**
+   * Convert the current state to a serializable object for the extension visuals.
+   * @returns The current state of the watch.
+   */
+  get currentState() {
+    return {
+      running: this.running,
+      cancelled: this.#watch.cancelled,
+      finished: this.finished,
+      status: this.#watch.status,
+      startTime: this.#watch.startTime, // timestamp with milliseconds precision
+      endTime: this.#watch.endTime ?? 0, // timestamp with milliseconds precision
+      retries: this.#watch.retries,
+      maxRetryCount: this.#watch.settings.maxRetryCount,
+      // Like the webhooks: the first run is attempt 1, and every retry and new build adds one.
+      attempt: getAttempt(this.#watch),
+      maxAttempts: getMaxAttempts(this.#watch.settings),
+      jobRetries: this.#watch.jobRetries ?? {},
+      cancellationReason: this.#watch.cancellationReason,
+      profile: this.#watch.profile,
+      autoWatchRule: this.#watch.autoWatchRule ?? null,
+      source: this.#watch.source,
+      nonRetryable: this.#watch.nonRetryable,
+      matchedRule: this.#watch.matchedRule,
+      detectionBroken: this.#watch.detectionBroken,
+      waitingSince: this.#watch.waitingSince ?? null,
+      paused: this.paused,
+      dryRun: this.#watch.settings.dryRun === true,
+      newBuilds: this.#watch.previousBuildIds?.length ?? 0,
+      nextRetryTime: this.#watch.nextRetryTime ?? null,
+      retryPolicy: describeRetryPolicy(this.#watch.settings),
+      pageTitleTemplate: this.#watch.settings.pageTitleTemplate ?? "",
+      restorePageWhenDone: this.#watch.settings.restorePageWhenDone !== false,
+    };
+  }
+
+  /**
+   * Summarize the watch for the popup.
+   * @returns the watch id, tab, build and pipeline, the retry budget and the current state
+   */
+  get summary() {
+    return {
+      id: this.id,
+      tabId: this.tabId,
+      url: this.#watch.url,
+      buildId: this.#watch.buildId,
+      pipelineName: this.#watch.pipelineName,
+      name: formatBuildName(this.#watch.pipelineName, this.#watch.buildId),
+      maxRetryCount: this.#watch.settings.maxRetryCount,
+      minutesPerAttempt: this.minutesPerAttempt,
+      state: this.currentState
+    };
+  }
+
+  /**
+   * The share of the timeout each attempt of the watch has (the first run and every retry), e.g. to give a retry
+   * added to the budget as much time as the others.
+   */
+  get minutesPerAttempt() {
+    let settings = this.#watch.settings;
+    return Math.max(1, Math.ceil(settings.timeoutMinutes / (settings.maxRetryCount + 1)));
+  }
+
+  /**
+   * Whether the watch is still running.
+   */
+  get running() {
+    return this.#watch.endTime == null;
+  }
+
+  /**
+   * Whether the user paused the watch, which stops both the status checks and the timeout.
+   */
+  get paused() {
+    return this.running && (this.#watch.pausedSince ?? null) != null;
+  }
+
+  /**
+   * Whether the watch has finished on its own (without being cancelled).
+   */
+  get finished() {
+    return this.#watch.endTime != null && !this.#watch.cancelled;
+  }
+
+  /**
+   * Gets the elapsed time in milliseconds since the watch started.
+   */
+  get elapsedMillis() {
+    return (this.#watch.endTime ?? new Date().getTime()) - this.#watch.startTime;
+  }
+
+  /**
+   * Whether or not more retries may be submitted: the build has retries left, and so does the attempt budget.
+   */
+  get #shouldRun() {
+    let watch = this.#watch;
+    return this.running && watch.retries < watch.settings.maxRetryCount && getAttempt(watch) < getMaxAttempts(watch.settings);
+  }
+
+  /**
+   * The time spent waiting for approvals and checks, which doesn't count towards the timeout.
+   */
+  get #waitedMillis() {
+    let waitingSince = this.#watch.waitingSince ?? null;
+    // Time paused while waiting only counts as paused (see `#pausedMillis`), so it doesn't extend the timeout twice.
+    let until = this.#watch.pausedSince ?? new Date().getTime();
+    return (this.#watch.waitedMillis ?? 0) + (waitingSince == null ? 0 : Math.max(0, until - waitingSince));
+  }
+
+  /**
+   * The time the user paused the watch for, which doesn't count towards the timeout either.
+   */
+  get #pausedMillis() {
+    let pausedSince = this.#watch.pausedSince ?? null;
+    return (this.#watch.pausedMillis ?? 0) + (pausedSince == null ? 0 : new Date().getTime() - pausedSince);
+  }
+
+  get #deadline() {
+    return this.#watch.startTime + this.#watch.settings.timeoutMinutes * 60 * 1000 + this.#waitedMillis + this.#pausedMillis;
+  }
+
+  /**
+   * Run one iteration of the retry loop: detect the status, rerun the failed jobs if
+   * appropriate, and finish the watch once the pipeline succeeded or the retries ran out.
+   */
+  async step() {
+
+    let watch = this.#watch;
+
+    if (!this.running || this.paused) {
+      return;
+    }
+
+    if (new Date().getTime() >= this.#deadline) {
+      this.#log.info("timeout", translate("logTimeoutReached"));
+      this.cancel("timed out");
+      return;
+    }
+
+    let status = await this.#refreshStatus();
+
+    // The page is reachable but its status icon isn't: the HTML/CSS of the page probably changed.
+    watch.detectionBroken = watch.source === "dom" && status === JobStatus.UNKNOWN;
+
+    if (watch.source == null && watch.tabId == null) {
+      // Without the REST API, the page is the only way to follow the build.
+      this.#log.info("cancel", translate("logTabClosed"));
+      this.cancel("tab closed");
+      return;
+    }
+
+    // It takes quite a few seconds for ADO to submit the job and update the status,
+    // so don't mistake the failure we just reran for a new one.
+    if (watch.rerunSubmittedTime != null) {
+      if (status === JobStatus.ACTIVE || status === JobStatus.WAITING) {
+        this.#log.info("status", translate("logJobStarted"));
+        watch.rerunSubmittedTime = null;
+      } else if (new Date().getTime() < watch.rerunSubmittedTime + watch.settings.postClickWaitSeconds * 1000) {
+        this.#log.debug("status", translate("logWaitingForJobStatus"));
+        return;
+      } else {
+        watch.rerunSubmittedTime = null;
+      }
+    }
+
+    // Approvals and checks can take a while, so neither the retries nor the timeout run meanwhile.
+    if (status === JobStatus.WAITING) {
+      if (watch.waitingSince == null) {
+        this.#log.info("waiting", translate("logWaiting"));
+        watch.waitingSince = new Date().getTime();
+      }
+      return;
+    }
+    if (watch.waitingSince != null && status !== JobStatus.UNKNOWN) {
+      watch.waitedMillis = this.#waitedMillis;
+      watch.waitingSince = null;
+      this.#log.info("waiting", translate("logWaitingOver", (watch.waitedMillis / 1000.0).toFixed(0)));
+    }
+
+    // The build completed again, so the failed jobs of the last retry either passed or failed again.
+    if (watch.pendingRetry != null && watch.rerunSubmittedTime == null && (status === JobStatus.SUCCESS || status === JobStatus.FAILED)) {
+      await this.#recordRetryOutcome();
+    }
+
+    if (status === JobStatus.SUCCESS) {
+      this.#log.info("status", translate("logSucceeded"));
+      this.#finish();
+      return;
+    }
+
+    if (status === JobStatus.ACTIVE) {
+      // The jobs were rerun by someone else, so the pending retry is moot.
+      watch.nextRetryTime = null;
+    }
+
+    // A cancelled build has nothing to rerun, but a fresh one may do better.
+    // (Checked on every step, so only where it can succeed, rather than warning each time.)
+    if (status === JobStatus.CANCELLED && watch.source === "api" && !watch.settings.dryRun && await this.#queueNewBuild(status)) {
+      return;
+    }
+
+    if (this.#shouldRun) {
+      if (status === JobStatus.FAILED && watch.nextRetryTime == null) {
+        // A new failure: decide whether and when to retry it (see retry-policies.js).
+        if (!watch.settings.keepWatchingAfterRejection && await this.#wasRejected()) {
+          this.#finish();
+          return;
+        }
+        if (watch.settings.classifyFailures && !await this.#isWorthRetrying()) {
+          this.#finish();
+          return;
+        }
+        if (!await this.#hasRetryTargets()) {
+          this.#finish();
+          return;
+        }
+        if (watch.settings.minRetryPassPercent > 0 && !await this.#isLikelyToPass()) {
+          this.#finish();
+          return;
+        }
+        watch.nextRetryTime = getNextRetryTime(watch.settings, watch.retries + 1, new Date().getTime());
+      }
+      if (watch.nextRetryTime != null && new Date().getTime() < watch.nextRetryTime) {
+        this.#log.debug("retry-wait", translate("logWaitingForRetry",
+          new Date(watch.nextRetryTime).toLocaleTimeString(), describeRetryPolicy(watch.settings)));
+        return;
+      }
+      if (watch.settings.dryRun) {
+        // Nothing changes on ADO, so the next step sees the same failure and simulates the next retry.
+        if (status === JobStatus.FAILED) {
+          await this.#simulateRerun();
+          watch.retries++;
+          watch.nextRetryTime = null;
+          watch.attempts = [...(watch.attempts ?? []), { time: new Date().getTime(), rule: watch.matchedRule, dryRun: true }];
+        }
+      } else if (await this.#rerunFailedJobs(status)) {
+        watch.retries++;
+        watch.nextRetryTime = null;
+        watch.rerunSubmittedTime = new Date().getTime();
+        watch.attempts = [...(watch.attempts ?? []), { time: watch.rerunSubmittedTime, rule: watch.matchedRule }];
+        this.#log.info("retry", translate("logRetrying", watch.retries, watch.settings.maxRetryCount));
+      } else if (status !== JobStatus.ACTIVE) {
+        // If pipeline status is "failed", the button is supposed to be present.
+        // This warning will appear if/when the HTML/CSS for the button changes
+        // enough to break the button detection.
+        this.#log.warn("retry", translate("logRerunFailed", status));
+      }
+    } else if (status !== JobStatus.ACTIVE) {
+      // The last retry attempt finished, so there's nothing left to wait for but a new build.
+      if (!await this.#queueNewBuild(status)) {
+        this.#finish();
+      }
+    }
+  }
+
+  /**
+   * Cancel the watch.
+   * @param {the reason shown to the user} reason
+   */
+  cancel(reason) {
+    this.#watch.endTime = new Date().getTime();
+    this.#watch.cancelled = true;
+    this.#watch.cancellationReason = reason;
+  }
+
+  /**
+   * Pause the watch: the build isn't checked and the timeout doesn't run until it's resumed.
+   * @returns false if the watch isn't running or is paused already
+   */
+  pause() {
+    if (!this.running || this.paused) {
+      return false;
+    }
+    this.#log.info("pause", translate("logPaused"));
+    this.#watch.pausedSince = new Date().getTime();
+    return true;
+  }
+
+  /**
+   * Resume a paused watch where it left off.
+   * @returns false if the watch isn't paused
+   */
+  resume() {
+    if (!this.paused) {
+      return false;
+    }
+    let pausedFor = new Date().getTime() - this.#watch.pausedSince;
+    if (this.#watch.waitingSince != null) {
+      // The wait carries on from now.
+      this.#watch.waitedMillis = this.#waitedMillis;
+      this.#watch.waitingSince = new Date().getTime();
+    }
+    this.#watch.pausedMillis = this.#pausedMillis;
+    this.#watch.pausedSince = null;
+    if (this.#watch.nextRetryTime != null) {
+      // The retry delay doesn't run while paused either.
+      this.#watch.nextRetryTime += pausedFor;
+    }
+    this.#log.info("pause", translate("logResumed", (this.#watch.pausedMillis / 1000.0).toFixed(0)));
+    return true;
+  }
+
+  /**
+   * Add retries and/or time to the budget of the running watch.
+   * @param {the number of retries to add} retries
+   * @param {the number of minutes to add to the timeout} minutes
+   * @param {the limits of the policy, see `validateSettingLimits`} limits
+   * @returns false if the watch isn't running or its budget can't grow any further
+   */
+  extendBudget(retries, minutes, limits) {
+
+    if (!this.running) {
+      return false;
+    }
+
+    let settings = this.#watch.settings;
+    let extended = applySettingLimits({
+      ...settings,
+      maxRetryCount: Math.min(settings.maxRetryCount + retries, SETTINGS_SCHEMA.maxRetryCount.max),
+      timeoutMinutes: Math.min(settings.timeoutMinutes + minutes, SETTINGS_SCHEMA.timeoutMinutes.max),
+    }, limits);
+    if (extended.maxRetryCount <= settings.maxRetryCount && extended.timeoutMinutes <= settings.timeoutMinutes) {
+      return false;
+    }
+
+    this.#log.info("budget", translate("logBudgetExtended", extended.maxRetryCount, extended.timeoutMinutes));
+    this.#watch.settings = {
+      ...settings,
+      maxRetryCount: Math.max(settings.maxRetryCount, extended.maxRetryCount),
+      timeoutMinutes: Math.max(settings.timeoutMinutes, extended.timeoutMinutes),
+    };
+    return true;
+  }
+
+  /**
+   * Retry now instead of waiting for the delay of the retry policy.
+   * @returns false if no retry is waiting
+   */
+  skipRetryDelay() {
+    if (!this.running || this.paused || this.#watch.nextRetryTime == null) {
+      return false;
+    }
+    this.#log.info("retry-wait", translate("logRetryDelaySkipped"));
+    this.#watch.nextRetryTime = new Date().getTime();
+    return true;
+  }
+
+  /**
+   * Schedule the next step, or clear the alarm if the watch is over or paused.
+   */
+  async schedule() {
+
+    let alarmName = RerunManager.ALARM_PREFIX + this.id;
+
+    if (!this.running || this.paused) {
+      await chrome.alarms.clear(alarmName);
+      return;
+    }
+
+    let when = new Date().getTime() + this.#watch.settings.pollIntervalSeconds * 1000;
+    if (this.#watch.rerunSubmittedTime != null) {
+      when = Math.min(when, this.#watch.rerunSubmittedTime + this.#watch.settings.postClickWaitSeconds * 1000);
+    }
+    if (this.#watch.nextRetryTime != null) {
+      when = Math.min(when, this.#watch.nextRetryTime);
+    }
+    await chrome.alarms.create(alarmName, { when: Math.min(when, this.#deadline) });
+  }
+
+  #finish() {
+    this.#watch.endTime = new Date().getTime();
+    this.#log.info("finish", translate("logFinished", this.#watch.retries, (this.elapsedMillis / 1000.0).toFixed(2)));
+  }
+
+  /**
+   * Detect the current ADO pipeline status, preferring the REST API and falling back to the page.
+   * @returns the JobStatus
+   */
+  async #refreshStatus() {
+
+    let watch = this.#watch;
+    let apiClient = this.#apiClient;
+
+    if (apiClient != null) {
+      try {
+        watch.status = await apiClient.getJobStatus(watch.buildId);
+        watch.source = "api";
+        return watch.status;
+      } catch (e) {
+        this.#log.warn("status", translate("logStatusApiFailed", e.message));
+      }
+    }
+
+    if (watch.tabId != null) {
+      let res = await sendToTabAgent(watch.tabId, { type: "get-status" });
+      // The tab may have navigated to a different page since the watch started.
+      if (res != null && res.buildId === watch.buildId) {
+        watch.status = res.status;
+        watch.source = "dom";
+        return watch.status;
+      }
+    }
+
+    watch.status = JobStatus.UNKNOWN;
+    watch.source = null;
+    return watch.status;
+  }
+
+  /**
+   * Classify the build's failures (see failure-classifier.js) and record the verdict on the watch.
+   * Without any failure details to go on, the failure is assumed to be worth a retry.
+   * @returns false if the failure looks permanent
+   */
+  async #isWorthRetrying() {
+
+    let watch = this.#watch;
+    let failures = null;
+
+    if (watch.source === "api") {
+      try {
+        failures = await this.#apiClient.getFailures(watch.buildId);
+      } catch (e) {
+        this.#log.warn("classify", translate("logFailuresApiFailed", e.message));
+      }
+    }
+
+    if (failures == null && watch.tabId != null) {
+      let res = await sendToTabAgent(watch.tabId, { type: "get-failures" });
+      if (res != null && res.buildId === watch.buildId) {
+        failures = res.failures;
+      }
+    }
+
+    if (failures == null || failures.length === 0) {
+      this.#log.info("classify", translate("logNoFailureDetails"));
+      return true;
+    }
+
+    let verdict = classifyFailures(failures, await loadClassifierRules(), watch.settings.unclassifiedFailures);
+    watch.matchedRule = verdict.rule;
+    watch.failureMessage = verdict.message;
+
+    if (!verdict.retryable) {
+      this.#log.info("classify", translate("logNotTransient",
+        verdict.job ?? translate("unknownJob"), verdict.rule ?? translate("noRuleMatched"), verdict.message ?? ""));
+      watch.nonRetryable = true;
+      return false;
+    }
+
+    this.#log.info("classify", translate("logTransient", verdict.rule ?? translate("noRuleMatched")));
+    return true;
+  }
+
+  /**
+   * Check whether the build failed because an approval, a check or a manual validation was rejected,
+   * and record it on the watch. Only the REST API tells.
+   * @returns true if something was rejected
+   */
+  async #wasRejected() {
+
+    let watch = this.#watch;
+    if (watch.source !== "api") {
+      return false;
+    }
+
+    let rejected = [];
+    try {
+      rejected = await this.#apiClient.getRejectedChecks(watch.buildId);
+    } catch (e) {
+      this.#log.warn("waiting", translate("logChecksApiFailed", e.message));
+      return false;
+    }
+
+    if (rejected.length > 0) {
+      this.#log.info("waiting", translate("logChecksRejected", rejected.join(", ")));
+      watch.nonRetryable = true;
+      watch.matchedRule = "Approval rejected";
+      watch.failureMessage = `Rejected: ${rejected.join(", ")}`;
+    }
+    return rejected.length > 0;
+  }
+
+  /**
+   * Check the failed jobs against the retry targets of the pipeline (see retry-targets.js) and
+   * record the verdict on the watch. Only the REST API can retry individual stages, and the page
+   * would rerun every failed job, so without the REST API the build isn't retried.
+   * @returns false if none of the failed stages may be retried
+   */
+  async #hasRetryTargets() {
+
+    let watch = this.#watch;
+    let retryTargets = await loadRetryTargets(watch);
+
+    if (retryTargets.mode === "all") {
+      return true;
+    }
+
+    if (watch.source !== "api") {
+      this.#log.warn("retry-targets", translate("logRetryTargetsNeedApi"));
+      watch.nonRetryable = true;
+      watch.matchedRule = "Retry targets";
+      watch.failureMessage = "Retry targets are set for this pipeline, which need the REST API.";
+      return false;
+    }
+
+    let retryable = false;
+    try {
+      let stages = await this.#apiClient.getStages(watch.buildId);
+      retryable = stages.some(stage =>
+        stage.jobs.some(job => job.status === JobStatus.FAILED) && isStageRetryable(retryTargets, stage));
+    } catch (e) {
+      this.#log.warn("retry-targets", translate("logRetryTargetsApiFailed", e.message));
+      return true;
+    }
+
+    if (!retryable) {
+      this.#log.info("retry-targets", translate("logNoRetryTargets"));
+      watch.nonRetryable = true;
+      watch.matchedRule = "Retry targets";
+    }
+    return retryable;
+  }
+
+  /**
+   * Check the failed jobs against their recorded retries (see flakiness.js) and record the verdict on the watch.
+   * Jobs with too few recorded retries get the benefit of the doubt.
+   * @returns false if one of the failed jobs rarely passed on a retry
+   */
+  async #isLikelyToPass() {
+
+    let watch = this.#watch;
+    if (watch.source !== "api") {
+      return true;
+    }
+
+    let jobKeys = [];
+    try {
+      jobKeys = (await this.#apiClient.getStages(watch.buildId)).flatMap(stage => stage.jobs
+        .filter(job => job.status === JobStatus.FAILED)
+        .map(job => getJobKey(stage.name, job.name)));
+    } catch (e) {
+      this.#log.warn("flakiness", translate("logJobsApiFailed", e.message));
+      return true;
+    }
+
+    let odds = getRetryOdds(await loadFlakinessRecords(), watch, jobKeys);
+    if (odds == null || odds.passRate * 100 >= watch.settings.minRetryPassPercent) {
+      return true;
+    }
+
+    this.#log.info("flakiness", translate("logFlakyJobNotRetried", odds.job, odds.passedOnRetry, odds.retries));
+    watch.nonRetryable = true;
+    watch.matchedRule = "Flakiness history";
+    watch.failureMessage = `Job '${odds.job}' passed on ${odds.passedOnRetry} of ${odds.retries} recorded retries.`;
+    return false;
+  }
+
+  /**
+   * Rerun the failed jobs: through the REST API if the status came from it,
+   * otherwise (or if the API request fails) by clicking the rerun button on the page.
+   * Through the REST API, only the stages whose failed jobs are all retry targets are rerun;
+   * the page can't pick stages, so it isn't used when retry targets are set.
+   * @param {the current JobStatus} status
+   * @returns true if a rerun was submitted
+   */
+  async #rerunFailedJobs(status) {
+
+    let watch = this.#watch;
+    let retryTargets = await loadRetryTargets(watch);
+
+    if (watch.source === "api") {
+      if (status !== JobStatus.FAILED) {
+        return false;
+      }
+      try {
+        let stages = await this.#apiClient.rerunFailedJobs(watch.buildId, stage => isStageRetryable(retryTargets, stage));
+        if (stages.length === 0) {
+          this.#log.info("retry-targets", translate("logNoFailedRetryTargets"));
+          return false;
+        }
+        this.#log.info("retry", stages[0].name == null
+          ? translate("logRerunRequested")
+          : translate("logStagesRerunRequested", stages.map(stage => stage.name).join(", ")));
+        this.#countJobRetries(stages);
+        await this.#captureRetry(stages);
+        return true;
+      } catch (e) {
+        this.#log.warn("retry", translate("logRerunApiFailed", e.message));
+      }
+    }
+
+    if (watch.tabId == null) {
+      return false;
+    }
+    if (retryTargets.mode !== "all") {
+      // The retry stays due, so the next step tries the REST API again.
+      this.#log.warn("retry-targets", translate("logRetryTargetsRerunSkipped"));
+      return false;
+    }
+    let res = await sendToTabAgent(watch.tabId, { type: "rerun", payload: { buildId: watch.buildId } });
+    return res?.submitted === true;
+  }
+
+  /**
+   * Record what `#rerunFailedJobs` would do now, without doing it: which stages the REST API would rerun,
+   * or whether the rerun button would be clicked on the page.
+   */
+  async #simulateRerun() {
+
+    let watch = this.#watch;
+    let retryTargets = await loadRetryTargets(watch);
+    let retry = `(${watch.retries + 1}/${watch.settings.maxRetryCount})`;
+
+    if (watch.source === "api") {
+      try {
+        let stages = (await this.#apiClient.getStages(watch.buildId)).filter(stage =>
+          stage.identifier != null && AdoApiClient.FAILED_RESULTS.includes(stage.result) && isStageRetryable(retryTargets, stage));
+        this.#log.info("dry-run", stages.length === 0
+          ? translate("logDryRunRerunRequested", retry)
+          : translate("logDryRunStagesRerunRequested", stages.map(stage => stage.name).join(", "), retry));
+        return;
+      } catch (e) {
+        this.#log.warn("dry-run", translate("logDryRunStagesApiFailed", e.message));
+      }
+    }
+
+    let res = watch.tabId == null ? null : await sendToTabAgent(watch.tabId, { type: "find-rerun-button" });
+    if (res?.found === true && res.buildId === watch.buildId) {
+      this.#log.info("dry-run", translate("logDryRunRerunClicked", retry));
+    } else {
+      this.#log.warn("dry-run", translate("logDryRunRerunButtonMissing", retry));
+    }
+  }
+
+  /**
+   * Queue a fresh build of the same pipeline and branch with the same parameters, and follow it
+   * (and its tab, if any) instead of the current build. The new build gets `maxRetryCount` retries of its own,
+   * within the attempt budget of the watch (see `getMaxAttempts`). Only the REST API can queue builds.
+   * @param {the current JobStatus} status
+   * @returns false if no build was queued: the build didn't fail, the new builds are used up or the request failed
+   */
+  async #queueNewBuild(status) {
+
+    let watch = this.#watch;
+    let newBuilds = watch.previousBuildIds?.length ?? 0;
+    let maxNewBuilds = watch.settings.maxNewBuilds ?? 0;
+
+    if ((status !== JobStatus.FAILED && status !== JobStatus.CANCELLED) || newBuilds >= maxNewBuilds
+      || getAttempt(watch) >= getMaxAttempts(watch.settings)) {
+      return false;
+    }
+    let apiClient = this.#apiClient;
+    if (apiClient == null) {
+      this.#log.warn("new-build", translate("logNewBuildNeedsApi"));
+      return false;
+    }
+    if (watch.settings.dryRun) {
+      this.#log.info("dry-run", translate("logDryRunNewBuild", newBuilds + 1, maxNewBuilds));
+      return false;
+    }
+
+    let build = null;
+    try {
+      build = await apiClient.queueBuild(await apiClient.getBuild(watch.buildId));
+    } catch (e) {
+      this.#log.warn("new-build", translate("logNewBuildFailed", e.message));
+      return false;
+    }
+    this.#log.info("new-build", translate("logNewBuildQueued", build.id, watch.buildId, newBuilds + 1, maxNewBuilds));
+
+    let url = new URL(watch.url);
+    url.searchParams.set("buildId", build.id);
+
+    watch.previousBuildIds = [...(watch.previousBuildIds ?? []), watch.buildId];
+    watch.previousRetries = (watch.previousRetries ?? 0) + watch.retries;
+    watch.retries = 0;
+    watch.jobRetries = {};
+    watch.buildId = build.id;
+    watch.url = url.href;
+    watch.nextRetryTime = null;
+    watch.pendingRetry = null;
+    // Give ADO the same time to start the new build as a rerun.
+    watch.rerunSubmittedTime = new Date().getTime();
+    watch.attempts = [...(watch.attempts ?? []), { time: watch.rerunSubmittedTime, rule: watch.matchedRule, newBuildId: build.id }];
+
+    if (watch.tabId != null) {
+      try {
+        await chrome.tabs.update(watch.tabId, { url: watch.url });
+      } catch (e) {
+        this.#log.warn("new-build", translate("logNewBuildTabFailed", e.message));
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Remember the failed jobs and tests of the retry just submitted, to record what happens to them (see `#recordRetryOutcome`).
+   * @param {the retried stages, see `AdoApiClient.toStages`} stages
+   */
+  async #captureRetry(stages) {
+
+    let watch = this.#watch;
+    let testRuns = [];
+    try {
+      testRuns = await this.#apiClient.getTestRuns(watch.buildId);
+    } catch (e) {
+      this.#log.warn("flakiness", translate("logTestRunsApiFailed", e.message));
+    }
+
+    // Earlier attempts of the build left their own test runs behind; only the latest run of each counts.
+    let latestRuns = Array.from(new Map(testRuns.map(run => [run.name, run])).values());
+
+    watch.pendingRetry = {
+      time: new Date().getTime(),
+      jobs: stages.flatMap(stage => stage.jobs
+        .filter(job => job.status === JobStatus.FAILED)
+        .map(job => ({ stage: stage.name, job: job.name, tasks: job.failedTasks ?? [] }))),
+      // A broken build can fail thousands of tests, which would crowd out the other records.
+      tests: latestRuns.flatMap(run => run.failedTests.map(name => ({ name, run: run.name }))).slice(0, MAX_FLAKINESS_TESTS),
+      lastTestRunId: Math.max(0, ...testRuns.map(run => run.id)),
+    };
+  }
+
+  /**
+   * Record whether the failed jobs and tests of the last retry passed on it, in the flakiness database.
+   */
+  async #recordRetryOutcome() {
+
+    let watch = this.#watch;
+    let pending = watch.pendingRetry;
+    watch.pendingRetry = null;
+
+    let toOutcome = (status) => status === JobStatus.SUCCESS ? true : (status === JobStatus.FAILED ? false : null);
+
+    try {
+      let stages = await this.#apiClient.getStages(watch.buildId);
+      let jobs = pending.jobs.map(job => ({
+        ...job,
+        passedOnRetry: toOutcome(stages.find(stage => stage.name === job.stage)?.jobs.find(candidate => candidate.name === job.job)?.status),
+      }));
+
+      // The rerun of a failed job adds a test run of the same name.
+      let testRuns = pending.tests.length === 0 ? [] : await this.#apiClient.getTestRuns(watch.buildId);
+      let reruns = new Map(testRuns.filter(run => run.id > pending.lastTestRunId).map(run => [run.name, run]));
+      let tests = pending.tests.map(test => ({
+        ...test,
+        passedOnRetry: reruns.has(test.run) ? !reruns.get(test.run).failedTests.includes(test.name) : null,
+      }));
+
+      await addFlakinessRecord({
+        id: `${watch.id}/${getTotalRetries(watch)}`,
+        time: pending.time,
+        pipelineName: watch.pipelineName,
+        definitionId: watch.definitionId,
+        organization: watch.organization,
+        project: watch.project,
+        buildId: watch.buildId,
+        jobs,
+        tests,
+      });
+      this.#log.info("flakiness", translate("logRetryOutcomeRecorded",
+        jobs.filter(job => job.passedOnRetry).length, jobs.length, tests.filter(test => test.passedOnRetry).length, tests.length));
+    } catch (e) {
+      this.#log.warn("flakiness", translate("logRetryOutcomeFailed", e.message));
+    }
+  }
+
+  /**
+   * Count a retry for each failed job of the given stages.
+   * @param {the retried stages, see `AdoApiClient.toStages`} stages
+   */
+  #countJobRetries(stages) {
+    let jobRetries = { ...this.#watch.jobRetries };
+    for (const stage of stages) {
+      for (const job of stage.jobs.filter(job => job.status === JobStatus.FAILED)) {
+        let key = getJobKey(stage.name, job.name);
+        jobRetries[key] = (jobRetries[key] ?? 0) + 1;
+      }
+    }
+    this.#watch.jobRetries = jobRetries;
+  }
+
+  get #apiClient() {
+    if (!this.#watch.settings.useRestApi || this.#watch.buildId == null) {
+      return null;
+    }
+    return AdoApiClient.fromPipelineContext(this.#watch);
+  }
+}
+
+/**
+ * Count the retries of a watch, including those of the builds it replaced with new builds.
+ * @param {the watch record} watch
+ */
+function getTotalRetries(watch) {
+  return (watch.previousRetries ?? 0) + watch.retries;
+}
+
+/**
+ * Number the current attempt of a watch: the first run is attempt 1, and every retry and new build adds one.
+ * @param {the watch record} watch
+ */
+function getAttempt(watch) {
+  return getTotalRetries(watch) + (watch.previousBuildIds?.length ?? 0) + 1;
+}
+
+/**
+ * Compute the attempt budget of a watch: the first run, every new build and up to `maxRetryCount` retries of each build.
+ * @param {the settings of the watch} settings
+ */
+function getMaxAttempts(settings) {
+  return (settings.maxRetryCount + 1) * ((settings.maxNewBuilds ?? 0) + 1);
+}
+
+/**
+ * Helper function to generate a guid.
+ * @returns a guid
+ */
+function uuidv4() {
+  return ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, c =>
+    (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16)
+  );
+}
@@ -0,0 +1,56 @@
+/**
+ * Communication with the page agent (content-scripts/content.js), which reads and clicks
+ * the ADO page on behalf of the background script.
+ */
+
+const CONTENT_SCRIPT_FILES = [
+  "shared/job-status.js",
+  "shared/format.js",
+  "shared/ado-api.js",
+  "shared/settings.js",
+  "shared/hosts.js",
+  "shared/config.js",
+  "shared/i18n.js",
+  "shared/log.js",
+  "content-scripts/button-labels.js",
+  "content-scripts/content.js"
+];
+
+/**
+ * Inject the page agent into the tab unless it's already running there
+ * (e.g. because the page was reloaded since the last injection).
+ * @param {the tab id} tabId
+ */
+async function ensureTabAgent(tabId) {
+
+  try {
+    let res = await chrome.tabs.sendMessage(tabId, { type: "agent-ping" });
+    if (res?.ok) {
+      return;
+    }
+  } catch (e) {
+    // "Could not establish connection. Receiving end does not exist." - inject it below.
+  }
+
+  logger.debug("page-agent", translate("logPageAgentInjected"), { tabId });
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: CONTENT_SCRIPT_FILES
+  });
+}
+
+/**
+ * Send a message to the page agent in the given tab, injecting the agent if necessary.
+ * @param {the tab id} tabId
+ * @param {the message} message
+ * @returns the agent's response, or null if the tab is gone or can't be scripted
+ */
+async function sendToTabAgent(tabId, message) {
+  try {
+    await ensureTabAgent(tabId);
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (e) {
+    logger.warn("page-agent", translate("logPageAgentUnreachable", message.type, e.message), { tabId });
+    return null;
+  }
+}
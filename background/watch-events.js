@@ -0,0 +1,45 @@
+/**
+ * The transitions of a watch which are worth telling the user about, derived by comparing
+ * the state of the watch before and after a step (see `RerunManager.currentState`).
+ */
+class WatchEvent {
+  static RETRY = "retry";
+  static SUCCESS = "success";
+  static FAILURE = "failure";
+  static TIMEOUT = "timeout";
+  static DETECTION_BROKEN = "detection-broken";
+  static WAITING = "waiting";
+  static NEW_BUILD = "new-build";
+}
+
+/**
+ * List the events between two states of the same watch.
+ * @param {the state before the step} before
+ * @param {the state after the step} after
+ * @returns the WatchEvents, in the order they happened
+ */
+function getWatchEvents(before, after) {
+
+  let events = [];
+
+  if (after.detectionBroken && !before.detectionBroken) {
+    events.push(WatchEvent.DETECTION_BROKEN);
+  }
+  if (after.status === JobStatus.WAITING && before.status !== JobStatus.WAITING) {
+    events.push(WatchEvent.WAITING);
+  }
+  if (after.retries > before.retries) {
+    events.push(WatchEvent.RETRY);
+  }
+  if (after.newBuilds > before.newBuilds) {
+    events.push(WatchEvent.NEW_BUILD);
+  }
+  if (before.running && after.finished) {
+    events.push(after.status === JobStatus.SUCCESS ? WatchEvent.SUCCESS : WatchEvent.FAILURE);
+  }
+  if (before.running && after.cancelled && after.cancellationReason === "timed out") {
+    events.push(WatchEvent.TIMEOUT);
+  }
+
+  return events;
+}
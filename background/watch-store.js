@@ -0,0 +1,72 @@
+/**
+ * Persistence of watched builds. Each watch is stored under its own key in `chrome.storage.local`,
+ * so watches survive service worker restarts and browser restarts, and concurrent updates to
+ * different watches never overwrite each other. The ids of the watches are kept in an index (see storage-index.js),
+ * so listing them doesn't read the rest of the storage (history, flakiness records, log).
+ */
+
+const WATCH_KEY_PREFIX = "watch:";
+const WATCH_IDS_KEY = "watchIds";
+
+const watchIndex = new StorageIndex(WATCH_IDS_KEY, WATCH_KEY_PREFIX);
+
+/**
+ * Load a watch by id.
+ * @param {the watch id} id
+ * @returns the watch record, or null if it doesn't exist
+ */
+async function loadWatch(id) {
+  let key = WATCH_KEY_PREFIX + id;
+  let stored = await chrome.storage.local.get(key);
+  return stored[key] ?? null;
+}
+
+/**
+ * Load every watch.
+ * @returns the watch records, oldest first
+ */
+async function loadWatches() {
+  return (await watchIndex.loadRecords()).sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Find the watch shown in the given tab: its running watch, otherwise its most recent one.
+ * @param {the tab id} tabId
+ * @returns the watch record, or null if the tab has none
+ */
+async function findWatchForTab(tabId) {
+  let watches = (await loadWatches()).filter(watch => watch.tabId === tabId);
+  return watches.find(watch => watch.endTime == null) ?? watches.at(-1) ?? null;
+}
+
+async function saveWatch(watch) {
+  await watchIndex.save(watch.id, watch);
+}
+
+async function deleteWatch(id) {
+  await watchIndex.remove([id]);
+}
+
+// Pending operations per watch id (see `withWatchLock`).
+const watchLocks = new Map();
+
+/**
+ * Run the given operation once all previously queued operations on the same watch are done.
+ * Steps await network requests, so without this a cancellation arriving mid-step would be
+ * overwritten when the step saves the watch.
+ * @param {the watch id} id
+ * @param {the async operation} operation
+ * @returns the result of the operation
+ */
+async function withWatchLock(id, operation) {
+  let previous = watchLocks.get(id) ?? Promise.resolve();
+  let current = previous.catch(() => { }).then(operation);
+  watchLocks.set(id, current);
+  try {
+    return await current;
+  } finally {
+    if (watchLocks.get(id) === current) {
+      watchLocks.delete(id);
+    }
+  }
+}
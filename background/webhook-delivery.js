@@ -0,0 +1,184 @@
+/**
+ * Delivery of the events of a watch (see watch-events.js) to the webhooks on the options page
+ * (see webhooks.js), as generic JSON or as Teams or Slack messages.
+ */
+
+// Failed deliveries are retried after these delays, unless the endpoint rejected the payload itself (4xx).
+const WEBHOOK_RETRY_DELAYS_MILLIS = [2000, 8000];
+
+/**
+ * Build the generic JSON payload of an event.
+ * @param {the WatchEvent} event
+ * @param {the watch record} watch
+ * @param {the source branch of the build, or null if unknown} sourceBranch
+ * @returns the payload
+ */
+function createWebhookEvent(event, watch, sourceBranch) {
+  let { title, message } = describeWatchEvent(event, watch);
+  let failed = watch.status === JobStatus.FAILED;
+  return {
+    event,
+    title,
+    summary: message,
+    pipelineName: watch.pipelineName,
+    buildId: watch.buildId,
+    buildUrl: watch.url,
+    organization: watch.organization,
+    project: watch.project,
+    sourceBranch,
+    attempt: getAttempt(watch),
+    retries: watch.retries,
+    previousBuildIds: watch.previousBuildIds ?? [],
+    maxRetryCount: watch.settings.maxRetryCount,
+    // The retries of a dry run are only simulated.
+    dryRun: watch.settings.dryRun === true,
+    failure: failed ? { rule: watch.matchedRule, message: watch.failureMessage } : null,
+    time: new Date().toISOString(),
+  };
+}
+
+/**
+ * Format the payload of an event for the webhook's endpoint.
+ * @param {the webhook format: "json", "teams" or "slack"} format
+ * @param {the generic payload, see `createWebhookEvent`} payload
+ * @returns the request body
+ */
+function formatWebhookPayload(format, payload) {
+
+  let facts = [
+    ["Pipeline", payload.pipelineName ?? "(unknown)"],
+    ["Build", String(payload.buildId)],
+    ["Branch", payload.sourceBranch],
+    ["Attempt", `${payload.attempt} (retries: ${payload.retries}/${payload.maxRetryCount})`],
+    ["Failure", payload.failure == null ? null : [payload.failure.rule, payload.failure.message].filter(text => text != null).join(": ") || null],
+  ].filter(([, value]) => value != null);
+
+  switch (format) {
+    case "teams":
+      // An Adaptive Card message, as accepted by Teams workflow ("Post to a channel when a webhook request is received") webhooks.
+      return {
+        type: "message",
+        attachments: [{
+          contentType: "application/vnd.microsoft.card.adaptive",
+          content: {
+            $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+            type: "AdaptiveCard",
+            version: "1.4",
+            body: [
+              { type: "TextBlock", text: payload.title, weight: "Bolder", size: "Medium", wrap: true },
+              { type: "TextBlock", text: payload.summary, wrap: true },
+              { type: "FactSet", facts: facts.map(([title, value]) => ({ title, value })) },
+            ],
+            actions: [{ type: "Action.OpenUrl", title: "Open build", url: payload.buildUrl }],
+          },
+        }],
+      };
+    case "slack":
+      return {
+        text: `${payload.title}: ${payload.summary}`,
+        blocks: [
+          { type: "section", text: { type: "mrkdwn", text: `*<${payload.buildUrl}|${payload.title}>*\n${payload.summary}` } },
+          { type: "context", elements: facts.map(([title, value]) => ({ type: "mrkdwn", text: `*${title}:* ${value}` })) },
+        ],
+      };
+    default:
+      return payload;
+  }
+}
+
+/**
+ * Post a payload to a webhook, retrying after network errors, throttling and server errors.
+ * @param {the webhook} webhook
+ * @param {the request body} body
+ * @returns the outcome: `ok`, the last HTTP `status` (null after a network error), the number of `attempts` and the `error`, if any
+ */
+async function deliverWebhook(webhook, body) {
+
+  let outcome = null;
+
+  for (let attempt = 1; attempt <= WEBHOOK_RETRY_DELAYS_MILLIS.length + 1; attempt++) {
+
+    try {
+      let res = await fetch(webhook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      outcome = { ok: res.ok, status: res.status, attempts: attempt, error: res.ok ? null : `HTTP ${res.status} ${res.statusText}` };
+    } catch (e) {
+      outcome = { ok: false, status: null, attempts: attempt, error: e.message };
+    }
+
+    let retryable = outcome.status == null || outcome.status === 408 || outcome.status === 429 || outcome.status >= 500;
+    if (outcome.ok || !retryable || attempt > WEBHOOK_RETRY_DELAYS_MILLIS.length) {
+      break;
+    }
+    logger.info("webhook", translate("logWebhookRetrying", webhook.name, attempt, outcome.error));
+    await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAYS_MILLIS[attempt - 1]));
+  }
+
+  return outcome;
+}
+
+/**
+ * Post the given events of a watch to every webhook which wants them.
+ * @param {the watch record} watch
+ * @param {the WatchEvents, see `getWatchEvents`} events
+ */
+async function sendWebhooks(watch, events) {
+
+  if (events.length === 0) {
+    return;
+  }
+
+  let webhooks = (await loadWebhooks()).filter(webhook => webhook.enabled && events.some(event => webhook.events.includes(event)));
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  // The page doesn't show the source branch, so ask the REST API, which works in either detection mode.
+  let sourceBranch = null;
+  try {
+    sourceBranch = (await AdoApiClient.fromPipelineContext(watch)?.getBuild(watch.buildId))?.sourceBranch ?? null;
+  } catch (e) {
+    logger.warn("webhook", translate("logWebhookBranchFailed", e.message), { watchId: watch.id, buildId: watch.buildId });
+  }
+
+  for (const event of events) {
+    let payload = createWebhookEvent(event, watch, sourceBranch);
+    await Promise.all(webhooks.filter(webhook => webhookMatches(webhook, event, sourceBranch)).map(async webhook => {
+      let outcome = await deliverWebhook(webhook, formatWebhookPayload(webhook.format, payload));
+      if (!outcome.ok) {
+        logger.warn("webhook", translate("logWebhookFailed", event, webhook.name, outcome.attempts, outcome.error), { watchId: watch.id, buildId: watch.buildId });
+      }
+    }));
+  }
+}
+
+/**
+ * Post a sample event to a webhook, for the "Send test" button on the options page.
+ * @param {the raw webhook, which doesn't need to be saved} webhook
+ * @returns the outcome, see `deliverWebhook`
+ */
+async function sendTestWebhook(webhook) {
+
+  let { webhook: normalized, errors } = validateWebhook({ ...webhook, events: WEBHOOK_EVENTS });
+  if (errors.length > 0) {
+    throw new Error(errors.join(" "));
+  }
+
+  let sample = {
+    id: "test",
+    pipelineName: "sample-pipeline",
+    buildId: 1234,
+    url: "https://dev.azure.com/org/project/_build/results?buildId=1234",
+    organization: "org",
+    project: "project",
+    retries: 1,
+    settings: { maxRetryCount: 3 },
+    status: JobStatus.FAILED,
+    matchedRule: "Throttled (429)",
+    failureMessage: "Response status code does not indicate success: 429 (Too Many Requests).",
+  };
+  return await deliverWebhook(normalized, formatWebhookPayload(normalized.format, createWebhookEvent(WatchEvent.RETRY, sample, "refs/heads/main")));
+}
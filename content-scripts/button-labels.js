@@ -0,0 +1,34 @@
+/**
+ * The labels of the "Rerun failed jobs" button and of the "Yes" button confirming the rerun, by ADO UI language.
+ * ADO follows the user's profile language rather than the browser's, so the page agent reads the language
+ * from the page (`<html lang>`). Labels are matched case-insensitively against the button text or aria label.
+ * The labels of the page's language come first, then the English ones and then those of the other languages,
+ * in case the page language is missing or wrong. Failing all of them, `PageAgent` falls back to the structure
+ * of the page.
+ */
+
+const BUTTON_LABELS = {
+  en: { retry: ["Rerun failed jobs"], confirm: ["Yes"] },
+  de: { retry: ["Fehlerhafte Aufträge erneut ausführen", "Fehlgeschlagene Aufträge erneut ausführen"], confirm: ["Ja"] },
+  fr: { retry: ["Réexécuter les travaux ayant échoué", "Réexécuter les travaux en échec"], confirm: ["Oui"] },
+  es: { retry: ["Volver a ejecutar los trabajos con errores", "Volver a ejecutar trabajos con errores"], confirm: ["Sí"] },
+  it: { retry: ["Riesegui i processi non riusciti"], confirm: ["Sì"] },
+  pt: { retry: ["Executar novamente os trabalhos com falha"], confirm: ["Sim"] },
+  ja: { retry: ["失敗したジョブを再実行"], confirm: ["はい"] },
+  ko: { retry: ["실패한 작업 다시 실행"], confirm: ["예"] },
+  zh: { retry: ["重新运行失败的作业"], confirm: ["是"] },
+};
+
+/**
+ * Get the button labels to try for a UI language, in order.
+ * @param {the language tag, e.g. "de-DE"; only the primary language is used} language
+ * @returns the labels: { retry: [text], confirm: [text] }
+ */
+function getButtonLabels(language) {
+  let primary = String(language ?? "").toLowerCase().split("-")[0];
+  let languages = [primary, "en", ...Object.keys(BUTTON_LABELS)].filter((key, index, keys) => key in BUTTON_LABELS && keys.indexOf(key) === index);
+  return {
+    retry: languages.flatMap(key => BUTTON_LABELS[key].retry),
+    confirm: languages.flatMap(key => BUTTON_LABELS[key].confirm),
+  };
+}
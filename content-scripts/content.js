@@ -1,326 +1,282 @@
-class JobStatus {
-  static SUCCESS = "success";
-  static FAILED = "failed";
-  static ACTIVE = "active";
-  static CANCELLED = "cancelled";
-  static UNKNOWN = "unknown";
-}
-
 async function main() {
 
-  logger.log(`Extension started. (extension id: ${chrome.runtime.id})`);
-
-  let tabId = (await chrome.runtime.sendMessage({ type: "ping" })).tabId;
-  let loop = new RerunManager();
+  logger.info("start", translate("logStarted", chrome.runtime.id));
 
-  let urlParams = new URLSearchParams(window.location.search);
-  let maxRetryCountParam = urlParams.get("maxRetryCount");
-  if (maxRetryCountParam != null) {
-    let maxRetryCount = parseInt(maxRetryCountParam);
-    if (!isNaN(maxRetryCount)) {
-      logger.log(`Changing max retry count from ${RerunManager.MAX_RETRY_COUNT} to user-specified value of ${maxRetryCount}.`);
-      RerunManager.MAX_RETRY_COUNT = maxRetryCount;
-    }
-  }
+  // Custom hosts may use different markup (see hosts.js).
+  let host = findHostForUrl(await loadHosts(), window.location.href);
+  let agent = new PageAgent(document, host);
 
   /**
-   * Listen to messages from the background script (thing which handles events from the extension button).
+   * Listen to messages from the background script, which owns the retry loop and
+   * uses this script to read and interact with the page.
    */
-  chrome.runtime.onMessage.addListener(async function (message, sender) {
+  chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
 
     switch (message.type) {
-      case "action-clicked":
-        if (loop.running) {
-          logger.log("Extension action button was clicked. Cancelling...");
-          loop.cancel("cancelled by user");
-        } else {
-          logger.log("Extension action button was clicked. Starting...");
-          loop.start();
-        }
+      case "agent-ping":
+        sendResponse({ ok: true });
+        break;
+      case "get-page-info":
+        sendResponse(agent.pageInfo);
+        break;
+      case "get-status":
+        sendResponse({ buildId: agent.pageInfo.buildId, status: agent.scrapeJobStatus() });
+        break;
+      case "get-failures":
+        sendResponse({ buildId: agent.pageInfo.buildId, failures: agent.scrapeFailures() });
         break;
-      case "url-updated":
-        if (loop.running && tabId === message.payload.tabId) {
-          logger.log("User navigated away from the original page. Cancelling...");
-          loop.cancel("URL changed");
+      case "rerun":
+        // Only click if the page still shows the build being watched.
+        if (agent.pageInfo.buildId !== message.payload.buildId) {
+          sendResponse({ submitted: false });
+          break;
+        }
+        agent.clickRerunButtons().then(submitted => sendResponse({ submitted }));
+        return true; // respond asynchronously
+      case "render-state":
+        if (agent.pageInfo.buildId === message.payload.buildId) {
+          agent.render(message.payload.state);
         }
+        sendResponse({ ok: true });
+        break;
+      case "diagnose":
+        sendResponse(agent.diagnose());
+        break;
+      case "find-rerun-button":
+        // For dry runs: whether the rerun button would have been clicked, without clicking it.
+        sendResponse({ buildId: agent.pageInfo.buildId, found: agent.findRetryButton() != null });
+        break;
+      case "get-dom-snapshot":
+        sendResponse({ snapshot: agent.snapshotDom() });
         break;
       default:
-        console.log(`Unable to parse message of type '${(message.type == null ? "(null or undefined)" : message.type)}'`);
+        logger.warn("message", translate("logUnknownMessage", message.type == null ? translate("missingMessageType") : message.type));
         break;
     }
   });
 
   // Since we're web scraping, do a dry run to make sure the elements are still detectable.
   // These warnings will appear if/when the HTML/CSS of the page is changed in a breaking manner.
-  let detectedJobStatus = loop.jobStatus;
+  let detectedJobStatus = agent.scrapeJobStatus();
   if (detectedJobStatus === JobStatus.UNKNOWN) {
 
-    logger.warn(`Unable to detect the ADO pipeline job status based on the existing CSS selector ` +
-      `'${RerunManager.STATUS_ICON_SELECTOR}' and icon class list '[${RerunManager.STATUS_ICON_CLASSES}]'. ` +
-      `HTML/CSS detection may be broken.`);
-
-  } else if (detectedJobStatus === JobStatus.FAILED && !loop.detectButton(RerunManager.RETRY_BUTTON_TEXT)) {
+    logger.warn("detection", translate("logStatusUndetectable", agent.markup.statusIconSelector, PageAgent.STATUS_ICON_CLASSES), { buildId: agent.pageInfo.buildId });
 
-    logger.warn(`Unable to detect the retry button based on the text content '${RerunManager.RETRY_BUTTON_TEXT}'` +
-      `and the existing CSS selector '${RerunManager.BUTTON_SELECTOR}' despite the pipeline being in failure state. ` +
-      `HTML/CSS detection may be broken.`);
+  } else if (detectedJobStatus === JobStatus.FAILED && agent.findRetryButton() == null) {
 
-  }
+    logger.warn("detection", translate("logRetryButtonUndetectable", agent.uiLanguage, agent.markup.buttonSelector), { buildId: agent.pageInfo.buildId });
 
-  if (!loop.running) {
-    logger.log("Extension action button was clicked. Starting...");
-    loop.start();
   }
 
-  return loop.currentState;
-}
-
-/**
- * Get the current tab. Requires "tabs" manifest permission.
- * @returns the current tab
- */
-async function getCurrentTab() {
-  let queryOptions = { active: true, lastFocusedWindow: true };
-  let [tab] = await chrome.tabs.query(queryOptions);
-  return tab;
+  return agent.pageInfo;
 }
 
 /**
- * Manager class responsible for the following:
- * - detection of the ADO pipeline status (active/failed/success)
- * - detection and click of the "rerun failed jobs" button
- * - communication of state with the background script
- * - lifetime of the running content script (timeout/cancel/retries)
+ * Agent class responsible for the following:
+ * - detection of the ADO pipeline shown on the page and its status (active/failed/success)
+ * - detection and click of the "rerun failed jobs" button, in the UI language of the page (see button-labels.js)
+ * - reflecting the state of the watch in the browser tab (favicon and title)
+ *
+ * The retry loop itself runs in the background script, so the agent keeps no state
+ * and can be injected again whenever the page is reloaded.
  */
-class RerunManager {
+class PageAgent {
 
-  // Behavioral constants
-  static MAX_RETRY_COUNT = 2; // retry the failed jobs at most 2 times
-  static ITER_DELAY_MILLIS = 60 * 1000; // check for the retry button every minute
-  static TIMEOUT_MILLIS = 5 * 60 * 60 * 1000; // time out after 5 hours
-
-  // Web scraping element detection constants
-  static RETRY_BUTTON_TEXT = "Rerun failed jobs";
-  static CONFIRM_BUTTON_TEXT = "Yes";
+  // Web scraping element detection constants (custom hosts may override some, see hosts.js)
   static BUTTON_SELECTOR = "button > span";
+  static LABELLED_BUTTON_SELECTOR = 'button[aria-label], [role="button"][aria-label]';
+  static DIALOG_SELECTOR = '[role="dialog"], [role="alertdialog"]';
+  static DIALOG_PRIMARY_BUTTON_SELECTOR = "button.primary";
   static STATUS_ICON_SELECTOR = "svg.bolt-status";
-  static STATUS_ICON_CLASSES = [JobStatus.SUCCESS, JobStatus.FAILED, JobStatus.ACTIVE, "animate", "neutral"];
+  static STATUS_ICON_CLASSES = [JobStatus.SUCCESS, JobStatus.FAILED, JobStatus.WAITING, JobStatus.ACTIVE, "animate", "neutral"];
   static PR_TITLE_SELECTOR = '[role="heading"]';
+  static PIPELINE_LINK_SELECTOR = 'a[href*="definitionId="]';
+  static ISSUE_MESSAGE_SELECTOR = ".run-issues-list .issue-message"; // the "Errors" list on the build summary
 
-  // Private instance members
-  #startTime = null;
-  #endTime = null;
-  #retries = 0;
-  #cancelled = false;
-  #cancellationReason = null;
-  #cancellationNonce = null;
+  // Diagnostics: how many candidate elements to list per detector, and what the DOM snapshot keeps.
+  static MAX_DIAGNOSTIC_CANDIDATES = 10;
+  static SNAPSHOT_REMOVED_SELECTOR = "script, style, noscript, iframe, link, meta, title, template, img, input, textarea";
+  static SNAPSHOT_ATTRIBUTES = ["id", "class", "role", "type", "lang", "hidden", "disabled"];
+  static MAX_SNAPSHOT_LENGTH = 500000;
 
-  // Save the original browser tab icon so it can be restored if necessary.
-  static #originalFaviconUrl = null;
+  // Save the original browser tab icon and title so they can be restored if necessary.
+  #originalFaviconUrl = null;
+  #originalTitle = null;
 
-  constructor() {
-  }
+  // The last rendered state, and the timer which keeps the elapsed time in the title up to date.
+  #state = null;
+  #titleTimer = null;
+  static TITLE_REFRESH_MILLIS = 1000;
+
+  // How long to wait for the confirmation dialog after clicking the rerun button.
+  static CONFIRM_DELAY_MILLIS = 1000;
+
+  #document = null;
+  #host = null;
+  #markup = null;
 
   /**
-   * Convert the current state to a serializable object to send to the background script.
-   * @returns The current state of the main loop.
+   * @param {the document of the ADO page, e.g. a fixture document when testing} doc
+   * @param {the host of the page, see hosts.js} host
    */
-  get currentState() {
-    return {
-      running: this.running,
-      cancelled: this.#cancelled,
-      finished: this.finished,
-      status: this.jobStatus,
-      startTime: (this.#startTime == null ? 0 : this.#startTime.getTime()), // timestamp with milliseconds precision
-      endTime: (this.#endTime == null ? 0 : this.#endTime.getTime()), // timestamp with milliseconds precision
-      retries: this.#retries,
-      cancellationReason: this.#cancellationReason
+  constructor(doc = document, host = null) {
+    this.#document = doc;
+    this.#host = host;
+    let overrides = host?.overrides ?? {};
+    let labels = getButtonLabels(this.uiLanguage);
+    this.#markup = {
+      buttonSelector: overrides.buttonSelector ?? PageAgent.BUTTON_SELECTOR,
+      statusIconSelector: overrides.statusIconSelector ?? PageAgent.STATUS_ICON_SELECTOR,
+      retryLabels: overrides.retryButtonText != null ? [overrides.retryButtonText] : labels.retry,
+      confirmLabels: overrides.confirmButtonText != null ? [overrides.confirmButtonText] : labels.confirm,
     };
   }
 
-  resetState() {
-    this.#startTime = null;
-    this.#endTime = null;
-    this.#retries = 0;
-    this.#cancelled = false;
-    this.#cancellationReason = null;
-    this.#cancellationNonce = null;
+  /**
+   * The selectors and button labels used on this page: the defaults above and the labels of the
+   * page's UI language, overridden by the host's.
+   */
+  get markup() {
+    return this.#markup;
   }
 
   /**
-   * Start a new retry loop.
-  */
-  async start() {
-
-    this.resetState();
-    this.#startTime = new Date();
-    let nonce = uuidv4();
-    this.#cancellationNonce = nonce;
-
-    // Automatically stop probing for the button after the timeout expires.
-    setTimeout(() => {
-      if (!this.#cancelled && this.#cancellationNonce === nonce) {
-        logger.log(`Timeout reached. Cancelling...`);
-        this.cancel("timed out");
-      }
-    }, RerunManager.TIMEOUT_MILLIS);
-
-    // Send a current state update to the background script.
-    this.#sendUpdate();
-
-    while (this.#shouldRun) {
-
-      let clicked = false;
+   * The UI language of the page, which ADO takes from the user's profile rather than from the browser.
+   */
+  get uiLanguage() {
+    return this.#document.documentElement.lang || navigator.language || "en";
+  }
 
-      if (this.#clickButton(RerunManager.RETRY_BUTTON_TEXT)) {
+  /**
+   * Identify the pipeline shown on the page, for matching against the retry profiles.
+   * The build results page doesn't carry the definition id in its URL, so fall back to the
+   * breadcrumb link back to the pipeline, which does (and whose text is the pipeline name).
+   * The page is a single-page app, so this is re-evaluated on every call.
+   * @returns the pipeline context: organization, project, collectionUrl, buildId, definitionId, pipelineName and url
+   */
+  get pageInfo() {
 
-        // Wait for a second before checking for the confirmation modal.
-        // Could replace with something like [webdriver waits](https://www.selenium.dev/documentation/webdriver/waits/)
-        // but the 1 second static delay really doesn't matter here.
-        await Task.Delay(1000);
+    let context = { ...parseAdoUrl(this.#document.location.href, this.#host?.baseUrl), pipelineName: null, url: this.#document.location.href };
 
-        if (this.#clickButton(RerunManager.CONFIRM_BUTTON_TEXT)) {
-          this.#retries++;
-          clicked = true;
-          logger.log(`Executing retry. (${this.#retries}/${RerunManager.MAX_RETRY_COUNT})`);
-          this.#sendUpdate();
-        } else {
-          logger.warn("Clicked retry button, but was unable to click the confirm button.");
-        }
-      } else {
-        let status = this.jobStatus; // pin it
-        if (status !== JobStatus.SUCCESS && status !== JobStatus.ACTIVE) {
-          // If pipeline status is "failed", the button is supposed to be present.
-          // This warning will appear if/when the HTML/CSS for the button changes
-          // enough to break the button detection.
-          logger.warn("Unable to detect and click the retry button.");
-        }
-      }
+    let pipelineLink = this.#document.querySelector(PageAgent.PIPELINE_LINK_SELECTOR);
+    if (pipelineLink != null) {
+      let linkedDefinitionId = parseAdoUrl(pipelineLink.href, this.#host?.baseUrl).definitionId;
+      context.definitionId = context.definitionId ?? linkedDefinitionId;
+      context.pipelineName = pipelineLink.textContent.trim() || null;
+    }
 
-      // Wait for the ADO job status to be active.
-      // It takes quite a few seconds for ADO to submit the job and update the page.
-      if (clicked) {
-        let waitForPageToRespondTimeout = 30 * 1000;
-        let timeout = new Date().getTime() + waitForPageToRespondTimeout;
-        if (!this.#cancelled && this.jobStatus !== JobStatus.ACTIVE && new Date().getTime() < timeout) {
-          logger.log("Button was clicked; waiting for ADO to update the job status...");
-          do {
-            await Task.Delay(1000);
-          } while (!this.#cancelled && this.jobStatus !== JobStatus.ACTIVE && new Date().getTime() < timeout);
-          if (this.jobStatus === JobStatus.ACTIVE) {
-            logger.log("ADO job started.");
-            this.#sendUpdate();
-          }
-        }
-      }
+    return context;
+  }
 
-      // Sleep for the iteration delay, supporting cancellation (no CancellationTokens in JS).
-      let sleepStart = new Date().getTime();
-      while (this.#shouldRun && (new Date().getTime() - sleepStart) < RerunManager.ITER_DELAY_MILLIS) {
-        await Task.Delay(1000);
-      }
+  /**
+   * Click the "Rerun failed jobs" button and confirm the dialog which follows.
+   * @returns true if the rerun was confirmed
+   */
+  async clickRerunButtons() {
 
-      // If we detected the pipeline finished, stop the script.
-      // This check requires that the iteration delay is long enough for ADO to
-      // update the page after the failed jobs are rerun, which sometimes takes >10s.
-      if (this.jobStatus === JobStatus.SUCCESS) {
-        logger.log(`Detected that the pipeline completed successfully.`);
-        break;
-      }
+    let retryButton = this.findRetryButton();
+    if (retryButton == null) {
+      return false;
     }
+    retryButton.click();
 
-    // The last retry attempt was submitted, but the pipeline is
-    // still running, so wait for it to finish before exiting.
-    if (!this.#cancelled && this.jobStatus === JobStatus.ACTIVE) {
-      logger.info("Last retry attempt submitted. Waiting for the ADO job to finish...");
-      do {
-        await Task.Delay(1000);
-      } while (!this.#cancelled && this.jobStatus === JobStatus.ACTIVE);
-    }
+    // Wait for a second before checking for the confirmation modal.
+    // Could replace with something like [webdriver waits](https://www.selenium.dev/documentation/webdriver/waits/)
+    // but the 1 second static delay really doesn't matter here.
+    await Task.Delay(PageAgent.CONFIRM_DELAY_MILLIS);
 
-    if (!this.#cancelled) {
-      this.#endTime = new Date();
+    let confirmButton = this.findConfirmButton();
+    if (confirmButton == null) {
+      logger.warn("rerun", translate("logConfirmButtonMissing"), { buildId: this.pageInfo.buildId });
+      return false;
     }
-    logger.log(`Exiting main loop (retries: ${this.#retries}, elapsed: ${(this.elapsedMillis / 1000.0).toFixed(2)}s)`);
-    logger.log(this);
+    confirmButton.click();
 
-    // Send a current state update to the background script.
-    this.#sendUpdate();
+    logger.info("rerun", translate("logRerunConfirmed"), { buildId: this.pageInfo.buildId });
+    return true;
   }
 
   /**
-   * Send a state update to the background script so it can update the extension popup visuals.
+   * Reflect the state of the watch in the browser tab.
+   * @param {the current state of the watch, see `RerunManager.currentState`} currentState
    */
-  #sendUpdate() {
-    let currentState = this.currentState;
-    chrome.runtime.sendMessage({ type: "update-state", payload: currentState });
-    
+  render(currentState) {
+
+    this.#state = currentState;
+    this.#originalTitle ??= this.#document.title;
+    clearInterval(this.#titleTimer);
+    this.#titleTimer = null;
+
+    if (!currentState.running && currentState.restorePageWhenDone !== false) {
+      this.#restorePage();
+      return;
+    }
+
     // Update the browser tab icon with the status.
-    this.#changeFavicon(currentState.status);
+    this.#changeFavicon(currentState.status, currentState.cancelled, currentState.dryRun);
 
     // Update the tab tooltip (page title) with the state.
-    var prTitleEl = document.querySelector(RerunManager.PR_TITLE_SELECTOR);
-    document.title = `${(prTitleEl == null ? "" : prTitleEl.textContent + ' ')}(retries: ${this.#retries})`;
+    this.#renderTitle();
+    if (currentState.running && (currentState.pageTitleTemplate ?? "").includes("{elapsed}")) {
+      this.#titleTimer = setInterval(() => this.#renderTitle(), PageAgent.TITLE_REFRESH_MILLIS);
+    }
   }
 
   /**
-   * Cancel the current execution. Allows for graceful shutdown.
+   * Set the page title from the title template of the watch, or the built-in title if there's none.
    */
-  cancel(reason) {
-    this.#endTime = new Date();
-    this.#cancelled = true;
-    this.#cancellationReason = reason;
-    this.#sendUpdate();
-  }
+  #renderTitle() {
 
-  /**
-   * Whether or not the main loop should continue.
-   */
-  get #shouldRun() {
-    return !this.#cancelled && this.#retries < RerunManager.MAX_RETRY_COUNT;
-  }
+    let state = this.#state;
+    let template = state.pageTitleTemplate ?? "";
 
-  /**
-   * Whether the main loop is currently running.
-   */
-  get running() {
-    return this.#startTime != null && this.#endTime == null;
-  }
+    if (template === "") {
+      var prTitleEl = this.#document.querySelector(PageAgent.PR_TITLE_SELECTOR);
+      let retries = translate(state.dryRun ? "pageTitleDryRun" : "pageTitleRetries", state.retries);
+      this.#document.title = `${(prTitleEl == null ? "" : prTitleEl.textContent + ' ')}${retries}`;
+      return;
+    }
 
-  /**
-   * Whether the main loop has finished on its own (without being user-cancelled).
-   */
-  get finished() {
-    return this.#endTime != null && !this.#cancelled;
+    let title = fillTemplate(template, {
+      title: this.#originalTitle,
+      status: state.status,
+      attempt: state.attempt,
+      maxAttempts: state.maxAttempts,
+      retries: state.retries,
+      maxRetries: state.maxRetryCount,
+      elapsed: getElapsedString(state.startTime, state.running ? new Date().getTime() : state.endTime),
+    });
+    // A custom template may leave it out, but a dry run must always say so.
+    this.#document.title = state.dryRun ? `${title} (${translate("detailDryRun")})` : title;
   }
 
   /**
-   * Gets the elapsed time in milliseconds since the main loop started.
+   * Put back the title and browser tab icon the page had before the watch.
    */
-  get elapsedMillis() {
-    if (this.#startTime != null && this.#endTime != null) {
-      return this.#endTime - this.#startTime;
-    } else if (this.#startTime != null) {
-      return new Date() - this.#startTime;
-    } else {
-      return -1;
+  #restorePage() {
+    if (this.#originalTitle != null) {
+      this.#document.title = this.#originalTitle;
+    }
+    let favicon = this.#document.querySelector('link[rel*="icon"]');
+    if (favicon != null && this.#originalFaviconUrl != null) {
+      favicon.href = this.#originalFaviconUrl;
     }
   }
 
   /**
    * Detect the ADO pipeline status by checking for the status icon.
    */
-  get jobStatus() {
+  scrapeJobStatus() {
 
     let status = JobStatus.UNKNOWN;
 
     // Get the first pipeline status icon on the page.
-    let icon = document.querySelector(RerunManager.STATUS_ICON_SELECTOR);
+    let icon = this.#document.querySelector(this.#markup.statusIconSelector);
 
     if (icon != null && icon.classList != null) {
 
       // Detect status using the icon's class list.
-      for (const clsName of RerunManager.STATUS_ICON_CLASSES) {
+      for (const clsName of PageAgent.STATUS_ICON_CLASSES) {
         if (icon.classList.contains(clsName)) {
           status = clsName;
           break;
@@ -339,56 +295,249 @@ class RerunManager {
     return status;
   }
 
-  #clickButton(textContent) {
-    return this.detectButton(textContent, btn => btn.click());
+  /**
+   * Collect the error messages listed on the build summary, for `classifyFailures`.
+   * The summary doesn't group the errors by job, so they're reported as a single failure.
+   * @returns the failures: [{ job: null, messages: [text] }], or none if no errors are listed
+   */
+  scrapeFailures() {
+    let messages = Array.from(this.#document.querySelectorAll(PageAgent.ISSUE_MESSAGE_SELECTOR))
+      .map(el => el.textContent.trim())
+      .filter(text => text.length > 0);
+    return messages.length === 0 ? [] : [{ job: null, messages }];
+  }
+
+  /**
+   * Run every detector against the page, for the diagnostics page.
+   * Where a detector finds nothing with its selector, similar elements are listed and a selector is
+   * suggested, which can be set as a host override (see hosts.js). Like in the DOM snapshot, the text
+   * of the listed elements is masked.
+   * @returns the report: url, uiLanguage, host, markup, pageInfo, jobStatus and the `detectors`,
+   * each with its name, selector, matchCount, candidates (element descriptions), result, ok and suggestion
+   */
+  diagnose() {
+
+    let describe = el => this.#describeElement(el);
+    let detectors = [];
+    let jobStatus = this.scrapeJobStatus();
+
+    let icons = Array.from(this.#document.querySelectorAll(this.#markup.statusIconSelector));
+    let iconLookalikes = icons.length > 0 ? [] : Array.from(this.#document.querySelectorAll(PageAgent.STATUS_ICON_CLASSES.map(cls => `svg.${cls}`).join(", ")));
+    detectors.push({
+      name: "Status icon",
+      selector: this.#markup.statusIconSelector,
+      matchCount: icons.length,
+      candidates: (icons.length > 0 ? icons : iconLookalikes).map(describe),
+      result: jobStatus,
+      ok: jobStatus !== JobStatus.UNKNOWN,
+      suggestion: iconLookalikes.length > 0 ? this.#suggestSelector(iconLookalikes[0]) : null,
+    });
+
+    let retryButton = this.findRetryButton();
+    let buttonSelector = `${this.#markup.buttonSelector}, ${PageAgent.LABELLED_BUTTON_SELECTOR}`;
+    let labelled = Array.from(this.#document.querySelectorAll("button, [role=\"button\"]"))
+      .filter(el => this.#markup.retryLabels.some(label => el.textContent.toLowerCase().includes(label.toLowerCase())));
+    detectors.push({
+      name: "Rerun button",
+      selector: buttonSelector,
+      matchCount: this.#document.querySelectorAll(buttonSelector).length,
+      candidates: (retryButton != null ? [retryButton] : labelled).map(describe),
+      result: retryButton == null ? "not found" : "found",
+      // The button is only shown for failed builds.
+      ok: retryButton != null || jobStatus !== JobStatus.FAILED,
+      suggestion: retryButton == null && labelled.length > 0 ? this.#suggestSelector(labelled[0]) : null,
+    });
+
+    let dialog = this.#findOpenDialog();
+    let confirmButton = this.findConfirmButton();
+    detectors.push({
+      name: "Confirm button",
+      selector: PageAgent.DIALOG_SELECTOR.split(", ").map(dialogSelector => `${dialogSelector} ${this.#markup.buttonSelector}`).join(", "),
+      matchCount: dialog == null ? 0 : dialog.querySelectorAll(this.#markup.buttonSelector).length,
+      candidates: confirmButton == null ? [] : [describe(confirmButton)],
+      result: dialog == null ? "no dialog open" : (confirmButton == null ? "not found" : "found"),
+      ok: dialog == null || confirmButton != null,
+      suggestion: null,
+    });
+
+    for (const [name, selector] of [["Pipeline link", PageAgent.PIPELINE_LINK_SELECTOR], ["Title", PageAgent.PR_TITLE_SELECTOR], ["Error messages", PageAgent.ISSUE_MESSAGE_SELECTOR]]) {
+      let matches = Array.from(this.#document.querySelectorAll(selector));
+      detectors.push({
+        name,
+        selector,
+        matchCount: matches.length,
+        candidates: matches.map(describe),
+        result: matches.length === 0 ? "not found" : "found",
+        // Optional: only the error messages of failed builds are listed, and the rest is informational.
+        ok: true,
+        suggestion: null,
+      });
+    }
+
+    for (const detector of detectors) {
+      detector.candidates = detector.candidates.slice(0, PageAgent.MAX_DIAGNOSTIC_CANDIDATES);
+    }
+
+    return {
+      url: this.#document.location.href,
+      uiLanguage: this.uiLanguage,
+      host: this.#host?.name ?? null,
+      markup: this.#markup,
+      pageInfo: this.pageInfo,
+      jobStatus,
+      detectors,
+    };
   }
 
   /**
-   * Detect a button on the page by its child span's text content and perform the given action on it.
-   * If multiple such buttons are found, only the first will be clicked.
-   * @param {The text content to match} textContent 
-   * @param {Action to perform on the found button} textContent 
+   * Take a snapshot of the page's markup for bug reports, without its content: scripts, styles, images and
+   * inputs are removed, only structural attributes are kept, and text other than the button labels is masked.
+   * @returns the HTML of the snapshot
    */
-  detectButton(textContent, action = btn => { }) {
+  snapshotDom() {
 
-    // If there are multiple buttons, only the first will be considered.
-    let button = null;
+    let clone = this.#document.documentElement.cloneNode(true);
+    clone.querySelectorAll(PageAgent.SNAPSHOT_REMOVED_SELECTOR).forEach(el => el.remove());
 
-    document.querySelectorAll(RerunManager.BUTTON_SELECTOR).forEach(el => {
-      if (!button && el.textContent.includes(textContent)) {
-        button = el;
+    for (const el of [clone, ...clone.querySelectorAll("*")]) {
+      for (const attr of Array.from(el.attributes)) {
+        if (attr.name === "aria-label") {
+          attr.value = this.#maskText(attr.value);
+        } else if (!PageAgent.SNAPSHOT_ATTRIBUTES.includes(attr.name) && !attr.name.startsWith("aria-")) {
+          el.removeAttribute(attr.name);
+        }
       }
-    });
+      for (const node of el.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          node.textContent = this.#maskText(node.textContent);
+        }
+      }
+    }
+
+    let html = clone.outerHTML;
+    if (html.length > PageAgent.MAX_SNAPSHOT_LENGTH) {
+      html = html.substring(0, PageAgent.MAX_SNAPSHOT_LENGTH) + "\n<!-- truncated -->";
+    }
+    return html;
+  }
+
+  /**
+   * Describe an element in a line, e.g. `<button class="primary" aria-label="Yes"> "Yes"`.
+   */
+  #describeElement(el) {
+    let attributes = ["id", "class", "role", "aria-label"]
+      .filter(name => el.hasAttribute(name))
+      .map(name => ` ${name}="${name === "aria-label" ? this.#maskText(el.getAttribute(name)) : el.getAttribute(name)}"`)
+      .join("");
+    let text = this.#maskText(el.textContent.trim().replace(/\s+/g, " "));
+    return `<${el.tagName.toLowerCase()}${attributes}>${text === "" ? "" : ` "${text.length > 80 ? text.substring(0, 80) + "…" : text}"`}`;
+  }
+
+  /**
+   * Mask the letters and digits of a text which may be private (e.g. PR titles and error messages),
+   * keeping the button labels the detection relies on.
+   */
+  #maskText(text) {
+    let labels = [...this.#markup.retryLabels, ...this.#markup.confirmLabels].map(label => label.toLowerCase());
+    if (labels.includes(text.trim().toLowerCase())) {
+      return text;
+    }
+    return text.replace(/\p{L}/gu, "x").replace(/\p{N}/gu, "0");
+  }
 
-    let found = button !== null;
+  /**
+   * Suggest a selector for an element: its tag name and first class which isn't a status.
+   */
+  #suggestSelector(el) {
+    let cls = Array.from(el.classList).find(name => !PageAgent.STATUS_ICON_CLASSES.includes(name));
+    let selector = el.tagName.toLowerCase() + (cls == null ? "" : `.${cls}`);
+    // The rerun button's label is matched in the elements the selector finds.
+    return el.parentElement?.tagName === "BUTTON" ? `button > ${selector}` : selector;
+  }
 
-    if (found) {
-      action(button);
+  /**
+   * Detect the "Rerun failed jobs" button by its label in the page's UI language.
+   * @returns the button (or its label element, which can be clicked all the same), or null if not found
+   */
+  findRetryButton() {
+    return this.#findButton(this.#document, this.#markup.retryLabels);
+  }
+
+  /**
+   * Detect the button confirming the rerun by its label, in the open dialog only: a "Yes" elsewhere on the page
+   * (e.g. in a PR description) mustn't be clicked. The label has to match the whole button text.
+   * Falls back to the dialog's primary button, for UI languages without labels.
+   * @returns the button (or its label element), or null if not found
+   */
+  findConfirmButton() {
+    let dialog = this.#findOpenDialog();
+    if (dialog == null) {
+      return null;
     }
+    return this.#findButton(dialog, this.#markup.confirmLabels, true)
+      ?? dialog.querySelector(PageAgent.DIALOG_PRIMARY_BUTTON_SELECTOR);
+  }
+
+  /**
+   * Detect the open dialog: the last one added to the page which isn't hidden.
+   * @returns the dialog element, or null if none is open
+   */
+  #findOpenDialog() {
+    return Array.from(this.#document.querySelectorAll(PageAgent.DIALOG_SELECTOR))
+      .filter(dialog => dialog.closest('[hidden], [aria-hidden="true"]') == null)
+      .at(-1) ?? null;
+  }
+
+  /**
+   * Detect a button by its child span's text content, or else by its aria label.
+   * The labels are tried in order, and if multiple buttons match a label, only the first is returned.
+   * @param {the element to search in} root
+   * @param {the labels to match, case-insensitively, in order of preference} labels
+   * @param {whether a label has to match the whole text, rather than be part of it} exact
+   */
+  #findButton(root, labels, exact = false) {
 
-    return found;
+    let spans = Array.from(root.querySelectorAll(this.#markup.buttonSelector));
+    let labelled = Array.from(root.querySelectorAll(PageAgent.LABELLED_BUTTON_SELECTOR));
+    let matches = (text, label) => {
+      if (text == null) {
+        return false;
+      }
+      text = text.trim().replace(/\s+/g, " ").toLowerCase();
+      return exact ? text === label.toLowerCase() : text.includes(label.toLowerCase());
+    };
+
+    for (const label of labels) {
+      let button = spans.find(el => matches(el.textContent, label)) ?? labelled.find(el => matches(el.getAttribute("aria-label"), label));
+      if (button != null) {
+        return button;
+      }
+    }
+    return null;
   }
 
   /**
    * Change the icon in the browser tab to match the current state of the pipeline.
-   * @param {The JobStatus of the ADO pipeline} jobStatus 
+   * @param {The JobStatus of the ADO pipeline} jobStatus
+   * @param {Whether the watch was cancelled} cancelled
+   * @param {Whether the watch is a dry run} dryRun
    */
-  #changeFavicon(jobStatus) {
+  #changeFavicon(jobStatus, cancelled, dryRun) {
 
     // Detect the favicon element.
-    let favicon = document.querySelector('link[rel*="icon"]');
+    let favicon = this.#document.querySelector('link[rel*="icon"]');
     if (favicon == null) {
       // We can't change the favicon if the site didn't specify one.
       return;
     }
 
-    if (RerunManager.#originalFaviconUrl == null) {
+    if (this.#originalFaviconUrl == null) {
       // Save the original one in case we want to restore it.
-      RerunManager.#originalFaviconUrl = favicon.href;
+      this.#originalFaviconUrl = favicon.href;
     }
 
-    if (this.#cancelled) {
-      favicon.href = RerunManager.#originalFaviconUrl;
+    if (cancelled) {
+      favicon.href = this.#originalFaviconUrl;
       return;
     }
 
@@ -396,6 +545,7 @@ class RerunManager {
 
     switch (jobStatus) {
       case JobStatus.ACTIVE:
+      case JobStatus.WAITING:
         iconPath = "/icons/favicons/blue.ico";
         break;
       case JobStatus.FAILED:
@@ -405,12 +555,17 @@ class RerunManager {
         iconPath = "/icons/favicons/green.ico";
         break;
       default:
-        if (favicon.href !== RerunManager.#originalFaviconUrl) {
-          favicon.href = RerunManager.#originalFaviconUrl;
+        if (favicon.href !== this.#originalFaviconUrl) {
+          favicon.href = this.#originalFaviconUrl;
         }
         return;
     }
 
+    if (dryRun) {
+      // Dry runs get a hollow version of the icon, so they aren't mistaken for real ones.
+      iconPath = iconPath.replace(/\.ico$/, "-dry-run.ico");
+    }
+
     if (iconPath != null) {
       // Get a URL generated by the extension runtime to expose the local favicons.
       let generatedFakeUrl = chrome.runtime.getURL(iconPath);
@@ -421,24 +576,9 @@ class RerunManager {
 }
 
 /**
- * Bind to the console so that logs can be prefixed with extension name and timestamp.
+ * Log to the console of the page and, through the background script, to the extension's log (see log.js).
  */
-var logger = (function () {
-
-  var timestamp = function () { };
-
-  timestamp.toString = function () {
-    return "[retry-failed-jobs " + (new Date).toLocaleTimeString() + "]";
-  };
-
-  return {
-    log: console.log.bind(console, '%s', timestamp),
-    error: console.error.bind(console, '%s', timestamp),
-    info: console.info.bind(console, '%s', timestamp),
-    warn: console.warn.bind(console, '%s', timestamp),
-  };
-
-})();
+var logger = new Logger("content", entries => chrome.runtime.sendMessage({ type: "log", payload: { entries } }));
 
 class Task {
   static async Delay(millis) {
@@ -446,18 +586,8 @@ class Task {
   }
 }
 
-/**
- * Helper function to generate a guid.
- * @returns a guid
- */
-function uuidv4() {
-  return ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, c =>
-    (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16)
-  );
-}
-
 // This top-level expression is returned as a frame result
 // to the caller of `chrome.scripting.executeScript`, if applicable.
 (async function () {
   return await main();
-})();
\ No newline at end of file
+})();
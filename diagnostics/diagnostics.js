@@ -0,0 +1,115 @@
+// The tab being diagnosed, passed by the popup in the query string.
+const tabId = parseInt(new URLSearchParams(window.location.search).get("tabId"));
+
+// The last report, see `PageAgent.diagnose`.
+let report = null;
+
+/**
+ * Send a request to the background script.
+ * @param {the message type} type
+ * @param {the message payload} payload
+ * @returns the result of the request
+ */
+async function sendRequest(type, payload = {}) {
+  let res = await chrome.runtime.sendMessage({ type, payload });
+  if (res?.error != null) {
+    throw new Error(res.error);
+  }
+  return res?.result;
+}
+
+/**
+ * Describe the watch of the diagnosed tab in a few words.
+ * @param {the current state of the watch, or null if the tab isn't watched} state
+ * @returns the description
+ */
+function describeWatch(state) {
+  if (state == null) {
+    return "not watched";
+  } else if (state.running && state.detectionBroken) {
+    return `watching, but the status isn't detectable (retries: ${state.retries})`;
+  } else if (state.running) {
+    return `watching through ${state.source === "api" ? "the REST API" : "the page"} (retries: ${state.retries})`;
+  }
+  return `finished (${state.status}, retries: ${state.retries})`;
+}
+
+function render() {
+
+  let fields = {
+    url: report.url,
+    host: report.host ?? "-",
+    uiLanguage: report.uiLanguage,
+    jobStatus: report.jobStatus,
+    watch: describeWatch(report.watch),
+  };
+  document.querySelectorAll("[data-field]").forEach(el => {
+    el.textContent = fields[el.dataset.field];
+  });
+
+  let template = document.getElementById("detector-template");
+  document.querySelector("#detectors tbody").replaceChildren(...report.detectors.map(detector => {
+    let row = template.content.firstElementChild.cloneNode(true);
+    row.querySelector(".verdict").classList.add(detector.ok ? "ok" : "broken");
+    row.querySelector(".name").textContent = detector.name;
+    row.querySelector(".selector").textContent = detector.selector;
+    let suggestion = row.querySelector(".suggestion");
+    suggestion.hidden = detector.suggestion == null;
+    suggestion.querySelector("code").textContent = detector.suggestion ?? "";
+    row.querySelector(".match-count").textContent = detector.matchCount;
+    row.querySelector(".result").textContent = detector.result;
+    row.querySelector(".candidates").replaceChildren(...detector.candidates.map(candidate => {
+      let item = document.createElement("li");
+      item.textContent = candidate;
+      return item;
+    }));
+    return row;
+  }));
+}
+
+async function run() {
+  let error = document.getElementById("error");
+  try {
+    report = await sendRequest("diagnose-tab", { tabId });
+    error.hidden = true;
+    render();
+  } catch (e) {
+    error.textContent = `Unable to run the diagnostics: ${e.message}`;
+    error.hidden = false;
+  }
+  document.getElementById("copy-report").disabled = report == null;
+}
+
+/**
+ * Copy the given text to the clipboard and say so.
+ * @param {the text} text
+ * @param {what was copied, for the status message} description
+ */
+async function copy(text, description) {
+  let status = document.getElementById("status");
+  try {
+    await navigator.clipboard.writeText(text);
+    status.textContent = `Copied the ${description}.`;
+  } catch (e) {
+    status.textContent = `Unable to copy the ${description}: ${e.message}`;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+
+  document.getElementById("run").addEventListener("click", run);
+
+  document.getElementById("copy-report").addEventListener("click", () => {
+    copy(JSON.stringify({ ...report, extensionVersion: chrome.runtime.getManifest().version, userAgent: navigator.userAgent }, null, 2), "report");
+  });
+
+  document.getElementById("copy-snapshot").addEventListener("click", async () => {
+    try {
+      copy(await sendRequest("get-dom-snapshot", { tabId }), "DOM snapshot");
+    } catch (e) {
+      document.getElementById("status").textContent = `Unable to take the DOM snapshot: ${e.message}`;
+    }
+  });
+
+  await run();
+});
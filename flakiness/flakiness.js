@@ -0,0 +1,175 @@
+// Every flakiness record and history entry, most recent first.
+let records = [];
+let entries = [];
+
+// The job charted alone, as `{ pipeline, job }` (see `getJobKey`), or null to chart every job.
+let selectedJob = null;
+
+/**
+ * Read the filter from the form. The date range is in local time and includes the "to" day.
+ * @returns the filter for `filterFlakinessRecords` and `filterHistory`
+ */
+function readFilter() {
+  let from = document.getElementById("from").valueAsDate;
+  let to = document.getElementById("to").valueAsDate;
+  let startOfLocalDay = (date) => new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()).getTime();
+  return {
+    pipeline: document.getElementById("pipeline").value || null,
+    from: from == null ? null : startOfLocalDay(from),
+    to: to == null ? null : startOfLocalDay(to) + 24 * 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Format a share as a percentage.
+ * @param {the share between 0 and 1, or null if there was nothing to compute it from} rate
+ */
+function formatRate(rate) {
+  return rate == null ? "-" : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Format a count along with its share of a total, e.g. "3 (75%)".
+ * @param {the count} count
+ * @param {the total} total
+ */
+function formatCount(count, total) {
+  return total === 0 ? String(count) : `${count} (${formatRate(count / total)})`;
+}
+
+/**
+ * Draw the trend as stacked bars, one per day: passed on retry below, failed again on top.
+ * @param {the trend, see `getFlakinessTrend`} trend
+ */
+function renderTrend(trend) {
+
+  let svg = document.getElementById("trend");
+  let width = svg.clientWidth || 800;
+  let height = svg.clientHeight || 160;
+  let max = Math.max(1, ...trend.map(day => day.passedOnRetry + day.failedAgain));
+  let barWidth = trend.length === 0 ? 0 : width / trend.length;
+  let namespace = "http://www.w3.org/2000/svg";
+
+  let bar = (x, y, barHeight, className, title) => {
+    let rect = document.createElementNS(namespace, "rect");
+    rect.setAttribute("x", x + barWidth * 0.1);
+    rect.setAttribute("y", y);
+    rect.setAttribute("width", Math.max(1, barWidth * 0.8));
+    rect.setAttribute("height", barHeight);
+    rect.setAttribute("class", className);
+    let tooltip = document.createElementNS(namespace, "title");
+    tooltip.textContent = title;
+    rect.appendChild(tooltip);
+    return rect;
+  };
+
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.replaceChildren(...trend.flatMap((day, i) => {
+    let date = new Date(day.time).toLocaleDateString();
+    let passedHeight = day.passedOnRetry / max * height;
+    let failedHeight = day.failedAgain / max * height;
+    return [
+      bar(i * barWidth, height - passedHeight, passedHeight, "passed", `${date}: ${day.passedOnRetry} passed on retry`),
+      bar(i * barWidth, height - passedHeight - failedHeight, failedHeight, "failed", `${date}: ${day.failedAgain} failed again`),
+    ];
+  }));
+}
+
+function renderPipelines() {
+  let select = document.getElementById("pipeline");
+  let selected = select.value;
+  let pipelines = [...new Set(records.map(getHistoryPipeline))].sort();
+  select.replaceChildren(select.options[0], ...pipelines.map(pipeline => new Option(pipeline, pipeline)));
+  select.value = pipelines.includes(selected) ? selected : "";
+}
+
+function render() {
+
+  let filter = readFilter();
+  let filtered = filterFlakinessRecords(records, filter);
+  let jobs = summarizeJobFlakiness(filtered, filterHistory(entries, filter));
+  let tests = summarizeTestFlakiness(filtered);
+
+  let isSelected = (job) => selectedJob != null && job.pipeline === selectedJob.pipeline && job.job === selectedJob.job;
+  if (!jobs.some(isSelected)) {
+    selectedJob = null;
+  }
+
+  let jobTemplate = document.getElementById("job-template");
+  document.querySelector("#jobs tbody").replaceChildren(...jobs.map(job => {
+    let row = jobTemplate.content.firstElementChild.cloneNode(true);
+    let rerun = job.passedOnRetry + job.failedAgain;
+    row.classList.toggle("selected", isSelected(job));
+    row.querySelector(".pipeline").textContent = job.pipeline;
+    row.querySelector(".job").textContent = job.job;
+    row.querySelector(".failed-builds").textContent = job.failedBuilds;
+    row.querySelector(".failure-rate").textContent = formatRate(job.failureRate);
+    row.querySelector(".failure-rate").title = `${job.failedBuilds} of ${job.runs} watched runs`;
+    row.querySelector(".passed-on-retry").textContent = formatCount(job.passedOnRetry, rerun);
+    row.querySelector(".failed-again").textContent = formatCount(job.failedAgain, rerun);
+    row.querySelector(".tasks").textContent = job.tasks.map(task => `${task.name} (${task.count})`).join(", ");
+    row.querySelector(".last-time").textContent = new Date(job.lastTime).toLocaleString();
+    row.addEventListener("click", () => {
+      selectedJob = isSelected(job) ? null : { pipeline: job.pipeline, job: job.job };
+      render();
+    });
+    return row;
+  }));
+
+  let testTemplate = document.getElementById("test-template");
+  document.querySelector("#tests tbody").replaceChildren(...tests.map(test => {
+    let row = testTemplate.content.firstElementChild.cloneNode(true);
+    let rerun = test.passedOnRetry + test.failedAgain;
+    row.querySelector(".pipeline").textContent = test.pipeline;
+    row.querySelector(".test").textContent = test.test;
+    row.querySelector(".run").textContent = test.run ?? "";
+    row.querySelector(".failures").textContent = test.failures;
+    row.querySelector(".passed-on-retry").textContent = formatCount(test.passedOnRetry, rerun);
+    row.querySelector(".failed-again").textContent = formatCount(test.failedAgain, rerun);
+    row.querySelector(".not-rerun").textContent = test.notRerun;
+    row.querySelector(".last-time").textContent = new Date(test.lastTime).toLocaleString();
+    return row;
+  }));
+
+  document.getElementById("trend-job").textContent = selectedJob == null ? "(all jobs)" : `(${selectedJob.pipeline}: ${selectedJob.job})`;
+  document.getElementById("empty").hidden = filtered.length > 0;
+  document.getElementById("report").hidden = filtered.length === 0;
+  renderTrend(selectedJob == null
+    ? getFlakinessTrend(filtered)
+    : getFlakinessTrend(filtered.filter(record => getHistoryPipeline(record) === selectedJob.pipeline), selectedJob.job));
+}
+
+async function refresh() {
+  records = await loadFlakinessRecords();
+  entries = await loadHistory();
+  renderPipelines();
+  render();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+
+  document.getElementById("filter").addEventListener("input", render);
+
+  document.getElementById("export-json").addEventListener("click", () => {
+    let url = URL.createObjectURL(new Blob([JSON.stringify(filterFlakinessRecords(records, readFilter()), null, 2)], { type: "application/json" }));
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = `flakiness-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  document.getElementById("clear").addEventListener("click", async () => {
+    if (confirm("Delete every recorded retry? The minimum pass rate on retry has nothing to go on until new retries are recorded.")) {
+      await clearFlakiness();
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && Object.keys(changes).some(key => key.startsWith(FLAKINESS_KEY_PREFIX) || key.startsWith(HISTORY_KEY_PREFIX))) {
+      refresh();
+    }
+  });
+
+  await refresh();
+});
@@ -0,0 +1,143 @@
+// Every history entry, most recent first.
+let entries = [];
+
+/**
+ * Describe the outcome of a run in a few words.
+ * @param {the history entry} entry
+ * @returns the description
+ */
+function describeOutcome(entry) {
+  let outcome = "failed";
+  switch (entry.outcome) {
+    case "success":
+      outcome = "succeeded";
+      break;
+    case "not-retried":
+      outcome = "not retried";
+      break;
+    case "cancelled":
+      outcome = `cancelled (${entry.cancellationReason})`;
+      break;
+  }
+  return entry.dryRun ? `dry run: ${outcome}` : outcome;
+}
+
+/**
+ * Format a statistic from `summarizeHistory`.
+ * @param {the statistic name} stat
+ * @param {the value, or null if there was nothing to compute it from} value
+ * @returns the text to display
+ */
+function formatStat(stat, value) {
+  if (value == null) {
+    return "-";
+  } else if (stat === "retrySuccessRate") {
+    return `${Math.round(value * 100)}%`;
+  } else if (stat === "averageRetriesToGreen") {
+    return value.toFixed(1);
+  }
+  return String(value);
+}
+
+/**
+ * Read the filter from the form. The date range is in local time and includes the "to" day.
+ * @returns the filter for `filterHistory`
+ */
+function readFilter() {
+  let from = document.getElementById("from").valueAsDate;
+  let to = document.getElementById("to").valueAsDate;
+  let startOfLocalDay = (date) => new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()).getTime();
+  return {
+    pipeline: document.getElementById("pipeline").value || null,
+    from: from == null ? null : startOfLocalDay(from),
+    to: to == null ? null : startOfLocalDay(to) + 24 * 60 * 60 * 1000,
+  };
+}
+
+function renderPipelines() {
+  let select = document.getElementById("pipeline");
+  let selected = select.value;
+  let pipelines = [...new Set(entries.map(getHistoryPipeline))].sort();
+  select.replaceChildren(select.options[0], ...pipelines.map(pipeline => new Option(pipeline, pipeline)));
+  select.value = pipelines.includes(selected) ? selected : "";
+}
+
+function render() {
+
+  let filtered = filterHistory(entries, readFilter());
+  let summary = summarizeHistory(filtered);
+
+  document.querySelectorAll("[data-stat]").forEach(el => {
+    el.textContent = formatStat(el.dataset.stat, summary[el.dataset.stat]);
+  });
+
+  let template = document.getElementById("run-template");
+  document.querySelector("#runs tbody").replaceChildren(...filtered.map(entry => {
+    let row = template.content.firstElementChild.cloneNode(true);
+    row.classList.toggle("dry-run", entry.dryRun === true);
+    row.querySelector(".started").textContent = new Date(entry.startTime).toLocaleString();
+    let name = row.querySelector(".name");
+    name.textContent = formatBuildName(entry.pipelineName, entry.buildId);
+    name.href = entry.url;
+    let outcome = row.querySelector(".outcome");
+    outcome.textContent = describeOutcome(entry);
+    outcome.classList.add(entry.outcome);
+    let newBuilds = entry.previousBuildIds?.length ? `, new builds: ${entry.previousBuildIds.length}` : "";
+    row.querySelector(".retries").textContent = `${entry.retries}/${entry.maxRetryCount}${newBuilds}${entry.dryRun ? " (simulated)" : ""}`;
+    row.querySelector(".elapsed").textContent = getElapsedString(entry.startTime, entry.endTime);
+    row.querySelector(".rule").textContent = entry.matchedRule ?? "";
+    row.querySelector(".rule").title = entry.failureMessage ?? "";
+    return row;
+  }));
+
+  document.getElementById("empty").hidden = filtered.length > 0;
+  document.getElementById("runs").hidden = filtered.length === 0;
+}
+
+/**
+ * Save the given text as a file through the browser's downloads.
+ * @param {the file name} fileName
+ * @param {the MIME type} type
+ * @param {the file content} content
+ */
+function download(fileName, type, content) {
+  let url = URL.createObjectURL(new Blob([content], { type }));
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function refresh() {
+  entries = await loadHistory();
+  renderPipelines();
+  render();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+
+  document.getElementById("filter").addEventListener("input", render);
+
+  let exportFileName = (extension) => `retry-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.getElementById("export-csv").addEventListener("click", () => {
+    download(exportFileName("csv"), "text/csv", historyToCsv(filterHistory(entries, readFilter())));
+  });
+  document.getElementById("export-json").addEventListener("click", () => {
+    download(exportFileName("json"), "application/json", JSON.stringify(filterHistory(entries, readFilter()), null, 2));
+  });
+
+  document.getElementById("clear").addEventListener("click", async () => {
+    if (confirm("Delete the whole retry history?")) {
+      await clearHistory();
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && Object.keys(changes).some(key => key.startsWith(HISTORY_KEY_PREFIX))) {
+      refresh();
+    }
+  });
+
+  await refresh();
+});
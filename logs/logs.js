@@ -0,0 +1,104 @@
+// Every log entry, oldest first.
+let entries = [];
+
+/**
+ * Read the filter from the form.
+ * @returns the filter for `filterLogEntries`
+ */
+function readFilter() {
+  return {
+    level: document.getElementById("level").value,
+    source: document.getElementById("source").value || null,
+    event: document.getElementById("event").value || null,
+    watchId: document.getElementById("watch").value || null,
+    text: document.getElementById("text").value,
+  };
+}
+
+/**
+ * Offer the distinct values of the entries as the options of a select, keeping the selection if it's still there.
+ * @param {the select element, whose first option means "all"} select
+ * @param {the values} values
+ */
+function renderOptions(select, values) {
+  let selected = select.value;
+  let distinct = [...new Set(values.filter(value => value != null))].sort();
+  select.replaceChildren(select.options[0], ...distinct.map(value => new Option(value, value)));
+  select.value = distinct.includes(selected) ? selected : "";
+}
+
+function render() {
+
+  // Most recent first, like the history.
+  let filtered = filterLogEntries(entries, readFilter()).reverse();
+
+  let template = document.getElementById("entry-template");
+  document.querySelector("#entries tbody").replaceChildren(...filtered.map(entry => {
+    let row = template.content.firstElementChild.cloneNode(true);
+    let time = row.querySelector(".time");
+    time.textContent = new Date(entry.time).toLocaleString();
+    time.title = `run: ${entry.runId}`;
+    let level = row.querySelector(".level");
+    level.textContent = entry.level;
+    level.classList.add(entry.level);
+    row.querySelector(".source").textContent = entry.source;
+    row.querySelector(".event").textContent = entry.event;
+    row.querySelector(".build").textContent = entry.buildId ?? "";
+    row.querySelector(".tab").textContent = entry.tabId ?? "";
+    row.querySelector(".message").textContent = entry.message;
+    return row;
+  }));
+
+  document.getElementById("count").textContent = `Showing ${filtered.length} of ${entries.length} entries (the log keeps the last ${MAX_LOG_ENTRIES}).`;
+  document.getElementById("empty").hidden = filtered.length > 0;
+  document.getElementById("entries").hidden = filtered.length === 0;
+}
+
+/**
+ * Save the given text as a file through the browser's downloads.
+ * @param {the file name} fileName
+ * @param {the MIME type} type
+ * @param {the file content} content
+ */
+function download(fileName, type, content) {
+  let url = URL.createObjectURL(new Blob([content], { type }));
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function refresh() {
+  entries = await loadLogEntries();
+  renderOptions(document.getElementById("event"), entries.map(entry => entry.event));
+  renderOptions(document.getElementById("watch"), entries.map(entry => entry.watchId));
+  render();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+
+  document.getElementById("filter").addEventListener("input", render);
+
+  let exportFileName = (extension) => `retry-log-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.getElementById("export-json").addEventListener("click", () => {
+    download(exportFileName("json"), "application/json", JSON.stringify(filterLogEntries(entries, readFilter()), null, 2));
+  });
+  document.getElementById("export-ndjson").addEventListener("click", () => {
+    download(exportFileName("ndjson"), "application/x-ndjson", filterLogEntries(entries, readFilter()).map(entry => JSON.stringify(entry) + "\n").join(""));
+  });
+
+  document.getElementById("clear").addEventListener("click", async () => {
+    if (confirm("Delete the whole log?")) {
+      await clearLog();
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && LOG_KEY in changes) {
+      refresh();
+    }
+  });
+
+  await refresh();
+});
@@ -0,0 +1,548 @@
+// The limits the policy sets on the settings (see config.js).
+let limits = {};
+
+// The origins of the hosts and webhook URLs the extension has no access to (see `getMissingHostPermissions`).
+let missingOrigins = [];
+
+/**
+ * Fill the form inputs with the given settings.
+ * @param {the settings to display} settings
+ */
+function renderSettings(settings) {
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    let input = document.getElementById(key);
+    if (input == null) {
+      continue;
+    }
+    if (input.type === "checkbox") {
+      input.checked = settings[key];
+    } else {
+      input.value = settings[key];
+    }
+    if (input.type === "number") {
+      input.min = Math.max(SETTINGS_SCHEMA[key].min, limits[key]?.min ?? -Infinity);
+      input.max = Math.min(SETTINGS_SCHEMA[key].max, limits[key]?.max ?? Infinity);
+    }
+    if (limits[key]?.value !== undefined) {
+      input.disabled = true;
+      input.title = "Set by your organization.";
+    }
+    if (input.type === "text") {
+      input.maxLength = SETTINGS_SCHEMA[key].maxLength;
+    }
+  }
+}
+
+/**
+ * Read the raw (unvalidated) values from the form inputs.
+ * @returns the raw settings object
+ */
+function readForm() {
+  let values = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    let input = document.getElementById(key);
+    if (input != null) {
+      values[key] = input.type === "checkbox" ? input.checked : input.value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Show the validation errors next to their inputs, clearing any previous ones.
+ * @param {map of error messages keyed by setting name} errors
+ */
+function renderErrors(errors) {
+  document.querySelectorAll("[data-error-for]").forEach(el => {
+    el.textContent = errors[el.dataset.errorFor] ?? "";
+  });
+}
+
+/**
+ * Preview the delays of the retry policy currently entered in the form.
+ */
+function renderRetrySchedule() {
+  let { settings } = validateSettings(readForm());
+  document.getElementById("retry-schedule").textContent = describeRetryPolicy(settings);
+}
+
+/**
+ * Show a short-lived status message next to the buttons.
+ * @param {the message to display} message
+ */
+function showStatus(message) {
+  let status = document.getElementById("status");
+  status.textContent = message;
+  setTimeout(() => {
+    if (status.textContent === message) {
+      status.textContent = "";
+    }
+  }, 2000);
+}
+
+/**
+ * Append an editor for the given profile to the profile list.
+ * @param {the profile to edit (empty for a new profile)} profile
+ */
+function addProfileEditor(profile = {}) {
+
+  let fieldset = document.getElementById("profile-template").content.firstElementChild.cloneNode(true);
+
+  fieldset.querySelectorAll("[data-field]").forEach(input => {
+    input.value = profile[input.dataset.field] ?? "";
+  });
+  fieldset.querySelectorAll("[data-setting]").forEach(input => {
+    input.value = profile.settings?.[input.dataset.setting] ?? "";
+  });
+
+  fieldset.querySelector('[data-action="remove"]').addEventListener("click", () => fieldset.remove());
+  fieldset.querySelector('[data-action="move-up"]').addEventListener("click", () => {
+    if (fieldset.previousElementSibling != null) {
+      fieldset.parentElement.insertBefore(fieldset, fieldset.previousElementSibling);
+    }
+  });
+
+  document.getElementById("profiles").appendChild(fieldset);
+}
+
+/**
+ * Replace the profile list with editors for the given profiles.
+ * @param {the profiles, in priority order} profiles
+ */
+function renderProfiles(profiles) {
+  document.getElementById("profiles").replaceChildren();
+  profiles.forEach(profile => addProfileEditor(profile));
+}
+
+/**
+ * Read the raw (unvalidated) profiles from the profile editors.
+ * @returns the raw profiles, in priority order
+ */
+function readProfiles() {
+  return Array.from(document.querySelectorAll("#profiles .profile")).map(fieldset => {
+    let profile = { settings: {} };
+    fieldset.querySelectorAll("[data-field]").forEach(input => profile[input.dataset.field] = input.value);
+    fieldset.querySelectorAll("[data-setting]").forEach(input => profile.settings[input.dataset.setting] = input.value);
+    return profile;
+  });
+}
+
+/**
+ * Append an editor for the given custom host to the host list.
+ * @param {the host to edit (empty for a new host)} host
+ */
+function addHostEditor(host = {}) {
+
+  let fieldset = document.getElementById("host-template").content.firstElementChild.cloneNode(true);
+
+  fieldset.querySelectorAll("[data-field]").forEach(input => {
+    input.value = host[input.dataset.field] ?? "";
+  });
+  fieldset.querySelectorAll("[data-override]").forEach(input => {
+    input.value = host.overrides?.[input.dataset.override] ?? "";
+  });
+
+  fieldset.querySelector('[data-action="remove"]').addEventListener("click", () => fieldset.remove());
+
+  document.getElementById("hosts").appendChild(fieldset);
+}
+
+/**
+ * Replace the host list with editors for the given hosts.
+ * @param {the custom hosts} hosts
+ */
+function renderHosts(hosts) {
+  document.getElementById("hosts").replaceChildren();
+  hosts.forEach(host => addHostEditor(host));
+}
+
+/**
+ * Read the raw (unvalidated) hosts from the host editors.
+ * @returns the raw custom hosts
+ */
+function readHosts() {
+  return Array.from(document.querySelectorAll("#hosts .host")).map(fieldset => {
+    let host = { overrides: {} };
+    fieldset.querySelectorAll("[data-field]").forEach(input => host[input.dataset.field] = input.value);
+    fieldset.querySelectorAll("[data-override]").forEach(input => host.overrides[input.dataset.override] = input.value);
+    return host;
+  });
+}
+
+/**
+ * Get the origins to access for the given custom hosts and webhook URLs, skipping invalid ones.
+ * @param {the custom hosts} hosts
+ * @param {the webhooks} webhooks
+ * @returns the origin patterns, as for `chrome.permissions.request`
+ */
+function getPermissionOrigins(hosts, webhooks) {
+  return [
+    ...hosts.map(host => validateHost(host))
+      .filter(result => result.errors.length === 0)
+      .map(result => getHostPermissionPattern(result.host)),
+    ...webhooks.map(webhook => validateWebhook(webhook))
+      .filter(result => result.errors.length === 0)
+      .map(result => getWebhookPermissionPattern(result.webhook)),
+  ];
+}
+
+/**
+ * Request access to the given custom hosts and webhook URLs.
+ * Must be called from a user gesture, before anything else is awaited.
+ * @param {the custom hosts} hosts
+ * @param {the webhooks} webhooks
+ * @returns true if access to every host and webhook URL was granted
+ */
+async function requestHostPermissions(hosts, webhooks) {
+  let origins = getPermissionOrigins(hosts, webhooks);
+  return origins.length === 0 || await chrome.permissions.request({ origins });
+}
+
+/**
+ * Give up access to the custom hosts and webhook URLs which were removed.
+ * @param {the saved custom hosts} hosts
+ * @param {the saved webhooks} webhooks
+ */
+async function removeUnusedHostPermissions(hosts, webhooks) {
+  let origins = getPermissionOrigins(hosts, webhooks);
+  let { origins: current } = await chrome.permissions.getAll();
+  let required = chrome.runtime.getManifest().host_permissions;
+  let unused = (current ?? []).filter(origin => !origins.includes(origin) && !required.includes(origin));
+  if (unused.length > 0) {
+    await chrome.permissions.remove({ origins: unused });
+  }
+}
+
+/**
+ * Show which of the saved (or policy) hosts and webhook URLs the extension has no access to, if any.
+ */
+async function renderMissingHostPermissions() {
+  missingOrigins = await getMissingHostPermissions();
+  document.getElementById("missing-origins").textContent = missingOrigins.join(", ");
+  document.getElementById("permissions-note").hidden = missingOrigins.length === 0;
+}
+
+/**
+ * Append an editor for the given auto-watch rule to the rule list.
+ * @param {the rule to edit (empty for a new rule)} rule
+ */
+function addAutoWatchRuleEditor(rule = { enabled: true }) {
+
+  let fieldset = document.getElementById("auto-watch-rule-template").content.firstElementChild.cloneNode(true);
+
+  fieldset.querySelectorAll("[data-field]").forEach(input => {
+    if (input.type === "checkbox") {
+      input.checked = rule[input.dataset.field] === true;
+    } else {
+      input.value = rule[input.dataset.field] ?? "";
+    }
+  });
+  fieldset.querySelectorAll("[data-setting]").forEach(input => {
+    input.value = rule.settings?.[input.dataset.setting] ?? "";
+  });
+
+  fieldset.querySelector('[data-action="remove"]').addEventListener("click", () => fieldset.remove());
+  fieldset.querySelector('[data-action="move-up"]').addEventListener("click", () => {
+    if (fieldset.previousElementSibling != null) {
+      fieldset.parentElement.insertBefore(fieldset, fieldset.previousElementSibling);
+    }
+  });
+
+  document.getElementById("auto-watch-rules").appendChild(fieldset);
+}
+
+/**
+ * Replace the auto-watch rule list with editors for the given rules.
+ * @param {the rules, in priority order} rules
+ */
+function renderAutoWatchRules(rules) {
+  document.getElementById("auto-watch-rules").replaceChildren();
+  rules.forEach(rule => addAutoWatchRuleEditor(rule));
+}
+
+/**
+ * Read the raw (unvalidated) auto-watch rules from the rule editors.
+ * @returns the raw rules, in priority order
+ */
+function readAutoWatchRules() {
+  return Array.from(document.querySelectorAll("#auto-watch-rules .auto-watch-rule")).map(fieldset => {
+    let rule = { settings: {} };
+    fieldset.querySelectorAll("[data-field]").forEach(input => {
+      rule[input.dataset.field] = input.type === "checkbox" ? input.checked : input.value;
+    });
+    fieldset.querySelectorAll("[data-setting]").forEach(input => rule.settings[input.dataset.setting] = input.value);
+    return rule;
+  });
+}
+
+/**
+ * Append an editor for the given webhook to the webhook list.
+ * @param {the webhook to edit (empty for a new webhook)} webhook
+ */
+function addWebhookEditor(webhook = { enabled: true, format: "json", events: ["retry", "failure"] }) {
+
+  let fieldset = document.getElementById("webhook-template").content.firstElementChild.cloneNode(true);
+
+  fieldset.querySelectorAll("[data-field]").forEach(input => {
+    if (input.type === "checkbox") {
+      input.checked = webhook[input.dataset.field] === true;
+    } else {
+      input.value = webhook[input.dataset.field] ?? "";
+    }
+  });
+  fieldset.querySelectorAll("[data-event]").forEach(input => {
+    input.checked = webhook.events?.includes(input.dataset.event) ?? false;
+  });
+
+  fieldset.querySelector('[data-action="remove"]').addEventListener("click", () => fieldset.remove());
+  fieldset.querySelector('[data-action="test"]').addEventListener("click", async () => {
+    let status = fieldset.querySelector(".test-status");
+    let raw = readWebhook(fieldset);
+    let { webhook: normalized, errors } = validateWebhook({ ...raw, events: WEBHOOK_EVENTS });
+    if (errors.length > 0) {
+      status.textContent = errors.join(" ");
+      return;
+    }
+    // Permissions can only be requested right away in response to the click.
+    if (!await chrome.permissions.request({ origins: [getWebhookPermissionPattern(normalized)] })) {
+      status.textContent = "Access to the webhook URL wasn't granted.";
+      return;
+    }
+    status.textContent = "Sending...";
+    let res = await chrome.runtime.sendMessage({ type: "test-webhook", payload: { webhook: raw } });
+    let outcome = res?.result;
+    status.textContent = res?.error != null ? res.error
+      : outcome.ok ? `Delivered. (HTTP ${outcome.status})` : `Not delivered after ${outcome.attempts} attempts: ${outcome.error}`;
+  });
+
+  document.getElementById("webhooks").appendChild(fieldset);
+}
+
+/**
+ * Replace the webhook list with editors for the given webhooks.
+ * @param {the webhooks} webhooks
+ */
+function renderWebhooks(webhooks) {
+  document.getElementById("webhooks").replaceChildren();
+  webhooks.forEach(webhook => addWebhookEditor(webhook));
+}
+
+/**
+ * Read the raw (unvalidated) webhook from a webhook editor.
+ * @param {the editor's fieldset} fieldset
+ * @returns the raw webhook
+ */
+function readWebhook(fieldset) {
+  let webhook = {};
+  fieldset.querySelectorAll("[data-field]").forEach(input => {
+    webhook[input.dataset.field] = input.type === "checkbox" ? input.checked : input.value;
+  });
+  webhook.events = Array.from(fieldset.querySelectorAll("[data-event]"))
+    .filter(input => input.checked)
+    .map(input => input.dataset.event);
+  return webhook;
+}
+
+/**
+ * Read the raw (unvalidated) webhooks from the webhook editors.
+ * @returns the raw webhooks
+ */
+function readWebhooks() {
+  return Array.from(document.querySelectorAll("#webhooks .webhook")).map(readWebhook);
+}
+
+/**
+ * Append an editor row for the given classifier rule to the rule table.
+ * @param {the rule to edit (empty for a new rule)} rule
+ */
+function addRuleEditor(rule = { action: "retry" }) {
+
+  let row = document.getElementById("rule-template").content.firstElementChild.cloneNode(true);
+
+  row.querySelectorAll("[data-field]").forEach(input => {
+    input.value = rule[input.dataset.field] ?? "";
+  });
+
+  row.querySelector('[data-action="remove"]').addEventListener("click", () => row.remove());
+  row.querySelector('[data-action="move-up"]').addEventListener("click", () => {
+    if (row.previousElementSibling != null) {
+      row.parentElement.insertBefore(row, row.previousElementSibling);
+    }
+  });
+
+  document.querySelector("#rules tbody").appendChild(row);
+}
+
+/**
+ * Replace the rule table with editors for the given rules.
+ * @param {the rules, in priority order} rules
+ */
+function renderRules(rules) {
+  document.querySelector("#rules tbody").replaceChildren();
+  rules.forEach(rule => addRuleEditor(rule));
+}
+
+/**
+ * Read the raw (unvalidated) rules from the rule table.
+ * @returns the raw rules, in priority order
+ */
+function readRules() {
+  return Array.from(document.querySelectorAll("#rules .rule")).map(row => {
+    let rule = {};
+    row.querySelectorAll("[data-field]").forEach(input => rule[input.dataset.field] = input.value);
+    return rule;
+  });
+}
+
+/**
+ * Fill the form with an imported configuration. Sections the configuration doesn't have are left as they are.
+ * @param {the validated configuration, see `validateConfig`} config
+ */
+function renderConfig(config) {
+  if (config.settings != null) {
+    renderSettings({ ...validateSettings(readForm()).settings, ...config.settings });
+    renderRetrySchedule();
+  }
+  if (config[PROFILES_STORAGE_KEY] != null) {
+    renderProfiles(config[PROFILES_STORAGE_KEY]);
+  }
+  if (config[CLASSIFIER_RULES_STORAGE_KEY] != null) {
+    renderRules(config[CLASSIFIER_RULES_STORAGE_KEY]);
+  }
+  if (config[HOSTS_STORAGE_KEY] != null) {
+    renderHosts(config[HOSTS_STORAGE_KEY]);
+  }
+  if (config[AUTO_WATCH_RULES_STORAGE_KEY] != null) {
+    renderAutoWatchRules(config[AUTO_WATCH_RULES_STORAGE_KEY]);
+  }
+  if (config[WEBHOOKS_STORAGE_KEY] != null) {
+    renderWebhooks(config[WEBHOOKS_STORAGE_KEY]);
+  }
+}
+
+/**
+ * Show a list of validation errors in the given element, clearing any previous ones.
+ * @param {the id of the list element} listId
+ * @param {the list of error messages} errors
+ */
+function renderErrorList(listId, errors) {
+  document.getElementById(listId).replaceChildren(...errors.map(error => {
+    let item = document.createElement("li");
+    item.textContent = error;
+    return item;
+  }));
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+
+  limits = (await loadPolicy()).limits;
+  document.getElementById("policy-note").hidden = Object.keys(limits).length === 0;
+  renderSettings(await loadSettings());
+  renderRetrySchedule();
+  renderProfiles(await loadProfiles());
+  renderRules(await loadClassifierRules());
+  renderAutoWatchRules(await loadAutoWatchRules());
+  renderHosts(await loadHosts());
+  renderWebhooks(await loadWebhooks());
+  await renderMissingHostPermissions();
+
+  document.getElementById("settings-form").addEventListener("input", renderRetrySchedule);
+  document.getElementById("add-profile").addEventListener("click", () => addProfileEditor());
+  document.getElementById("add-rule").addEventListener("click", () => addRuleEditor());
+  document.getElementById("add-host").addEventListener("click", () => addHostEditor());
+  document.getElementById("add-auto-watch-rule").addEventListener("click", () => addAutoWatchRuleEditor());
+  document.getElementById("add-webhook").addEventListener("click", () => addWebhookEditor());
+  document.getElementById("reset-rules").addEventListener("click", () => renderRules(DEFAULT_CLASSIFIER_RULES));
+
+  document.getElementById("grant-permissions").addEventListener("click", async () => {
+    // Permissions can only be requested right away in response to the click.
+    let granted = await chrome.permissions.request({ origins: missingOrigins });
+    await renderMissingHostPermissions();
+    showStatus(granted ? "Access granted." : "Access wasn't granted.");
+  });
+
+  document.getElementById("settings-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    // Permissions can only be requested right away in response to the click.
+    let hosts = readHosts();
+    let webhooks = readWebhooks();
+    let granted = await requestHostPermissions(hosts, webhooks);
+
+    // Every section is validated before any is saved, so that a mistake in one doesn't leave the others half saved.
+    let settings = await validateSettingsWithinPolicy(readForm());
+    renderErrors(settings.errors);
+    let profiles = validateProfiles(readProfiles());
+    renderErrorList("profile-errors", profiles.errors);
+    let rules = validateRules(readRules());
+    renderErrorList("rule-errors", rules.errors);
+    let autoWatchRules = validateAutoWatchRules(readAutoWatchRules());
+    renderErrorList("auto-watch-rule-errors", autoWatchRules.errors);
+    let validHosts = validateHosts(hosts);
+    renderErrorList("host-errors", validHosts.errors.length > 0 || granted || hosts.length === 0 ? validHosts.errors
+      : ["Access to some hosts wasn't granted, so the extension won't work on them until it is."]);
+    let validWebhooks = validateWebhooks(webhooks);
+    renderErrorList("webhook-errors", validWebhooks.errors.length > 0 || granted || webhooks.length === 0 ? validWebhooks.errors
+      : ["Access to some webhook URLs wasn't granted, so nothing is posted to them until it is."]);
+
+    let valid = Object.keys(settings.errors).length === 0 &&
+      [profiles, rules, autoWatchRules, validHosts, validWebhooks].every(result => result.errors.length === 0);
+    if (!valid) {
+      showStatus("Nothing was saved. Fix the highlighted values.");
+      return;
+    }
+
+    await chrome.storage.sync.set({
+      ...settings.settings,
+      [PROFILES_STORAGE_KEY]: profiles.profiles,
+      [CLASSIFIER_RULES_STORAGE_KEY]: rules.rules,
+      [AUTO_WATCH_RULES_STORAGE_KEY]: autoWatchRules.rules,
+      [HOSTS_STORAGE_KEY]: validHosts.hosts,
+      [WEBHOOKS_STORAGE_KEY]: validWebhooks.webhooks,
+    });
+    await removeUnusedHostPermissions(validHosts.hosts, validWebhooks.webhooks);
+    await renderMissingHostPermissions();
+    showStatus("Saved.");
+  });
+
+  document.getElementById("export-config").addEventListener("click", async () => {
+    let url = URL.createObjectURL(new Blob([JSON.stringify(await exportConfig(), null, 2)], { type: "application/json" }));
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = `retry-failed-jobs-config-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  document.getElementById("import-config").addEventListener("click", () => document.getElementById("import-file").click());
+
+  document.getElementById("import-file").addEventListener("change", async (e) => {
+    let file = e.target.files[0];
+    e.target.value = "";
+    if (file == null) {
+      return;
+    }
+    let text = await file.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      renderErrorList("import-errors", [`The file isn't valid JSON. (${error.message})`]);
+      return;
+    }
+    let { config, errors } = validateConfig(parsed);
+    renderErrorList("import-errors", errors);
+    if (errors.length > 0) {
+      showStatus("Not imported. Fix the file first.");
+      return;
+    }
+    renderConfig(config);
+    showStatus("Imported. Review the values and save them.");
+  });
+
+  document.getElementById("reset").addEventListener("click", async () => {
+    renderSettings(await resetSettings());
+    renderRetrySchedule();
+    renderErrors({});
+    showStatus("Restored defaults.");
+  });
+});
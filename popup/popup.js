@@ -0,0 +1,350 @@
+// The watches as of the last refresh.
+let watches = [];
+let currentTabId = null;
+
+// The pipeline shown in the current tab, as reported by the "get-build-stages" request.
+let currentPipeline = null;
+
+/**
+ * Send a request to the background script.
+ * @param {the message type} type
+ * @param {the message payload} payload
+ * @returns the result of the request
+ */
+async function sendRequest(type, payload = {}) {
+  let res = await chrome.runtime.sendMessage({ type, payload });
+  if (res?.error != null) {
+    throw new Error(res.error);
+  }
+  return res?.result;
+}
+
+/**
+ * Send a request about a watch from one of its buttons, showing in the watch's status if it failed
+ * or had nothing to do (i.e. returned false). The next refresh shows the watch's state again.
+ * @param {the list item of the watch} item
+ * @param {the message type} type
+ * @param {the message payload} payload
+ * @param {what to show if the request had nothing to do} unchanged
+ * @returns true if the request succeeded
+ */
+async function sendWatchRequest(item, type, payload, unchanged = null) {
+  let message = null;
+  try {
+    if (await sendRequest(type, payload) === false) {
+      message = unchanged;
+    }
+  } catch (e) {
+    message = translate("popupRequestFailed", e.message);
+  }
+  if (message != null) {
+    let status = item.querySelector(".status");
+    status.textContent = message;
+    status.classList.add("error");
+  }
+  return message == null;
+}
+
+/**
+ * Show a failed request of the buttons at the top, or hide the last one.
+ * @param {the error, or null} error
+ */
+function showError(error) {
+  let element = document.getElementById("error");
+  element.textContent = error == null ? "" : error.message;
+  element.hidden = error == null;
+}
+
+/**
+ * Describe the state of a watch in a few words.
+ * @param {the current state of the watch} state
+ * @returns the description
+ */
+function describeState(state) {
+  let description = describeWatchState(state);
+  return state.dryRun ? translate("popupDryRun", description) : description;
+}
+
+/**
+ * Describe the state of a watch, dry run or not, in a few words.
+ * @param {the current state of the watch} state
+ * @returns the description
+ */
+function describeWatchState(state) {
+  if (state.running && state.paused) {
+    return translate("popupPaused");
+  } else if (state.running && state.detectionBroken) {
+    return translate("popupDetectionBroken");
+  } else if (state.running && state.status === JobStatus.WAITING) {
+    return translate("popupWaiting");
+  } else if (state.running && state.nextRetryTime != null) {
+    return translate("popupRetryAt", new Date(state.nextRetryTime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }));
+  } else if (state.running) {
+    return translate("popupWatching", state.status);
+  } else if (state.cancelled) {
+    return translate("popupCancelled", state.cancellationReason);
+  } else if (state.status === JobStatus.SUCCESS) {
+    return translate("popupSucceeded");
+  } else if (state.nonRetryable) {
+    return translate("popupNotRetried", state.matchedRule ?? translate("popupNoRuleMatched"));
+  } else {
+    return translate("popupFailed");
+  }
+}
+
+/**
+ * Pick the color of the status dot of a watch (see popup.css).
+ * @param {the current state of the watch} state
+ * @returns the CSS class
+ */
+function getStatusClass(state) {
+  if (state.running) {
+    return JobStatus.ACTIVE;
+  } else if (state.finished) {
+    return state.status === JobStatus.SUCCESS ? JobStatus.SUCCESS : JobStatus.FAILED;
+  }
+  return "";
+}
+
+function render() {
+
+  let list = document.getElementById("watches");
+  let template = document.getElementById("watch-template");
+
+  list.replaceChildren(...watches.map(watch => {
+
+    let item = template.content.firstElementChild.cloneNode(true);
+    let state = watch.state;
+
+    item.dataset.id = watch.id;
+    item.classList.toggle("current", watch.tabId != null && watch.tabId === currentTabId);
+    item.querySelector(".status-dot").className = `status-dot ${getStatusClass(state)}`;
+
+    let name = item.querySelector(".name");
+    name.textContent = watch.name;
+    name.title = watch.url;
+    name.addEventListener("click", async (e) => {
+      e.preventDefault();
+      if (await sendWatchRequest(item, "open-watch", { id: watch.id })) {
+        window.close();
+      }
+    });
+
+    item.querySelector(".status").textContent = describeState(state);
+    item.querySelector(".retries").textContent = `${state.retries}/${watch.maxRetryCount}`;
+
+    let pause = item.querySelector('[data-action="pause"]');
+    pause.hidden = !state.running;
+    pause.textContent = translate(state.paused ? "popupResume" : "popupPause");
+    pause.addEventListener("click", () => sendWatchRequest(item, state.paused ? "resume-watch" : "pause-watch", { id: watch.id }));
+    let retryNow = item.querySelector('[data-action="retry-now"]');
+    retryNow.hidden = !state.running || state.paused;
+    retryNow.addEventListener("click", () => sendWatchRequest(item, "retry-watch-now", { id: watch.id }, translate("popupNothingToRetry")));
+    // The retry gets the share of the timeout each attempt of the watch has.
+    let extend = item.querySelector('[data-action="extend"]');
+    extend.hidden = !state.running;
+    extend.title = translate("popupExtendTitle", watch.minutesPerAttempt);
+    extend.addEventListener("click", () => sendWatchRequest(item, "extend-watch", { id: watch.id, retries: 1, minutes: watch.minutesPerAttempt },
+      translate("popupBudgetFull")));
+
+    let cancel = item.querySelector('[data-action="cancel"]');
+    cancel.hidden = !state.running;
+    cancel.addEventListener("click", () => sendWatchRequest(item, "cancel-watch", { id: watch.id }));
+    item.querySelector('[data-action="restart"]').addEventListener("click", () => sendWatchRequest(item, "restart-watch", { id: watch.id }));
+    item.querySelector('[data-action="remove"]').addEventListener("click", () => sendWatchRequest(item, "remove-watch", { id: watch.id }));
+
+    return item;
+  }));
+
+  renderElapsed();
+
+  document.getElementById("empty").hidden = watches.length > 0;
+  let watchCurrent = document.getElementById("watch-current");
+  watchCurrent.disabled = currentTabId == null;
+  watchCurrent.textContent = translate(getCurrentWatch() == null ? "popupWatchPage" : "popupStopWatchingPage");
+}
+
+/**
+ * Get the running watch of the current tab.
+ * @returns the watch summary, or null if the current tab isn't being watched
+ */
+function getCurrentWatch() {
+  return watches.find(watch => watch.tabId != null && watch.tabId === currentTabId && watch.state.running) ?? null;
+}
+
+/**
+ * Update the elapsed times of the listed watches.
+ */
+function renderElapsed() {
+  for (const watch of watches) {
+    let state = watch.state;
+    let elapsed = document.querySelector(`.watch[data-id="${watch.id}"] .elapsed`);
+    if (elapsed != null) {
+      elapsed.textContent = getElapsedString(state.startTime, state.running ? new Date().getTime() : state.endTime);
+    }
+  }
+}
+
+/**
+ * List the stages and jobs of the build in the current tab, checking the current retry targets.
+ * @param {the result of the "get-build-stages" request} buildStages
+ */
+function renderTargets(buildStages) {
+
+  let { stages, retryTargets, jobRetries } = buildStages;
+  let stageTemplate = document.getElementById("stage-template");
+  let jobTemplate = document.getElementById("job-template");
+  let isListed = (stage, job) => retryTargets.targets.some(target =>
+    target.stage?.toLowerCase() === stage?.toLowerCase() && target.job?.toLowerCase() === job?.toLowerCase());
+
+  document.getElementById("target-mode").value = retryTargets.mode;
+
+  document.getElementById("stages").replaceChildren(...stages.map(stage => {
+
+    let item = stageTemplate.content.firstElementChild.cloneNode(true);
+    item.dataset.stage = stage.name ?? "";
+    let stageCheckbox = item.querySelector("label input");
+    stageCheckbox.checked = stage.name != null && isListed(stage.name, null);
+    // Builds without stages only have jobs to pick from.
+    item.querySelector("label").hidden = stage.name == null;
+    item.querySelector(".status-dot").className = `status-dot ${stage.status}`;
+    item.querySelector(".stage-name").textContent = stage.name;
+
+    item.querySelector(".jobs").replaceChildren(...stage.jobs.map(job => {
+      let jobItem = jobTemplate.content.firstElementChild.cloneNode(true);
+      jobItem.dataset.job = job.name;
+      jobItem.querySelector("input").checked = isListed(stage.name, job.name);
+      jobItem.querySelector(".status-dot").className = `status-dot ${job.status}`;
+      jobItem.querySelector(".job-name").textContent = job.name;
+      let retries = jobRetries[getJobKey(stage.name, job.name)];
+      jobItem.querySelector(".job-retries").textContent = retries == null ? "" : translate("popupJobRetries", retries);
+      return jobItem;
+    }));
+
+    return item;
+  }));
+}
+
+/**
+ * Read the retry targets from the checked stages and jobs.
+ * @returns the retry targets, see retry-targets.js
+ */
+function readTargets() {
+  let targets = [];
+  document.querySelectorAll("#stages .stage").forEach(item => {
+    let stage = item.dataset.stage || null;
+    if (stage != null && item.querySelector("label input").checked) {
+      targets.push({ stage, job: null });
+      return;
+    }
+    item.querySelectorAll(".job").forEach(jobItem => {
+      if (jobItem.querySelector("input").checked) {
+        targets.push({ stage, job: jobItem.dataset.job });
+      }
+    });
+  });
+  return { mode: document.getElementById("target-mode").value, targets };
+}
+
+async function loadTargets() {
+  let status = document.getElementById("targets-status");
+  try {
+    let buildStages = await sendRequest("get-build-stages", { tabId: currentTabId });
+    if (buildStages == null) {
+      status.textContent = translate("popupStagesUnavailable");
+      return;
+    }
+    currentPipeline = buildStages.pipeline;
+    renderTargets(buildStages);
+  } catch (e) {
+    status.textContent = translate("popupStagesFailed", e.message);
+  }
+}
+
+async function refresh() {
+  watches = await sendRequest("list-watches");
+  render();
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+
+  let [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  currentTabId = tab?.id ?? null;
+
+  // Retry targets are picked from the stages of the build in the current tab, listed through the REST API.
+  let targets = document.getElementById("targets");
+  targets.hidden = tab?.url == null || parseAdoUrl(tab.url).buildId == null;
+  targets.addEventListener("toggle", () => {
+    if (targets.open && currentPipeline == null) {
+      loadTargets();
+    }
+  });
+  document.getElementById("save-targets").addEventListener("click", async () => {
+    let status = document.getElementById("targets-status");
+    try {
+      let errors = await sendRequest("save-retry-targets", { pipeline: currentPipeline, retryTargets: readTargets() });
+      status.textContent = errors.length === 0 ? translate("popupTargetsSaved") : errors.join(" ");
+    } catch (e) {
+      status.textContent = translate("popupTargetsFailed", e.message);
+    }
+  });
+
+  // Watch the current tab, or stop watching it if it's already watched (e.g. by an auto-watch rule).
+  document.getElementById("watch-current").addEventListener("click", async () => {
+    let current = getCurrentWatch();
+    try {
+      if (current != null) {
+        await sendRequest("cancel-watch", { id: current.id });
+      } else {
+        await sendRequest("start-watch", { tabId: currentTabId });
+      }
+      showError(null);
+    } catch (e) {
+      showError(e);
+    }
+  });
+
+  document.getElementById("clear-finished").addEventListener("click", async () => {
+    try {
+      for (const watch of watches.filter(watch => !watch.state.running)) {
+        await sendRequest("remove-watch", { id: watch.id });
+      }
+      showError(null);
+    } catch (e) {
+      showError(e);
+    }
+  });
+
+  document.getElementById("open-history").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("history/history.html") });
+  });
+
+  document.getElementById("open-logs").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL("logs/logs.html") });
+  });
+
+  // Diagnose the detection on the current tab's page, which the diagnostics page reports on by tab id.
+  let openDiagnostics = document.getElementById("open-diagnostics");
+  openDiagnostics.hidden = currentTabId == null;
+  openDiagnostics.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL(`diagnostics/diagnostics.html?tabId=${currentTabId}`) });
+  });
+
+  document.getElementById("open-options").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // The background script persists every change to a watch, so storage changes are the refresh signal.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && Object.keys(changes).some(key => key.startsWith("watch:"))) {
+      refresh();
+    }
+  });
+
+  await refresh();
+  setInterval(renderElapsed, 1000);
+});
@@ -0,0 +1,413 @@
+/**
+ * Access to the Azure DevOps Builds and Timeline REST APIs, as an alternative to scraping the page.
+ * Requests are made with the user's existing ADO session (cookies), so no token is needed.
+ */
+
+/**
+ * Extract the organization, project and pipeline ids from an ADO URL.
+ * Supports the legacy {org}.visualstudio.com hosts; any other host is assumed to use the
+ * dev.azure.com layout ({host}/{org}/{project}), which is also what the mock ADO server serves.
+ * Azure DevOps Server puts its collections under a base URL ({baseUrl}/{collection}/{project}),
+ * where the collection plays the part of the organization.
+ * @param {the page URL} url
+ * @param {the base URL of the host (see hosts.js), if the organization doesn't come right after the host name} baseUrl
+ * @returns the parsed pipeline context (fields are null when not present in the URL)
+ */
+function parseAdoUrl(url, baseUrl = null) {
+
+  let context = { organization: null, project: null, collectionUrl: null, buildId: null, definitionId: null };
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return context;
+  }
+
+  let segments = parsed.pathname.split("/").filter(s => s.length > 0).map(decodeURIComponent);
+
+  // Skip the path of the base URL, e.g. "/tfs".
+  let root = parsed.origin;
+  let basePath = baseUrl == null ? [] : new URL(baseUrl).pathname.split("/").filter(s => s.length > 0).map(decodeURIComponent);
+  if (basePath.length > 0 && basePath.every((segment, i) => segment.toLowerCase() === segments[i]?.toLowerCase())) {
+    segments = segments.slice(basePath.length);
+    root = `${parsed.origin}/${basePath.map(encodeURIComponent).join("/")}`;
+  }
+
+  if (parsed.hostname.toLowerCase().endsWith(".visualstudio.com")) {
+    context.organization = parsed.hostname.split(".")[0];
+    context.project = segments[0] ?? null;
+    context.collectionUrl = parsed.origin;
+  } else if (segments.length > 0 && !segments[0].startsWith("_")) {
+    context.organization = segments[0];
+    context.project = segments[1] ?? null;
+    context.collectionUrl = `${root}/${encodeURIComponent(segments[0])}`;
+  }
+
+  // Segments starting with an underscore are ADO routes (e.g. "_build"), not project names.
+  if (context.project != null && context.project.startsWith("_")) {
+    context.project = null;
+  }
+
+  let buildId = parseInt(parsed.searchParams.get("buildId"));
+  let definitionId = parseInt(parsed.searchParams.get("definitionId"));
+  context.buildId = isNaN(buildId) ? null : buildId;
+  context.definitionId = isNaN(definitionId) ? null : definitionId;
+
+  return context;
+}
+
+/**
+ * Thin client for the ADO build REST endpoints of a single project.
+ */
+class AdoApiClient {
+
+  static API_VERSION = "7.1";
+
+  // Record types and results of interest in a build timeline.
+  static STAGE_RECORD_TYPE = "Stage";
+  static JOB_RECORD_TYPE = "Job";
+  static FAILED_RESULTS = ["failed", "canceled"];
+
+  // Approvals and checks show up in the timeline as "Checkpoint" records ("Checkpoint.Approval", ...),
+  // and manual validations as the task of an agentless job. They fail when rejected.
+  static CHECKPOINT_RECORD_TYPE = "Checkpoint";
+  static MANUAL_VALIDATION_TASK = "ManualValidation";
+
+  // Limits on how much of the failed tasks' logs is read to classify a failure.
+  static MAX_LOGS_PER_JOB = 5;
+  static MAX_LOG_LINES = 50;
+
+  // Limits on how many test runs and failed tests of a build are read for the flakiness database.
+  static MAX_TEST_RUNS = 10;
+  static MAX_FAILED_TESTS = 100;
+
+  #projectUrl = null;
+  #collectionUrl = null;
+
+  /**
+   * @param {the project URL, e.g. https://dev.azure.com/{org}/{project}} projectUrl
+   */
+  constructor(projectUrl) {
+    this.#projectUrl = projectUrl.replace(/\/+$/, "");
+    this.#collectionUrl = this.#projectUrl.replace(/\/[^/]+$/, "");
+  }
+
+  /**
+   * Create a client for the project of the given pipeline context (see `parseAdoUrl`).
+   * @param {the pipeline context} context
+   * @returns the client, or null if the context doesn't identify a project
+   */
+  static fromPipelineContext(context) {
+    if (context.collectionUrl == null || context.project == null) {
+      return null;
+    }
+    return new AdoApiClient(`${context.collectionUrl}/${encodeURIComponent(context.project)}`);
+  }
+
+  /**
+   * Map a build returned by the REST API to the status shown by the page.
+   * @param {the build resource} build
+   * @returns the JobStatus
+   */
+  static toJobStatus(build) {
+    if (build == null) {
+      return JobStatus.UNKNOWN;
+    }
+    if (build.status !== "completed") {
+      // notStarted, inProgress, cancelling, postponed
+      return JobStatus.ACTIVE;
+    }
+    switch (build.result) {
+      case "succeeded":
+      case "partiallySucceeded":
+        return JobStatus.SUCCESS;
+      case "failed":
+        return JobStatus.FAILED;
+      case "canceled":
+        return JobStatus.CANCELLED;
+      default:
+        return JobStatus.UNKNOWN;
+    }
+  }
+
+  async getBuild(buildId) {
+    return await this.#request("GET", `_apis/build/builds/${buildId}`);
+  }
+
+  async getTimeline(buildId) {
+    return await this.#request("GET", `_apis/build/builds/${buildId}/timeline`);
+  }
+
+  /**
+   * Get the id of the signed-in user, to compare with the `requestedBy`/`requestedFor` of builds.
+   * @returns the user id
+   */
+  async getAuthenticatedUserId() {
+    let connectionData = await this.#request("GET", "_apis/connectionData", null, {}, this.#collectionUrl);
+    return connectionData?.authenticatedUser?.id ?? null;
+  }
+
+  /**
+   * Get the last lines of a build log.
+   * @param {the build id} buildId
+   * @param {the log id, from a timeline record} logId
+   * @returns the log lines
+   */
+  async getLogTail(buildId, logId) {
+    let log = await this.#request("GET", `_apis/build/builds/${buildId}/logs/${logId}`);
+    return (log?.value ?? []).slice(-AdoApiClient.MAX_LOG_LINES);
+  }
+
+  /**
+   * Collect the error messages and log lines of each failed job, for `classifyFailures`.
+   * @param {the build id} buildId
+   * @returns the failed jobs: [{ job: name, messages: [text] }]
+   */
+  async getFailures(buildId) {
+
+    let records = (await this.getTimeline(buildId))?.records ?? [];
+    let failedJobs = records.filter(record =>
+      record.type === AdoApiClient.JOB_RECORD_TYPE && record.result === "failed");
+
+    let failures = [];
+    for (const job of failedJobs) {
+
+      let failedTasks = records.filter(record => record.parentId === job.id && record.result === "failed");
+      let messages = [job, ...failedTasks]
+        .flatMap(record => record.issues ?? [])
+        .filter(issue => issue.type === "error")
+        .map(issue => issue.message);
+
+      for (const task of failedTasks.filter(task => task.log != null).slice(0, AdoApiClient.MAX_LOGS_PER_JOB)) {
+        messages.push(...await this.getLogTail(buildId, task.log.id));
+      }
+
+      failures.push({ job: job.name, messages });
+    }
+    return failures;
+  }
+
+  /**
+   * Get the current status of the build. A build in progress is `WAITING` while any of its
+   * approvals, checks or manual validations is pending.
+   * @param {the build id} buildId
+   * @returns the JobStatus
+   */
+  async getJobStatus(buildId) {
+    let status = AdoApiClient.toJobStatus(await this.getBuild(buildId));
+    if (status !== JobStatus.ACTIVE) {
+      return status;
+    }
+    let records = (await this.getTimeline(buildId))?.records ?? [];
+    return records.some(record => AdoApiClient.isCheckRecord(record) && record.state === "inProgress")
+      ? JobStatus.WAITING
+      : status;
+  }
+
+  /**
+   * Whether a timeline record is an approval, a check or a manual validation.
+   * @param {the timeline record} record
+   */
+  static isCheckRecord(record) {
+    return record.type?.split(".")[0] === AdoApiClient.CHECKPOINT_RECORD_TYPE ||
+      record.task?.name === AdoApiClient.MANUAL_VALIDATION_TASK;
+  }
+
+  /**
+   * List the approvals, checks and manual validations of the build which were rejected.
+   * The "Checkpoint" records only group the approvals and checks of a stage, so they're left out.
+   * @param {the build id} buildId
+   * @returns the names of the rejected records, empty if none
+   */
+  async getRejectedChecks(buildId) {
+    let records = (await this.getTimeline(buildId))?.records ?? [];
+    return records
+      .filter(record => AdoApiClient.isCheckRecord(record) && record.type !== AdoApiClient.CHECKPOINT_RECORD_TYPE)
+      .filter(record => record.state === "completed" && record.result === "failed")
+      .map(record => record.name ?? record.type);
+  }
+
+  /**
+   * Map a timeline record (stage or job) to the status shown by the page.
+   * @param {the timeline record} record
+   * @returns the JobStatus
+   */
+  static toRecordStatus(record) {
+    if (record.state === "inProgress") {
+      return JobStatus.ACTIVE;
+    }
+    if (record.state !== "completed") {
+      // pending
+      return JobStatus.UNKNOWN;
+    }
+    switch (record.result) {
+      case "succeeded":
+      case "succeededWithIssues":
+      case "skipped":
+        return JobStatus.SUCCESS;
+      case "failed":
+        return JobStatus.FAILED;
+      case "canceled":
+      case "abandoned":
+        return JobStatus.CANCELLED;
+      default:
+        return JobStatus.UNKNOWN;
+    }
+  }
+
+  /**
+   * Group the jobs of a build timeline by stage. Jobs hang off their stage through a phase record,
+   * and builds without stages (classic pipelines) get a single stage named null.
+   * @param {the timeline records} records
+   * @returns the stages in timeline order: [{ name, identifier, state, result, status, jobs: [{ name, status, failedTasks: [name] }] }]
+   */
+  static toStages(records) {
+
+    let byId = new Map(records.map(record => [record.id, record]));
+    let byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+    let stages = new Map(records
+      .filter(record => record.type === AdoApiClient.STAGE_RECORD_TYPE)
+      .sort(byOrder)
+      .map(record => [record.id, {
+        name: record.name,
+        identifier: record.identifier,
+        state: record.state,
+        result: record.result,
+        status: AdoApiClient.toRecordStatus(record),
+        jobs: [],
+      }]));
+
+    for (const job of records.filter(record => record.type === AdoApiClient.JOB_RECORD_TYPE).sort(byOrder)) {
+      let parent = byId.get(job.parentId);
+      while (parent != null && parent.type !== AdoApiClient.STAGE_RECORD_TYPE) {
+        parent = byId.get(parent.parentId);
+      }
+      let key = parent?.id ?? null;
+      if (!stages.has(key)) {
+        stages.set(key, { name: null, identifier: null, state: null, result: null, status: JobStatus.UNKNOWN, jobs: [] });
+      }
+      let failedTasks = records.filter(record => record.parentId === job.id && record.result === "failed").map(record => record.name);
+      stages.get(key).jobs.push({ name: job.name, status: AdoApiClient.toRecordStatus(job), failedTasks });
+    }
+
+    return Array.from(stages.values());
+  }
+
+  /**
+   * List the stages of the build along with their jobs.
+   * @param {the build id} buildId
+   * @returns the stages, see `toStages`
+   */
+  async getStages(buildId) {
+    return AdoApiClient.toStages((await this.getTimeline(buildId))?.records ?? []);
+  }
+
+  /**
+   * List the completed test runs of the build with their failed tests. A rerun of the failed jobs adds new test runs.
+   * @param {the build id} buildId
+   * @returns the last `MAX_TEST_RUNS` test runs, oldest first: [{ id, name, failedTests: [name] }]
+   */
+  async getTestRuns(buildId) {
+
+    let runs = (await this.#request("GET", "_apis/test/runs", null, { buildUri: `vstfs:///Build/Build/${buildId}` }))?.value ?? [];
+    let testRuns = [];
+
+    for (const run of runs.filter(run => run.state === "Completed").sort((a, b) => a.id - b.id).slice(-AdoApiClient.MAX_TEST_RUNS)) {
+      let failedTests = [];
+      if ((run.passedTests ?? 0) < (run.totalTests ?? 0)) {
+        let results = await this.#request("GET", `_apis/test/runs/${run.id}/results`, null, { outcomes: "Failed", $top: AdoApiClient.MAX_FAILED_TESTS });
+        failedTests = (results?.value ?? []).map(result => result.automatedTestName ?? result.testCaseTitle);
+      }
+      testRuns.push({ id: run.id, name: run.name, failedTests });
+    }
+    return testRuns;
+  }
+
+  /**
+   * Rerun the failed jobs of the build. Failed stages are retried individually, which is what
+   * the stage's "Rerun failed jobs" action does; builds without stages (classic pipelines) are retried as a whole.
+   * @param {the build id} buildId
+   * @param {decides whether a stage (see `toStages`) may be retried; the whole build is one stage named null} isStageEligible
+   * @returns the retried stages (see `toStages`), empty if none were eligible
+   */
+  async rerunFailedJobs(buildId, isStageEligible = stage => true) {
+
+    let stages = await this.getStages(buildId);
+    let failedStages = stages.filter(stage =>
+      stage.identifier != null &&
+      stage.state === "completed" &&
+      AdoApiClient.FAILED_RESULTS.includes(stage.result));
+
+    if (failedStages.length === 0) {
+      let build = { name: null, identifier: null, jobs: stages.flatMap(stage => stage.jobs) };
+      if (!isStageEligible(build)) {
+        return [];
+      }
+      await this.#request("PATCH", `_apis/build/builds/${buildId}`, {}, { retry: "true" });
+      return [build];
+    }
+
+    let eligibleStages = failedStages.filter(isStageEligible);
+    for (const stage of eligibleStages) {
+      await this.#request("PATCH", `_apis/build/builds/${buildId}/stages/${encodeURIComponent(stage.identifier)}`, {
+        forceRetryAllJobs: false,
+        state: "retry",
+      });
+    }
+    return eligibleStages;
+  }
+
+  /**
+   * Queue a new build of the same pipeline and branch as the given build, with the same
+   * queue-time variables (`parameters`) and runtime parameters (`templateParameters`).
+   * @param {the build resource to run again} build
+   * @returns the build resource of the new build
+   */
+  async queueBuild(build) {
+    return await this.#request("POST", "_apis/build/builds", {
+      definition: { id: build.definition.id },
+      sourceBranch: build.sourceBranch,
+      parameters: build.parameters,
+      templateParameters: build.templateParameters,
+    });
+  }
+
+  /**
+   * Send a request to the project's (or collection's) REST API.
+   * @param {the HTTP method} method
+   * @param {the path relative to the project URL} path
+   * @param {the JSON body, if any} body
+   * @param {additional query parameters} query
+   * @param {the URL the path is relative to, the project URL by default} baseUrl
+   * @returns the parsed JSON response, or null for an empty response
+   */
+  async #request(method, path, body = null, query = {}, baseUrl = this.#projectUrl) {
+
+    let url = new URL(`${baseUrl}/${path}`);
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value);
+    }
+    url.searchParams.set("api-version", AdoApiClient.API_VERSION);
+
+    let res = await fetch(url, {
+      method,
+      credentials: "include",
+      headers: {
+        "Accept": "application/json",
+        "Content-Type": "application/json",
+        // Answer with 401 instead of redirecting to the sign-in page when the session expired.
+        "X-TFS-FedAuthRedirect": "Suppress",
+      },
+      body: body == null ? undefined : JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      throw new Error(`${method} ${url} failed with status ${res.status} ${res.statusText}.`);
+    }
+
+    let text = await res.text();
+    return text.length === 0 ? null : JSON.parse(text);
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Auto-watch rules, which start watching a build as soon as its page is opened, without a click
+ * on "Watch this page". Persisted with `chrome.storage.sync` under a single key, in priority order.
+ *
+ * A rule looks like:
+ * {
+ *   name: "My PR builds",
+ *   enabled: true,
+ *   urlPattern: "https://dev.azure.com/myorg/MyProject/_build/results?buildId=*", // wildcard pattern matched against the page URL
+ *   pipelinePattern: "",      // optional, wildcard pattern matched against the pipeline name
+ *   pullRequestsOnly: true,   // only builds queued for a pull request
+ *   requestedByMe: true,      // only builds queued by (or for) the signed-in user
+ *   settings: { maxRetryCount: 3 } // any subset of SETTINGS_SCHEMA, overriding the profiles
+ * }
+ * The last two conditions need the REST API. The first matching rule wins.
+ */
+
+const AUTO_WATCH_RULES_STORAGE_KEY = "autoWatchRules";
+
+/**
+ * Whether the rule needs the build details from the REST API to be evaluated.
+ * @param {the rule} rule
+ */
+function needsBuildDetails(rule) {
+  return rule.pullRequestsOnly || rule.requestedByMe;
+}
+
+/**
+ * Whether the rule applies to the given build.
+ * @param {the rule} rule
+ * @param {the pipeline context: url and pipelineName} context
+ * @param {the build resource from the REST API, or null if unavailable} build
+ * @param {the id of the signed-in user, or null if unknown} userId
+ * @returns true if the rule is enabled and every condition it specifies holds
+ */
+function autoWatchRuleMatches(rule, context, build, userId) {
+
+  if (!rule.enabled || !wildcardToRegExp(rule.urlPattern).test(context.url)) {
+    return false;
+  }
+  if (rule.pipelinePattern && (context.pipelineName == null || !wildcardToRegExp(rule.pipelinePattern).test(context.pipelineName))) {
+    return false;
+  }
+  if (rule.pullRequestsOnly && build?.reason !== "pullRequest") {
+    return false;
+  }
+  if (rule.requestedByMe && (userId == null || ![build?.requestedBy?.id, build?.requestedFor?.id].includes(userId))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Find the first rule which applies to the given build.
+ * @param {the rules, in priority order} rules
+ * @param {the pipeline context} context
+ * @param {the build resource from the REST API, or null if unavailable} build
+ * @param {the id of the signed-in user, or null if unknown} userId
+ * @returns the matching rule, or null if none match
+ */
+function findMatchingAutoWatchRule(rules, context, build, userId) {
+  return rules.find(rule => autoWatchRuleMatches(rule, context, build, userId)) ?? null;
+}
+
+/**
+ * Validate a rule. Setting overrides are checked against SETTINGS_SCHEMA.
+ * @param {the raw rule} rule
+ * @returns an object with the normalized `rule` and a list of `errors`
+ */
+function validateAutoWatchRule(rule) {
+
+  let errors = [];
+  let name = String(rule?.name ?? "").trim();
+  let label = name || "(unnamed)";
+  let urlPattern = String(rule?.urlPattern ?? "").trim();
+
+  if (!name) {
+    errors.push("Every auto-watch rule needs a name.");
+  }
+  if (!urlPattern) {
+    errors.push(`Auto-watch rule '${label}': the URL pattern is empty.`);
+  }
+
+  let { settings, errors: settingErrors } = validateSettingOverrides(rule?.settings);
+  errors.push(...settingErrors.map(error => `Auto-watch rule '${label}': ${error}`));
+
+  let normalized = {
+    name,
+    enabled: rule?.enabled !== false,
+    urlPattern,
+    pipelinePattern: String(rule?.pipelinePattern ?? "").trim(),
+    pullRequestsOnly: rule?.pullRequestsOnly === true,
+    requestedByMe: rule?.requestedByMe === true,
+    settings,
+  };
+
+  return { rule: normalized, errors };
+}
+
+/**
+ * Load the persisted rules, or those of the policy (see config.js) if none were saved. Invalid rules are skipped.
+ * @returns the valid rules, in priority order
+ */
+async function loadAutoWatchRules() {
+  let stored = await chrome.storage.sync.get({ [AUTO_WATCH_RULES_STORAGE_KEY]: await getPolicyList(AUTO_WATCH_RULES_STORAGE_KEY) });
+  return stored[AUTO_WATCH_RULES_STORAGE_KEY]
+    .map(validateAutoWatchRule)
+    .filter(result => result.errors.length === 0)
+    .map(result => result.rule);
+}
+
+/**
+ * Validate and persist the given rules. Nothing is saved if any rule is invalid.
+ * @param {the rules, in priority order} rules
+ * @returns the list of validation errors (empty on success)
+ */
+async function saveAutoWatchRules(rules) {
+  let { rules: valid, errors } = validateAutoWatchRules(rules);
+  if (errors.length === 0) {
+    await chrome.storage.sync.set({ [AUTO_WATCH_RULES_STORAGE_KEY]: valid });
+  }
+  return errors;
+}
+
+/**
+ * Validate a list of rules, e.g. before saving it.
+ * @param {the rules, in priority order} rules
+ * @returns an object with the normalized `rules` and a list of `errors`
+ */
+function validateAutoWatchRules(rules) {
+
+  let results = rules.map(validateAutoWatchRule);
+  let errors = results.flatMap(result => result.errors);
+
+  let names = results.map(result => result.rule.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    errors.push("Auto-watch rule names must be unique.");
+  }
+
+  return { rules: results.map(result => result.rule), errors };
+}
@@ -0,0 +1,198 @@
+/**
+ * The whole configuration of the extension as a single versioned JSON document, to export it from the
+ * options page and import it on another machine, and the policy an administrator can push through
+ * `chrome.storage.managed` (see managed-schema.json).
+ *
+ * A configuration looks like:
+ * {
+ *   format: "retry-failed-jobs-config",
+ *   version: 1,
+ *   settings: { maxRetryCount: 3 },   // any subset of SETTINGS_SCHEMA
+ *   profiles: [...], classifierRules: [...], hosts: [...], autoWatchRules: [...], webhooks: [...]
+ * }
+ * Every section is optional. The lists are named after their storage key and stored the way profiles.js,
+ * failure-classifier.js, hosts.js, auto-watch.js and webhooks.js persist them.
+ *
+ * The policy has two keys:
+ * - `config`: a configuration whose settings and lists are the defaults until the user saves their own,
+ * - `limits`: bounds on the settings which apply whatever the user, a profile, a rule or the page URL says,
+ *   e.g. { maxRetryCount: { max: 3 }, pollIntervalSeconds: { min: 120 }, dryRun: { value: false } }.
+ */
+
+const CONFIG_FORMAT = "retry-failed-jobs-config";
+const CONFIG_VERSION = 1;
+
+/**
+ * Upgrades from each configuration version to the next, indexed by the version they upgrade from.
+ * Bump `CONFIG_VERSION` and add one whenever a section or setting changes shape.
+ */
+const CONFIG_MIGRATIONS = [
+  // 0: no version, i.e. a copy of the extension's `chrome.storage.sync`, with every setting at the top level.
+  (config) => {
+    let settings = Object.fromEntries(Object.entries(config).filter(([key]) => key in SETTINGS_SCHEMA));
+    let lists = Object.fromEntries(Object.entries(config).filter(([key]) => !(key in SETTINGS_SCHEMA)));
+    return { ...lists, format: CONFIG_FORMAT, version: 1, settings };
+  },
+];
+
+/**
+ * The list sections of a configuration along with their validation.
+ * @returns the sections keyed by storage key: { validate, resultKey } where `resultKey` names the normalized item in the result of `validate`
+ */
+function getConfigSections() {
+  return {
+    [PROFILES_STORAGE_KEY]: { validate: validateProfile, resultKey: "profile" },
+    [CLASSIFIER_RULES_STORAGE_KEY]: { validate: validateRule, resultKey: "rule" },
+    [HOSTS_STORAGE_KEY]: { validate: validateHost, resultKey: "host" },
+    [AUTO_WATCH_RULES_STORAGE_KEY]: { validate: validateAutoWatchRule, resultKey: "rule" },
+    [WEBHOOKS_STORAGE_KEY]: { validate: validateWebhook, resultKey: "webhook" },
+  };
+}
+
+/**
+ * Upgrade a configuration to `CONFIG_VERSION`.
+ * @param {the parsed configuration} config
+ * @returns an object with the upgraded `config`, or an `error` message if it can't be upgraded
+ */
+function migrateConfig(config) {
+
+  if (config == null || typeof config !== "object" || Array.isArray(config)) {
+    return { error: "The configuration must be a JSON object." };
+  }
+
+  let version = config.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    return { error: `Unknown configuration version '${config.version}'.` };
+  }
+  if (version > CONFIG_VERSION) {
+    return { error: `The configuration is version ${version}, but this version of the extension only reads up to version ${CONFIG_VERSION}. Update the extension first.` };
+  }
+  if (version > 0 && config.format !== CONFIG_FORMAT) {
+    return { error: `Not a configuration of this extension (format '${config.format}').` };
+  }
+
+  for (; version < CONFIG_VERSION; version++) {
+    config = CONFIG_MIGRATIONS[version](config);
+  }
+  return { config };
+}
+
+/**
+ * Upgrade and validate a configuration, e.g. an imported file.
+ * @param {the parsed configuration} config
+ * @returns an object with the normalized `config` (only the sections it has) and a list of `errors`
+ */
+function validateConfig(config) {
+
+  let { config: migrated, error } = migrateConfig(config);
+  if (error != null) {
+    return { config: null, errors: [error] };
+  }
+
+  let sections = getConfigSections();
+  let errors = [];
+  let normalized = { format: CONFIG_FORMAT, version: CONFIG_VERSION };
+
+  for (const key of Object.keys(migrated)) {
+    if (key !== "format" && key !== "version" && key !== "settings" && !(key in sections)) {
+      errors.push(`Unknown section '${key}'.`);
+    }
+  }
+
+  if (migrated.settings != null) {
+    if (typeof migrated.settings !== "object" || Array.isArray(migrated.settings)) {
+      errors.push("'settings' must be an object.");
+    } else {
+      let settings = {};
+      for (const [key, value] of Object.entries(migrated.settings)) {
+        let result = validateSetting(key, value);
+        if (result.error != null) {
+          errors.push(result.error);
+        } else {
+          settings[key] = result.value;
+        }
+      }
+      normalized.settings = settings;
+    }
+  }
+
+  for (const [key, section] of Object.entries(sections)) {
+    if (migrated[key] == null) {
+      continue;
+    }
+    if (!Array.isArray(migrated[key])) {
+      errors.push(`'${key}' must be a list.`);
+      continue;
+    }
+    let results = migrated[key].map(section.validate);
+    errors.push(...results.flatMap(result => result.errors));
+    normalized[key] = results.map(result => result[section.resultKey]);
+  }
+
+  return { config: normalized, errors };
+}
+
+/**
+ * Collect the persisted configuration, e.g. to export it.
+ * @returns the configuration with every section
+ */
+async function exportConfig() {
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    settings: await loadSettings(),
+    [PROFILES_STORAGE_KEY]: await loadProfiles(),
+    [CLASSIFIER_RULES_STORAGE_KEY]: await loadClassifierRules(),
+    [HOSTS_STORAGE_KEY]: await loadHosts(),
+    [AUTO_WATCH_RULES_STORAGE_KEY]: await loadAutoWatchRules(),
+    [WEBHOOKS_STORAGE_KEY]: await loadWebhooks(),
+  };
+}
+
+/**
+ * Load the policy pushed through `chrome.storage.managed`. A configuration which can't be upgraded is ignored;
+ * its invalid settings and list items are skipped by the loaders like invalid persisted ones.
+ * @returns the `config` (settings and lists are only present if the policy sets them) and the validated `limits`
+ */
+async function loadPolicy() {
+
+  let stored = {};
+  try {
+    stored = await chrome.storage.managed.get(["config", "limits"]);
+  } catch {
+    // Managed storage isn't available, e.g. on browsers without policy support.
+  }
+
+  let { config } = stored.config == null ? { config: {} } : migrateConfig(stored.config);
+  return { config: config ?? {}, limits: validateSettingLimits(stored.limits).limits };
+}
+
+/**
+ * Find the custom hosts and webhook URLs the extension has no access to. The browser only asks for access to those
+ * the user saves on the options page, not to those of a policy.
+ * @returns the origin patterns without access, as for `chrome.permissions.request`
+ */
+async function getMissingHostPermissions() {
+  let origins = new Set([
+    ...(await loadHosts()).map(getHostPermissionPattern),
+    ...(await loadWebhooks()).map(getWebhookPermissionPattern),
+  ]);
+  let missing = [];
+  for (const origin of origins) {
+    if (!await chrome.permissions.contains({ origins: [origin] })) {
+      missing.push(origin);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Get the list the policy configures, to use until the user saves their own.
+ * @param {the storage key of the list, e.g. `PROFILES_STORAGE_KEY`} storageKey
+ * @param {the list to use if the policy doesn't configure one} fallback
+ * @returns the list
+ */
+async function getPolicyList(storageKey, fallback = []) {
+  let { config } = await loadPolicy();
+  return Array.isArray(config[storageKey]) ? config[storageKey] : fallback;
+}
@@ -0,0 +1,131 @@
+/**
+ * Classification of build failures as transient (worth a retry) or permanent, by matching the
+ * failed jobs' error messages and log lines against configurable regex rules.
+ * The rules are persisted with `chrome.storage.sync` under a single key, in priority order.
+ *
+ * A rule looks like:
+ * {
+ *   name: "NuGet feed timeout",
+ *   pattern: "NU1301|Unable to load the service index", // case-insensitive regex
+ *   action: "retry"                                     // or "stop"
+ * }
+ */
+
+const CLASSIFIER_RULES_STORAGE_KEY = "classifierRules";
+
+const RULE_ACTIONS = ["retry", "stop"];
+
+const DEFAULT_CLASSIFIER_RULES = [
+  { name: "Agent lost communication", pattern: "lost communication with the server|agent .* (went offline|was lost)", action: "retry" },
+  { name: "Throttled (429)", pattern: "\\b429\\b|Too Many Requests", action: "retry" },
+  { name: "NuGet feed timeout", pattern: "NU1301|Unable to load the service index|nuget.*timed out", action: "retry" },
+  { name: "Network timeout", pattern: "ETIMEDOUT|ECONNRESET|The operation has timed out|connection was forcibly closed", action: "retry" },
+  { name: "Compilation error", pattern: "error (CS|TS|MSB|C|LNK)\\d{3,5}", action: "stop" },
+  { name: "Test failures", pattern: "Test Run Failed|\\d+ tests? failed|Tests failed", action: "stop" },
+];
+
+/**
+ * Classify the failures of a build.
+ * Each failed job is classified by the first rule matching any of its messages, and jobs matching
+ * no rule get the `unmatchedAction`. The build is only worth a retry if every failed job is.
+ * @param {the failed jobs: [{ job: name, messages: [text] }]} failures
+ * @param {the rules, in priority order} rules
+ * @param {the action for jobs matching no rule: "retry" or "stop"} unmatchedAction
+ * @returns the verdict: `retryable`, the deciding `rule` name (null if no rule matched) and the matched `message`
+ */
+function classifyFailures(failures, rules, unmatchedAction) {
+
+  let compiled = rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, "i") }));
+  let retryVerdict = null;
+
+  for (const failure of failures) {
+
+    let verdict = { retryable: unmatchedAction === "retry", rule: null, message: null, job: failure.job };
+
+    for (const rule of compiled) {
+      let message = failure.messages.find(text => rule.regex.test(text));
+      if (message != null) {
+        verdict = { retryable: rule.action === "retry", rule: rule.name, message, job: failure.job };
+        break;
+      }
+    }
+
+    if (!verdict.retryable) {
+      // One permanent failure is enough to make a retry pointless.
+      return verdict;
+    }
+    if (retryVerdict == null || (retryVerdict.rule == null && verdict.rule != null)) {
+      retryVerdict = verdict;
+    }
+  }
+
+  return retryVerdict ?? { retryable: unmatchedAction === "retry", rule: null, message: null, job: null };
+}
+
+/**
+ * Validate a rule.
+ * @param {the raw rule} rule
+ * @returns an object with the normalized `rule` and a list of `errors`
+ */
+function validateRule(rule) {
+
+  let errors = [];
+  let name = String(rule?.name ?? "").trim();
+  let pattern = String(rule?.pattern ?? "").trim();
+  let action = String(rule?.action ?? "").trim();
+  let label = name || "(unnamed)";
+
+  if (!name) {
+    errors.push("Every rule needs a name.");
+  }
+  if (!pattern) {
+    errors.push(`Rule '${label}': the pattern is empty.`);
+  } else {
+    try {
+      new RegExp(pattern, "i");
+    } catch (e) {
+      errors.push(`Rule '${label}': the pattern is not a valid regular expression. (${e.message})`);
+    }
+  }
+  if (!RULE_ACTIONS.includes(action)) {
+    errors.push(`Rule '${label}': the action must be one of [${RULE_ACTIONS.join(", ")}].`);
+  }
+
+  return { rule: { name, pattern, action }, errors };
+}
+
+/**
+ * Load the persisted rules, or those of the policy (see config.js) or the default rules if none were saved.
+ * Invalid rules are skipped.
+ * @returns the valid rules, in priority order
+ */
+async function loadClassifierRules() {
+  let stored = await chrome.storage.sync.get({ [CLASSIFIER_RULES_STORAGE_KEY]: await getPolicyList(CLASSIFIER_RULES_STORAGE_KEY, DEFAULT_CLASSIFIER_RULES) });
+  return stored[CLASSIFIER_RULES_STORAGE_KEY]
+    .map(validateRule)
+    .filter(result => result.errors.length === 0)
+    .map(result => result.rule);
+}
+
+/**
+ * Validate and persist the given rules. Nothing is saved if any rule is invalid.
+ * @param {the rules, in priority order} rules
+ * @returns the list of validation errors (empty on success)
+ */
+async function saveClassifierRules(rules) {
+  let { rules: valid, errors } = validateRules(rules);
+  if (errors.length === 0) {
+    await chrome.storage.sync.set({ [CLASSIFIER_RULES_STORAGE_KEY]: valid });
+  }
+  return errors;
+}
+
+/**
+ * Validate a list of rules, e.g. before saving it.
+ * @param {the rules, in priority order} rules
+ * @returns an object with the normalized `rules` and a list of `errors`
+ */
+function validateRules(rules) {
+  let results = rules.map(validateRule);
+  return { rules: results.map(result => result.rule), errors: results.flatMap(result => result.errors) };
+}
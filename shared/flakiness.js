@@ -0,0 +1,227 @@
+/**
+ * Flakiness database: which jobs, tasks and tests failed before each retry, and whether they passed on the retry.
+ * Each retry is stored under its own key in `chrome.storage.local`, with an index of their ids, like the history (see history.js),
+ * and the oldest retries are dropped once there are more than `MAX_FLAKINESS_RECORDS` or they take more
+ * than `MAX_FLAKINESS_BYTES`.
+ * Only the REST API tells which jobs failed, so retries through the page aren't recorded.
+ *
+ * A record looks like:
+ * {
+ *   id: "<watch id>/1",                        // the watch and the number of the retry
+ *   time: 1700000300000,                       // when the retry was submitted
+ *   pipelineName: "my-pipeline", definitionId: 12, organization: "org", project: "project", buildId: 1234,
+ *   jobs: [{ stage: "Test", job: "Integration tests", tasks: ["Run tests"], passedOnRetry: true }],
+ *   tests: [{ name: "FeedTests.RestoresPackages", run: "Integration tests", passedOnRetry: null }]
+ * }
+ * `passedOnRetry` is null when the job or test didn't run again, e.g. because the rerun was cancelled.
+ */
+
+const FLAKINESS_KEY_PREFIX = "flakiness:";
+const FLAKINESS_IDS_KEY = "flakinessIds";
+const MAX_FLAKINESS_RECORDS = 2000;
+const MAX_FLAKINESS_BYTES = 4 * 1024 * 1024; // of JSON, across the records
+const MAX_FLAKINESS_TESTS = 200; // failed tests recorded per retry
+
+const flakinessIndex = new StorageIndex(FLAKINESS_IDS_KEY, FLAKINESS_KEY_PREFIX);
+
+// How many recorded retries of a job it takes before its retries are judged by them.
+const MIN_FLAKINESS_SAMPLES = 5;
+
+/**
+ * Persist a record, dropping the oldest records beyond `MAX_FLAKINESS_RECORDS` or `MAX_FLAKINESS_BYTES`.
+ * If the storage is full, the oldest quarter of the records makes room for it.
+ * @param {the record} record
+ */
+async function addFlakinessRecord(record) {
+  try {
+    await flakinessIndex.save(record.id, record);
+  } catch (e) {
+    if (!/quota/i.test(e.message)) {
+      throw e;
+    }
+    let records = await loadFlakinessRecords();
+    await removeFlakinessRecords(records.slice(records.length - Math.ceil(records.length / 4)));
+    await flakinessIndex.save(record.id, record);
+  }
+
+  // The newest record is always kept, even if it's bigger than the cap on its own.
+  let records = await loadFlakinessRecords();
+  let bytes = 0;
+  let firstStale = records.findIndex((old, index) => (bytes += JSON.stringify(old).length) > MAX_FLAKINESS_BYTES || index >= MAX_FLAKINESS_RECORDS);
+  if (firstStale !== -1) {
+    await removeFlakinessRecords(records.slice(Math.max(1, firstStale)));
+  }
+}
+
+async function removeFlakinessRecords(records) {
+  await flakinessIndex.remove(records.map(record => record.id));
+}
+
+/**
+ * Load every record.
+ * @returns the records, most recent first
+ */
+async function loadFlakinessRecords() {
+  return (await flakinessIndex.loadRecords()).sort((a, b) => b.time - a.time);
+}
+
+async function clearFlakiness() {
+  await flakinessIndex.remove(await flakinessIndex.loadIds());
+}
+
+/**
+ * Select the records of a pipeline and/or within a date range.
+ * @param {the records} records
+ * @param {the filter: `pipeline` (see `getHistoryPipeline`), `from` and `to` timestamps (each optional)} filter
+ * @returns the matching records
+ */
+function filterFlakinessRecords(records, filter) {
+  return records.filter(record =>
+    (filter.pipeline == null || getHistoryPipeline(record) === filter.pipeline) &&
+    (filter.from == null || record.time >= filter.from) &&
+    (filter.to == null || record.time < filter.to));
+}
+
+/**
+ * Count how the retries of the same job or test went.
+ * @param {the records} records
+ * @param {lists the jobs or tests of a record} getItems
+ * @param {the key of a job or test within its pipeline} getKey
+ * @returns the groups, keyed by pipeline and item key: { pipeline, key, builds: Set, retried, passedOnRetry, failedAgain, lastTime, items }
+ */
+function groupFlakinessItems(records, getItems, getKey) {
+  let groups = new Map();
+  for (const record of records) {
+    let pipeline = getHistoryPipeline(record);
+    for (const item of getItems(record)) {
+      let id = `${pipeline}\n${getKey(item)}`;
+      if (!groups.has(id)) {
+        groups.set(id, { pipeline, key: getKey(item), builds: new Set(), retried: 0, passedOnRetry: 0, failedAgain: 0, lastTime: 0, items: [] });
+      }
+      let group = groups.get(id);
+      group.builds.add(record.buildId);
+      group.retried++;
+      group.passedOnRetry += item.passedOnRetry === true ? 1 : 0;
+      group.failedAgain += item.passedOnRetry === false ? 1 : 0;
+      group.lastTime = Math.max(group.lastTime, record.time);
+      group.items.push(item);
+    }
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Compute the flakiness of every retried job.
+ * @param {the records} records
+ * @param {the history entries of the same period, to count the runs of each pipeline} entries
+ * @returns the jobs, most retried first: [{ pipeline, job (see `getJobKey`), failedBuilds, runs, failureRate,
+ * retried, passedOnRetry, failedAgain, passRate, tasks: [{ name, count }], lastTime }]; the rates are null when there's nothing to compute them from
+ */
+function summarizeJobFlakiness(records, entries) {
+
+  let runs = new Map();
+  for (const entry of entries.filter(entry => !entry.dryRun)) {
+    runs.set(getHistoryPipeline(entry), (runs.get(getHistoryPipeline(entry)) ?? 0) + 1);
+  }
+
+  return groupFlakinessItems(records, record => record.jobs, job => getJobKey(job.stage, job.job))
+    .map(group => {
+      let tasks = new Map();
+      group.items.flatMap(job => job.tasks ?? []).forEach(task => tasks.set(task, (tasks.get(task) ?? 0) + 1));
+      let pipelineRuns = runs.get(group.pipeline) ?? 0;
+      let rerun = group.passedOnRetry + group.failedAgain;
+      return {
+        pipeline: group.pipeline,
+        job: group.key,
+        failedBuilds: group.builds.size,
+        runs: pipelineRuns,
+        failureRate: pipelineRuns === 0 ? null : Math.min(1, group.builds.size / pipelineRuns),
+        retried: group.retried,
+        passedOnRetry: group.passedOnRetry,
+        failedAgain: group.failedAgain,
+        passRate: rerun === 0 ? null : group.passedOnRetry / rerun,
+        tasks: Array.from(tasks, ([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count),
+        lastTime: group.lastTime,
+      };
+    })
+    .sort((a, b) => b.retried - a.retried || b.lastTime - a.lastTime);
+}
+
+/**
+ * Compute the flakiness of every failed test.
+ * @param {the records} records
+ * @returns the tests, most failed first: [{ pipeline, test, run, failures, passedOnRetry, failedAgain, notRerun, lastTime }]
+ */
+function summarizeTestFlakiness(records) {
+  return groupFlakinessItems(records, record => record.tests ?? [], test => test.name)
+    .map(group => ({
+      pipeline: group.pipeline,
+      test: group.key,
+      run: group.items.at(-1).run,
+      failures: group.retried,
+      passedOnRetry: group.passedOnRetry,
+      failedAgain: group.failedAgain,
+      notRerun: group.retried - group.passedOnRetry - group.failedAgain,
+      lastTime: group.lastTime,
+    }))
+    .sort((a, b) => b.failures - a.failures || b.lastTime - a.lastTime);
+}
+
+/**
+ * Count the retried jobs which passed or failed again per day (local time), for the trend chart.
+ * @param {the records} records
+ * @param {only count this job (see `getJobKey`), or null for every job} jobKey
+ * @returns one bucket per day from the first to the last record, oldest first: [{ time, passedOnRetry, failedAgain }]
+ */
+function getFlakinessTrend(records, jobKey = null) {
+
+  let startOfDay = (time) => new Date(new Date(time).toDateString()).getTime();
+  let buckets = new Map();
+  for (const record of records) {
+    let day = startOfDay(record.time);
+    let bucket = buckets.get(day) ?? { time: day, passedOnRetry: 0, failedAgain: 0 };
+    for (const job of record.jobs.filter(job => jobKey == null || getJobKey(job.stage, job.job) === jobKey)) {
+      bucket.passedOnRetry += job.passedOnRetry === true ? 1 : 0;
+      bucket.failedAgain += job.passedOnRetry === false ? 1 : 0;
+    }
+    buckets.set(day, bucket);
+  }
+
+  if (buckets.size === 0) {
+    return [];
+  }
+  let trend = [];
+  let last = Math.max(...buckets.keys());
+  // Step by calendar day rather than 24 hours, which daylight saving time would throw off.
+  for (let day = Math.min(...buckets.keys()); day <= last; day = startOfDay(day + 36 * 60 * 60 * 1000)) {
+    trend.push(buckets.get(day) ?? { time: day, passedOnRetry: 0, failedAgain: 0 });
+  }
+  return trend;
+}
+
+/**
+ * Judge from the recorded retries of a pipeline how likely it is for its failed jobs to pass on a retry.
+ * @param {the records} records
+ * @param {the pipeline context of the watch (`pipelineName`, `definitionId`)} pipeline
+ * @param {the failed jobs, see `getJobKey`} jobKeys
+ * @returns the least likely job to pass: { job, retries, passedOnRetry, passRate }, or null if any of the jobs has
+ * fewer than `MIN_FLAKINESS_SAMPLES` recorded retries to go on
+ */
+function getRetryOdds(records, pipeline, jobKeys) {
+
+  if (jobKeys.length === 0) {
+    return null;
+  }
+
+  let jobs = summarizeJobFlakiness(records.filter(record => getHistoryPipeline(record) === getHistoryPipeline(pipeline)), []);
+  let odds = [];
+  for (const jobKey of jobKeys) {
+    let job = jobs.find(job => job.job === jobKey);
+    let retries = job == null ? 0 : job.passedOnRetry + job.failedAgain;
+    if (retries < MIN_FLAKINESS_SAMPLES) {
+      return null;
+    }
+    odds.push({ job: jobKey, retries, passedOnRetry: job.passedOnRetry, passRate: job.passRate });
+  }
+  return odds.sort((a, b) => a.passRate - b.passRate)[0];
+}
@@ -0,0 +1,61 @@
+/**
+ * Formatting helpers shared by the background script and the extension pages.
+ */
+
+/**
+ * Format the time between two timestamps as hh:mm:ss.
+ * @param {the start timestamp in milliseconds} startTimeMillis
+ * @param {the end timestamp in milliseconds} endTimeMillis
+ * @returns the formatted duration
+ */
+function getElapsedString(startTimeMillis, endTimeMillis) {
+
+  let seconds = (endTimeMillis - startTimeMillis) / 1000;
+  let hours = Math.floor(seconds / 3600);
+  seconds = seconds % 3600;
+  let minutes = Math.floor(seconds / 60);
+  seconds = Math.floor(seconds % 60);
+
+  let hh = hours < 10 ? `0${hours}` : `${hours}`;
+  let mm = minutes < 10 ? `0${minutes}` : `${minutes}`;
+  let ss = seconds < 10 ? `0${seconds}` : `${seconds}`;
+
+  return `${hh}:${mm}:${ss}`;
+}
+
+/**
+ * Name a build the way the extension displays it, e.g. "my-pipeline #1234".
+ * @param {the pipeline name, if known} pipelineName
+ * @param {the build id, if known} buildId
+ * @returns the display name
+ */
+function formatBuildName(pipelineName, buildId) {
+  return `${pipelineName ?? "Build"} #${buildId ?? "?"}`;
+}
+
+/**
+ * Format a duration compactly, e.g. "45s", "2m", "1h 30m".
+ * @param {the duration in milliseconds} millis
+ * @returns the formatted duration
+ */
+function formatDuration(millis) {
+
+  let seconds = Math.round(millis / 1000);
+  let parts = [
+    [Math.floor(seconds / 3600), "h"],
+    [Math.floor(seconds % 3600 / 60), "m"],
+    [seconds % 60, "s"],
+  ].filter(([value]) => value > 0);
+
+  return parts.length === 0 ? "0s" : parts.map(([value, unit]) => `${value}${unit}`).join(" ");
+}
+
+/**
+ * Fill in the `{name}` placeholders of a template, e.g. the page title template. Unknown placeholders are left as they are.
+ * @param {the template} template
+ * @param {the placeholder values, keyed by name} values
+ * @returns the text
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
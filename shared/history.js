@@ -0,0 +1,175 @@
+/**
+ * History of finished watches, for finding out which pipelines are flaky.
+ * Each run is stored under its own key in `chrome.storage.local`, with an index of their ids (like the watches
+ * themselves, see watch-store.js), and the oldest runs are dropped once there are more than `MAX_HISTORY_ENTRIES`.
+ *
+ * An entry looks like:
+ * {
+ *   id: "<watch id>",
+ *   pipelineName: "my-pipeline", definitionId: 12, buildId: 1234, url: "https://dev.azure.com/...",
+ *   organization: "org", project: "project", profile: null,
+ *   startTime: 1700000000000, endTime: 1700000600000,         // timestamps with milliseconds precision
+ *   attempts: [{ time: 1700000300000, rule: "Throttled (429)" }], // one per retry, with the `newBuildId` of a queued build
+ *   previousBuildIds: [1233],                                 // the builds replaced by new builds, see the `maxNewBuilds` setting
+ *   retries: 1, maxRetryCount: 2,                             // the retries of every build, and the maximum of each
+ *   jobRetries: { "Test/Integration tests": 1 },              // the retries of each job of the last build
+ *   outcome: "success",                                       // see HISTORY_OUTCOMES
+ *   dryRun: false,                                            // the retries were only simulated, see the `dryRun` setting
+ *   status: "success", cancellationReason: null, matchedRule: "Throttled (429)", failureMessage: "..."
+ * }
+ */
+
+const HISTORY_KEY_PREFIX = "history:";
+const HISTORY_IDS_KEY = "historyIds";
+const MAX_HISTORY_ENTRIES = 1000;
+
+const historyIndex = new StorageIndex(HISTORY_IDS_KEY, HISTORY_KEY_PREFIX);
+
+const HISTORY_OUTCOMES = ["success", "failed", "not-retried", "cancelled"];
+
+// The columns of the CSV export, in order.
+const HISTORY_CSV_COLUMNS = [
+  "pipelineName", "definitionId", "buildId", "previousBuildIds", "organization", "project", "profile", "url",
+  "startTime", "endTime", "elapsedSeconds", "retries", "maxRetryCount", "jobRetries", "attemptTimes",
+  "outcome", "dryRun", "status", "cancellationReason", "matchedRule", "failureMessage",
+];
+
+/**
+ * Build the history entry of a watch which has ended.
+ * @param {the watch record} watch
+ * @returns the history entry
+ */
+function createHistoryEntry(watch) {
+
+  let outcome = "failed";
+  if (watch.cancelled) {
+    outcome = "cancelled";
+  } else if (watch.status === JobStatus.SUCCESS) {
+    outcome = "success";
+  } else if (watch.nonRetryable) {
+    outcome = "not-retried";
+  }
+
+  return {
+    id: watch.id,
+    pipelineName: watch.pipelineName,
+    definitionId: watch.definitionId,
+    buildId: watch.buildId,
+    previousBuildIds: watch.previousBuildIds ?? [],
+    url: watch.url,
+    organization: watch.organization,
+    project: watch.project,
+    profile: watch.profile,
+    startTime: watch.startTime,
+    endTime: watch.endTime,
+    attempts: watch.attempts ?? [],
+    retries: (watch.previousRetries ?? 0) + watch.retries,
+    jobRetries: watch.jobRetries ?? {},
+    maxRetryCount: watch.settings.maxRetryCount,
+    outcome,
+    dryRun: watch.settings.dryRun === true,
+    status: watch.status,
+    cancellationReason: watch.cancellationReason,
+    matchedRule: watch.matchedRule,
+    failureMessage: watch.failureMessage,
+  };
+}
+
+/**
+ * Persist a history entry, dropping the oldest entries beyond `MAX_HISTORY_ENTRIES`.
+ * @param {the history entry} entry
+ */
+async function addHistoryEntry(entry) {
+  await historyIndex.save(entry.id, entry);
+  await historyIndex.remove((await loadHistory()).slice(MAX_HISTORY_ENTRIES).map(old => old.id));
+}
+
+/**
+ * Load every history entry.
+ * @returns the history entries, most recent first
+ */
+async function loadHistory() {
+  return (await historyIndex.loadRecords()).sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Delete the whole history.
+ */
+async function clearHistory() {
+  await historyIndex.remove(await historyIndex.loadIds());
+}
+
+/**
+ * Name the pipeline of a history entry, for grouping and filtering.
+ * @param {the history entry} entry
+ * @returns the pipeline name, or the definition id if the name wasn't detected
+ */
+function getHistoryPipeline(entry) {
+  return entry.pipelineName ?? (entry.definitionId == null ? "(unknown)" : `definition ${entry.definitionId}`);
+}
+
+/**
+ * Select the history entries of a pipeline and/or within a date range.
+ * @param {the history entries} entries
+ * @param {the filter: `pipeline` (see `getHistoryPipeline`), `from` and `to` timestamps (each optional)} filter
+ * @returns the matching entries
+ */
+function filterHistory(entries, filter) {
+  return entries.filter(entry =>
+    (filter.pipeline == null || getHistoryPipeline(entry) === filter.pipeline) &&
+    (filter.from == null || entry.startTime >= filter.from) &&
+    (filter.to == null || entry.startTime < filter.to));
+}
+
+/**
+ * Compute the flakiness statistics of the given runs. Dry runs are left out: their retries were never run.
+ * @param {the history entries} entries
+ * @returns the number of `runs`, `succeeded` runs, `retriedRuns` and `totalRetries`, the `retrySuccessRate`
+ * (the share of retried runs which ended green) and `averageRetriesToGreen` (null when there's nothing to average)
+ */
+function summarizeHistory(entries) {
+
+  entries = entries.filter(entry => !entry.dryRun);
+  let succeeded = entries.filter(entry => entry.outcome === "success");
+  let retried = entries.filter(entry => entry.retries > 0 && entry.outcome !== "cancelled");
+  let sum = (list) => list.reduce((total, entry) => total + entry.retries, 0);
+
+  return {
+    runs: entries.length,
+    succeeded: succeeded.length,
+    retriedRuns: retried.length,
+    totalRetries: sum(entries),
+    retrySuccessRate: retried.length === 0 ? null : retried.filter(entry => entry.outcome === "success").length / retried.length,
+    averageRetriesToGreen: succeeded.length === 0 ? null : sum(succeeded) / succeeded.length,
+  };
+}
+
+/**
+ * Convert history entries to CSV, one run per line. Timestamps are ISO 8601, the retry times
+ * and previous build ids are joined with spaces and the job retry counts are written as "job=count" pairs joined with semicolons.
+ * @param {the history entries} entries
+ * @returns the CSV text
+ */
+function historyToCsv(entries) {
+
+  let escape = (value) => {
+    let text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  let isoTime = (millis) => millis == null ? null : new Date(millis).toISOString();
+
+  let rows = entries.map(entry => {
+    let row = {
+      ...entry,
+      startTime: isoTime(entry.startTime),
+      endTime: isoTime(entry.endTime),
+      elapsedSeconds: entry.endTime == null ? null : Math.round((entry.endTime - entry.startTime) / 1000),
+      previousBuildIds: (entry.previousBuildIds ?? []).join(" "),
+      attemptTimes: entry.attempts.map(attempt => isoTime(attempt.time)).join(" "),
+      jobRetries: Object.entries(entry.jobRetries ?? {}).map(([job, count]) => `${job}=${count}`).join(";"),
+    };
+    return HISTORY_CSV_COLUMNS.map(column => escape(row[column])).join(",");
+  });
+
+  return [HISTORY_CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
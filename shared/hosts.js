@@ -0,0 +1,152 @@
+/**
+ * The ADO hosts the extension works on: Azure DevOps Services (built in) and any Azure DevOps
+ * Server (on-prem) hosts the user adds. Custom hosts are persisted with `chrome.storage.sync`
+ * under a single key, and the extension only gets access to them once the user grants it
+ * (see `optional_host_permissions` in the manifest).
+ *
+ * A custom host looks like:
+ * {
+ *   name: "Contoso TFS",
+ *   baseUrl: "https://tfs.contoso.com/tfs", // the server URL, up to the collection name
+ *   overrides: {                              // optional, for older UI builds with different markup
+ *     buttonSelector: "button > span",
+ *     statusIconSelector: "svg.bolt-status",
+ *     retryButtonText: "Rerun failed jobs",   // replaces the localized labels, see button-labels.js
+ *     confirmButtonText: "Yes"
+ *   }
+ * }
+ * Build URLs on a host look like {baseUrl}/{collection}/{project}/_build/results?buildId=n.
+ */
+
+const HOSTS_STORAGE_KEY = "hosts";
+
+// `*` matches a single host name label or path segment.
+const BUILT_IN_HOSTS = [
+  { name: "Azure DevOps Services", baseUrl: "https://dev.azure.com", overrides: {}, builtIn: true },
+  { name: "Azure DevOps Services (legacy)", baseUrl: "https://*.visualstudio.com", overrides: {}, builtIn: true },
+];
+
+const HOST_OVERRIDE_KEYS = ["buttonSelector", "statusIconSelector", "retryButtonText", "confirmButtonText"];
+
+/**
+ * Whether the URL belongs to the host.
+ * @param {the host} host
+ * @param {the page URL} url
+ */
+function hostMatches(host, url) {
+  let pattern = host.baseUrl
+    .replace(/\/+$/, "")
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/.]+");
+  return new RegExp(`^${pattern}(/|\\?|#|$)`, "i").test(url);
+}
+
+/**
+ * Find the host of a URL. The most specific (longest) base URL wins.
+ * @param {the custom hosts} hosts
+ * @param {the page URL} url
+ * @returns the host, or null if the extension doesn't work on the URL
+ */
+function findHostForUrl(hosts, url) {
+  return [...hosts, ...BUILT_IN_HOSTS]
+    .filter(host => hostMatches(host, url))
+    .sort((a, b) => b.baseUrl.length - a.baseUrl.length)[0] ?? null;
+}
+
+/**
+ * Get the match pattern to request access to a custom host with.
+ * @param {the host} host
+ * @returns the match pattern, e.g. "https://tfs.contoso.com/*"
+ */
+function getHostPermissionPattern(host) {
+  return `${new URL(host.baseUrl).origin}/*`;
+}
+
+/**
+ * Validate a custom host.
+ * @param {the raw host} host
+ * @returns an object with the normalized `host` and a list of `errors`
+ */
+function validateHost(host) {
+
+  let errors = [];
+  let name = String(host?.name ?? "").trim();
+  let label = name || "(unnamed)";
+  let baseUrl = String(host?.baseUrl ?? "").trim().replace(/\/+$/, "");
+
+  if (!name) {
+    errors.push("Every host needs a name.");
+  }
+
+  let parsed = null;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (e) {
+    errors.push(`Host '${label}': the base URL is not a valid URL.`);
+  }
+  if (parsed != null && (!["http:", "https:"].includes(parsed.protocol) || parsed.search || parsed.hash || baseUrl.includes("*"))) {
+    errors.push(`Host '${label}': the base URL must be an http(s) URL without wildcards, query or fragment.`);
+  }
+
+  let overrides = {};
+  for (const key of HOST_OVERRIDE_KEYS) {
+    let value = String(host?.overrides?.[key] ?? "").trim();
+    if (!value) {
+      continue;
+    }
+    if (key.endsWith("Selector") && typeof document !== "undefined") {
+      try {
+        document.createDocumentFragment().querySelector(value);
+      } catch (e) {
+        errors.push(`Host '${label}': '${value}' is not a valid CSS selector.`);
+      }
+    }
+    overrides[key] = value;
+  }
+
+  return { host: { name, baseUrl, overrides }, errors };
+}
+
+/**
+ * Load the persisted custom hosts, or those of the policy (see config.js) if none were saved. Invalid hosts are skipped.
+ * @returns the valid custom hosts
+ */
+async function loadHosts() {
+  let stored = await chrome.storage.sync.get({ [HOSTS_STORAGE_KEY]: await getPolicyList(HOSTS_STORAGE_KEY) });
+  return stored[HOSTS_STORAGE_KEY]
+    .map(validateHost)
+    .filter(result => result.errors.length === 0)
+    .map(result => result.host);
+}
+
+/**
+ * Validate and persist the given custom hosts. Nothing is saved if any host is invalid.
+ * @param {the custom hosts} hosts
+ * @returns the list of validation errors (empty on success)
+ */
+async function saveHosts(hosts) {
+  let { hosts: valid, errors } = validateHosts(hosts);
+  if (errors.length === 0) {
+    await chrome.storage.sync.set({ [HOSTS_STORAGE_KEY]: valid });
+  }
+  return errors;
+}
+
+/**
+ * Validate a list of custom hosts, e.g. before saving it.
+ * @param {the custom hosts} hosts
+ * @returns an object with the normalized `hosts` and a list of `errors`
+ */
+function validateHosts(hosts) {
+
+  let results = hosts.map(validateHost);
+  let errors = results.flatMap(result => result.errors);
+
+  let names = results.map(result => result.host.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    errors.push("Host names must be unique.");
+  }
+
+  return { hosts: results.map(result => result.host), errors };
+}
@@ -0,0 +1,14 @@
+/**
+ * Translation of the extension-facing strings (tooltips, page title, notifications, logs and the popup) with `chrome.i18n`.
+ * The messages are in _locales/<locale>/messages.json, English being the default locale.
+ */
+
+/**
+ * Get the translation of a message in the browser's UI language.
+ * @param {the message name, see _locales/en/messages.json} name
+ * @param {the values of the message's placeholders, in order} substitutions
+ * @returns the translated message, or the message name if there's no such message
+ */
+function translate(name, ...substitutions) {
+  return chrome.i18n.getMessage(name, substitutions.map(String)) || name;
+}
@@ -0,0 +1,11 @@
+/**
+ * ADO pipeline states, as detected from the page or reported by the REST API.
+ */
+class JobStatus {
+  static SUCCESS = "success";
+  static FAILED = "failed";
+  static ACTIVE = "active";
+  static WAITING = "waiting"; // in progress, but held up by an approval, a check or a manual validation
+  static CANCELLED = "cancelled";
+  static UNKNOWN = "unknown";
+}
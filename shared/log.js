@@ -0,0 +1,172 @@
+/**
+ * Structured logging to the console and to a capped list in `chrome.storage.local`, which the log
+ * viewer (logs/logs.html) reads. The background script is the only writer: the page agent sends its
+ * entries there (see the "log" message), so the entries of both end up in one place and survive the tab.
+ * The list is kept under a single key, so reading the watches or the history never reads the log along.
+ *
+ * An entry looks like:
+ * {
+ *   seq: 1234,              // increasing, across the whole buffer
+ *   time: 1700000000000,
+ *   level: "info",          // see LOG_LEVELS
+ *   source: "background",   // or "content"
+ *   runId: "k3j5x0qa",      // a nonce per service worker or page agent instance, to tell restarts apart
+ *   event: "retry",         // what happened, e.g. "watch-start", "status", "retry", "webhook"
+ *   message: "Executing retry. (1/3)",
+ *   watchId: "...", buildId: 42, tabId: 7 // when known
+ * }
+ */
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const LOG_KEY = "log";
+const MAX_LOG_ENTRIES = 3000;
+const MAX_LOG_BYTES = 1024 * 1024; // of JSON; the oldest entries are dropped beyond either bound
+const MAX_LOG_MESSAGE_LENGTH = 2000;
+
+// The console method of each level.
+const LOG_CONSOLE_METHODS = { debug: "debug", info: "log", warn: "warn", error: "error" };
+
+class Logger {
+
+  #source = null;
+  #sink = null;
+  #context = null;
+  #runId = null;
+
+  /**
+   * @param {where the entries come from: "background" or "content"} source
+   * @param {the function which records a list of entries, e.g. `appendLogEntries`} sink
+   * @param {the fields added to every entry, e.g. { watchId, buildId, tabId }} context
+   * @param {the run nonce, shared by the loggers derived with `with()`} runId
+   */
+  constructor(source, sink, context = {}, runId = Math.random().toString(36).substring(2, 10)) {
+    this.#source = source;
+    this.#sink = sink;
+    this.#context = context;
+    this.#runId = runId;
+  }
+
+  /**
+   * Derive a logger which adds the given fields to every entry.
+   * @param {the fields, e.g. { watchId, buildId, tabId }} context
+   */
+  with(context) {
+    return new Logger(this.#source, this.#sink, { ...this.#context, ...context }, this.#runId);
+  }
+
+  debug(event, message, context = {}) {
+    this.#write("debug", event, message, context);
+  }
+
+  info(event, message, context = {}) {
+    this.#write("info", event, message, context);
+  }
+
+  warn(event, message, context = {}) {
+    this.#write("warn", event, message, context);
+  }
+
+  error(event, message, context = {}) {
+    this.#write("error", event, message, context);
+  }
+
+  #write(level, event, message, context) {
+
+    let entry = {
+      time: Date.now(),
+      level,
+      source: this.#source,
+      runId: this.#runId,
+      event,
+      message: message.length > MAX_LOG_MESSAGE_LENGTH ? message.substring(0, MAX_LOG_MESSAGE_LENGTH) + "…" : message,
+      ...this.#context,
+      ...context,
+    };
+
+    console[LOG_CONSOLE_METHODS[level]](`[retry-failed-jobs ${new Date(entry.time).toLocaleTimeString()}] [${event}] ${message}`);
+
+    try {
+      Promise.resolve(this.#sink([entry])).catch(e => console.error(`Unable to record the log entry. (${e.message})`));
+    } catch (e) {
+      // e.g. the extension was reloaded and this page agent was orphaned.
+      console.error(`Unable to record the log entry. (${e.message})`);
+    }
+  }
+}
+
+// The entries waiting to be written, and the write in progress, if any.
+let pendingLogEntries = [];
+let logWrite = null;
+
+/**
+ * Add entries to the log, dropping the oldest ones beyond `MAX_LOG_ENTRIES` or `MAX_LOG_BYTES`.
+ * Writes are queued, so entries logged while a write is in progress are written with the next one.
+ * @param {the entries, without their `seq`} entries
+ * @returns a promise which resolves once the entries are written
+ */
+function appendLogEntries(entries) {
+
+  pendingLogEntries.push(...entries);
+
+  logWrite ??= (async () => {
+    while (pendingLogEntries.length > 0) {
+      let batch = pendingLogEntries;
+      pendingLogEntries = [];
+      let stored = await loadLogEntries();
+      let seq = (stored.at(-1)?.seq ?? -1) + 1;
+      let added = batch.map((entry, index) => ({ seq: seq + index, ...entry }));
+      await chrome.storage.local.set({ [LOG_KEY]: capLogEntries([...stored, ...added]) });
+    }
+  })().finally(() => logWrite = null);
+
+  return logWrite;
+}
+
+/**
+ * Keep the most recent entries within `MAX_LOG_ENTRIES` and `MAX_LOG_BYTES`.
+ * @param {the entries, oldest first} entries
+ * @returns the entries to keep
+ */
+function capLogEntries(entries) {
+  let kept = entries.slice(-MAX_LOG_ENTRIES);
+  let bytes = 0;
+  for (let i = kept.length - 1; i >= 0; i--) {
+    bytes += JSON.stringify(kept[i]).length + 1;
+    if (bytes > MAX_LOG_BYTES) {
+      return kept.slice(i + 1);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Load the entries of the log.
+ * @returns the entries, oldest first
+ */
+async function loadLogEntries() {
+  let stored = await chrome.storage.local.get({ [LOG_KEY]: [] });
+  return stored[LOG_KEY];
+}
+
+async function clearLog() {
+  await chrome.storage.local.remove(LOG_KEY);
+}
+
+/**
+ * Filter log entries for the log viewer.
+ * @param {the entries} entries
+ * @param {the filter: the lowest `level` to show, and optionally the `source`, `event` and `watchId` to show and a `text` to search for} filter
+ * @returns the matching entries
+ */
+function filterLogEntries(entries, filter) {
+  let minLevel = LOG_LEVELS.indexOf(filter.level ?? "debug");
+  let text = filter.text?.trim().toLowerCase() || null;
+  return entries.filter(entry =>
+    LOG_LEVELS.indexOf(entry.level) >= minLevel &&
+    (!filter.source || entry.source === filter.source) &&
+    (!filter.event || entry.event === filter.event) &&
+    (!filter.watchId || entry.watchId === filter.watchId) &&
+    (text == null || [entry.message, entry.event, entry.watchId, entry.runId, entry.buildId, entry.tabId]
+      .some(value => value != null && String(value).toLowerCase().includes(text))));
+}
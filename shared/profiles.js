@@ -0,0 +1,141 @@
+/**
+ * Named retry profiles which override the global settings for matching pipelines.
+ * Persisted with `chrome.storage.sync` under a single key, in priority order.
+ *
+ * A profile looks like:
+ * {
+ *   name: "Flaky integration tests",
+ *   organization: "myorg",          // optional, case-insensitive
+ *   project: "MyProject",           // optional, case-insensitive
+ *   definitionId: 42,               // optional, the pipeline definition id
+ *   pipelinePattern: "*-integration", // optional, wildcard pattern matched against the pipeline name
+ *   settings: { maxRetryCount: 5 }  // any subset of SETTINGS_SCHEMA
+ * }
+ * Omitted match fields match anything. The first matching profile wins.
+ */
+
+const PROFILES_STORAGE_KEY = "profiles";
+
+/**
+ * Convert a wildcard pattern (`*` matches any run of characters) to a case-insensitive regex.
+ * @param {the wildcard pattern} pattern
+ * @returns the equivalent regular expression
+ */
+function wildcardToRegExp(pattern) {
+  let escaped = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join(".*")}$`, "i");
+}
+
+/**
+ * Whether the profile applies to the given pipeline.
+ * @param {the profile} profile
+ * @param {the pipeline context: organization, project, definitionId and pipelineName} context
+ * @returns true if every match field the profile specifies matches the context
+ */
+function profileMatches(profile, context) {
+
+  let sameText = (expected, actual) =>
+    !expected || (actual != null && expected.toLowerCase() === actual.toLowerCase());
+
+  if (!sameText(profile.organization, context.organization) || !sameText(profile.project, context.project)) {
+    return false;
+  }
+  if (profile.definitionId != null && profile.definitionId !== context.definitionId) {
+    return false;
+  }
+  if (profile.pipelinePattern && (context.pipelineName == null || !wildcardToRegExp(profile.pipelinePattern).test(context.pipelineName))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Find the first profile which applies to the given pipeline.
+ * @param {the profiles, in priority order} profiles
+ * @param {the pipeline context} context
+ * @returns the matching profile, or null if none match
+ */
+function findMatchingProfile(profiles, context) {
+  return profiles.find(profile => profileMatches(profile, context)) ?? null;
+}
+
+/**
+ * Validate a profile. Setting overrides are checked against SETTINGS_SCHEMA.
+ * @param {the raw profile} profile
+ * @returns an object with the normalized `profile` and a list of `errors`
+ */
+function validateProfile(profile) {
+
+  let errors = [];
+  let name = String(profile?.name ?? "").trim();
+  let label = name || "(unnamed)";
+
+  if (!name) {
+    errors.push("Every profile needs a name.");
+  }
+
+  let definitionId = null;
+  if (profile?.definitionId != null && String(profile.definitionId).trim() !== "") {
+    definitionId = Number(String(profile.definitionId).trim());
+    if (!Number.isInteger(definitionId) || definitionId <= 0) {
+      errors.push(`Profile '${label}': the definition id must be a positive whole number.`);
+    }
+  }
+
+  let { settings, errors: settingErrors } = validateSettingOverrides(profile?.settings);
+  errors.push(...settingErrors.map(error => `Profile '${label}': ${error}`));
+
+  let normalized = {
+    name,
+    organization: String(profile?.organization ?? "").trim(),
+    project: String(profile?.project ?? "").trim(),
+    definitionId,
+    pipelinePattern: String(profile?.pipelinePattern ?? "").trim(),
+    settings,
+  };
+
+  return { profile: normalized, errors };
+}
+
+/**
+ * Load the persisted profiles, or those of the policy (see config.js) if none were saved. Invalid profiles are skipped.
+ * @returns the valid profiles, in priority order
+ */
+async function loadProfiles() {
+  let stored = await chrome.storage.sync.get({ [PROFILES_STORAGE_KEY]: await getPolicyList(PROFILES_STORAGE_KEY) });
+  return stored[PROFILES_STORAGE_KEY]
+    .map(validateProfile)
+    .filter(result => result.errors.length === 0)
+    .map(result => result.profile);
+}
+
+/**
+ * Validate and persist the given profiles. Nothing is saved if any profile is invalid.
+ * @param {the profiles, in priority order} profiles
+ * @returns the list of validation errors (empty on success)
+ */
+async function saveProfiles(profiles) {
+  let { profiles: valid, errors } = validateProfiles(profiles);
+  if (errors.length === 0) {
+    await chrome.storage.sync.set({ [PROFILES_STORAGE_KEY]: valid });
+  }
+  return errors;
+}
+
+/**
+ * Validate a list of profiles, e.g. before saving it.
+ * @param {the profiles} profiles
+ * @returns an object with the normalized `profiles` and a list of `errors`
+ */
+function validateProfiles(profiles) {
+
+  let results = profiles.map(validateProfile);
+  let errors = results.flatMap(result => result.errors);
+
+  let names = results.map(result => result.profile.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    errors.push("Profile names must be unique.");
+  }
+
+  return { profiles: results.map(result => result.profile), errors };
+}
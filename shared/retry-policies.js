@@ -0,0 +1,137 @@
+/**
+ * Retry policies, which decide how long to wait after a failure is detected before rerunning
+ * the failed jobs. These are pure functions of the settings (see settings.js), so they can be
+ * tested without a browser.
+ *
+ * - "immediate": rerun as soon as the failure is detected.
+ * - "fixed": wait `retryDelaySeconds` before every retry.
+ * - "exponential": wait `retryDelaySeconds` before the first retry and twice as long before each
+ *   further retry, up to `retryMaxDelaySeconds`, give or take `retryJitterPercent` percent.
+ *
+ * Whatever the policy, no retry is submitted during the quiet hours (from `quietHoursStart` to
+ * `quietHoursEnd`, local time, e.g. "22:00" to "06:00"). Retries falling in them wait for their end.
+ */
+
+const RETRY_POLICIES = ["immediate", "fixed", "exponential"];
+
+/**
+ * Get the delay before the given retry, without jitter.
+ * @param {the settings of the watch} settings
+ * @param {the retry number, starting at 1} attempt
+ * @returns the delay in milliseconds
+ */
+function getNominalRetryDelayMillis(settings, attempt) {
+  switch (settings.retryPolicy) {
+    case "fixed":
+      return settings.retryDelaySeconds * 1000;
+    case "exponential": {
+      let seconds = settings.retryDelaySeconds * Math.pow(2, attempt - 1);
+      return Math.min(seconds, Math.max(settings.retryMaxDelaySeconds, settings.retryDelaySeconds)) * 1000;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the delay before the given retry, with jitter for the exponential policy.
+ * @param {the settings of the watch} settings
+ * @param {the retry number, starting at 1} attempt
+ * @param {a source of random numbers in [0, 1), like Math.random} random
+ * @returns the delay in milliseconds
+ */
+function getRetryDelayMillis(settings, attempt, random = Math.random) {
+  let delay = getNominalRetryDelayMillis(settings, attempt);
+  if (settings.retryPolicy === "exponential" && settings.retryJitterPercent > 0) {
+    let jitter = (random() * 2 - 1) * settings.retryJitterPercent / 100;
+    delay = Math.round(delay * (1 + jitter));
+  }
+  return delay;
+}
+
+/**
+ * Get the delays before each of the retries allowed by the settings, without jitter.
+ * @param {the settings of the watch} settings
+ * @returns the delays in milliseconds, one per retry
+ */
+function getRetrySchedule(settings) {
+  return Array.from({ length: settings.maxRetryCount }, (_, i) => getNominalRetryDelayMillis(settings, i + 1));
+}
+
+/**
+ * Parse a time of day.
+ * @param {the time as "HH:MM", or an empty string} text
+ * @returns the number of minutes since midnight, or null if the text is empty or invalid
+ */
+function parseTimeOfDay(text) {
+  let match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(text ?? "");
+  return match == null ? null : parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Postpone a time which falls in the quiet hours to their end.
+ * The quiet hours may span midnight, and are disabled if either end is empty or both are equal.
+ * @param {the timestamp in milliseconds} time
+ * @param {the start of the quiet hours, "HH:MM" local time} quietHoursStart
+ * @param {the end of the quiet hours, "HH:MM" local time} quietHoursEnd
+ * @returns the given time, or the end of the quiet hours it falls in
+ */
+function getEndOfQuietHours(time, quietHoursStart, quietHoursEnd) {
+
+  let start = parseTimeOfDay(quietHoursStart);
+  let end = parseTimeOfDay(quietHoursEnd);
+  if (start == null || end == null || start === end) {
+    return time;
+  }
+
+  let date = new Date(time);
+  let minutes = date.getHours() * 60 + date.getMinutes();
+  let quiet = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  if (!quiet) {
+    return time;
+  }
+
+  let endDate = new Date(time);
+  endDate.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (endDate.getTime() <= time) {
+    endDate.setDate(endDate.getDate() + 1);
+  }
+  return endDate.getTime();
+}
+
+/**
+ * Decide when to submit the given retry.
+ * @param {the settings of the watch} settings
+ * @param {the retry number, starting at 1} attempt
+ * @param {the timestamp in milliseconds at which the failure was detected} failureTime
+ * @param {a source of random numbers in [0, 1), like Math.random} random
+ * @returns the earliest timestamp in milliseconds at which to submit the retry
+ */
+function getNextRetryTime(settings, attempt, failureTime, random = Math.random) {
+  let time = failureTime + getRetryDelayMillis(settings, attempt, random);
+  return getEndOfQuietHours(time, settings.quietHoursStart, settings.quietHoursEnd);
+}
+
+/**
+ * Describe the retry policy and its delay schedule, e.g. "exponential (1m, 2m, 4m ±20%), quiet hours 22:00-06:00".
+ * @param {the settings of the watch} settings
+ * @returns the description
+ */
+function describeRetryPolicy(settings) {
+
+  let description = settings.retryPolicy ?? "immediate";
+  if (description !== "immediate" && settings.maxRetryCount > 0) {
+    let jitter = description === "exponential" && settings.retryJitterPercent > 0 ? ` ±${settings.retryJitterPercent}%` : "";
+    description += ` (${getRetrySchedule(settings).map(formatDuration).join(", ")}${jitter})`;
+  }
+
+  let start = parseTimeOfDay(settings.quietHoursStart);
+  let end = parseTimeOfDay(settings.quietHoursEnd);
+  if (start != null && end != null && start !== end) {
+    description += `, quiet hours ${settings.quietHoursStart}-${settings.quietHoursEnd}`;
+  }
+
+  return description;
+}
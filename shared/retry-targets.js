@@ -0,0 +1,137 @@
+/**
+ * Retry targets: which stages and jobs of a pipeline may be retried, saved per pipeline with
+ * `chrome.storage.sync` (one key per pipeline, see `getRetryTargetsKey`).
+ *
+ * The targets of a pipeline look like:
+ * {
+ *   mode: "allow",                  // "all" (retry any failed job), "allow" (only the listed ones) or "deny" (all but the listed ones)
+ *   targets: [
+ *     { stage: "Test", job: null }, // a whole stage
+ *     { stage: "Build", job: "Windows" } // a single job
+ *   ]
+ * }
+ * Stages are retried as a whole (their failed jobs only), so a stage is only retried if all of its failed jobs may be.
+ */
+
+const RETRY_TARGETS_KEY_PREFIX = "retryTargets:";
+
+const RETRY_TARGET_MODES = ["all", "allow", "deny"];
+
+/**
+ * Get the storage key of the retry targets of a pipeline.
+ * @param {the pipeline context: organization, project, definitionId and pipelineName} context
+ * @returns the key, or null if the context doesn't identify the pipeline
+ */
+function getRetryTargetsKey(context) {
+  let pipeline = context?.definitionId ?? context?.pipelineName;
+  if (context?.organization == null || context?.project == null || pipeline == null) {
+    return null;
+  }
+  return `${RETRY_TARGETS_KEY_PREFIX}${context.organization}/${context.project}/${pipeline}`.toLowerCase();
+}
+
+/**
+ * Name a job the way retry counts are keyed, e.g. "Test/Integration tests".
+ * @param {the stage name, null for builds without stages} stageName
+ * @param {the job name} jobName
+ * @returns the job key
+ */
+function getJobKey(stageName, jobName) {
+  return stageName == null ? jobName : `${stageName}/${jobName}`;
+}
+
+/**
+ * Whether a job may be retried.
+ * @param {the retry targets of the pipeline} retryTargets
+ * @param {the stage name, null for builds without stages} stageName
+ * @param {the job name} jobName
+ */
+function isRetryTarget(retryTargets, stageName, jobName) {
+
+  if (retryTargets.mode === "all") {
+    return true;
+  }
+
+  let same = (a, b) => a != null && b != null && a.toLowerCase() === b.toLowerCase();
+  let listed = retryTargets.targets.some(target =>
+    (target.stage == null || same(target.stage, stageName)) && (target.job == null || same(target.job, jobName)));
+
+  return retryTargets.mode === "allow" ? listed : !listed;
+}
+
+/**
+ * Whether a failed stage may be retried: every one of its failed jobs has to be a retry target.
+ * @param {the retry targets of the pipeline} retryTargets
+ * @param {the stage, see `AdoApiClient.toStages`} stage
+ */
+function isStageRetryable(retryTargets, stage) {
+  return stage.jobs
+    .filter(job => job.status === JobStatus.FAILED)
+    .every(job => isRetryTarget(retryTargets, stage.name, job.name));
+}
+
+/**
+ * Validate retry targets.
+ * @param {the raw retry targets} retryTargets
+ * @returns an object with the normalized `retryTargets` and a list of `errors`
+ */
+function validateRetryTargets(retryTargets) {
+
+  let errors = [];
+  let mode = retryTargets?.mode ?? "all";
+
+  if (!RETRY_TARGET_MODES.includes(mode)) {
+    errors.push(`The retry target mode must be one of [${RETRY_TARGET_MODES.join(", ")}].`);
+  }
+
+  let targets = (retryTargets?.targets ?? []).map(target => ({
+    stage: String(target?.stage ?? "").trim() || null,
+    job: String(target?.job ?? "").trim() || null,
+  }));
+  if (targets.some(target => target.stage == null && target.job == null)) {
+    errors.push("Every retry target needs a stage or a job.");
+  }
+  if (mode === "allow" && targets.length === 0) {
+    errors.push("Select at least one stage or job to retry.");
+  }
+
+  return { retryTargets: { mode, targets }, errors };
+}
+
+/**
+ * Load the retry targets of a pipeline.
+ * @param {the pipeline context} context
+ * @returns the retry targets; any failed job is a target if none were saved
+ */
+async function loadRetryTargets(context) {
+  let key = getRetryTargetsKey(context);
+  let stored = key == null ? {} : await chrome.storage.sync.get(key);
+  let { retryTargets, errors } = validateRetryTargets(stored[key]);
+  return errors.length === 0 ? retryTargets : { mode: "all", targets: [] };
+}
+
+/**
+ * Validate and persist the retry targets of a pipeline. Nothing is saved if they're invalid.
+ * @param {the pipeline context} context
+ * @param {the retry targets} retryTargets
+ * @returns the list of validation errors (empty on success)
+ */
+async function saveRetryTargets(context, retryTargets) {
+
+  let key = getRetryTargetsKey(context);
+  if (key == null) {
+    return ["The pipeline of this build isn't known, so its retry targets can't be saved."];
+  }
+
+  let { retryTargets: normalized, errors } = validateRetryTargets(retryTargets);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (normalized.mode === "all") {
+    await chrome.storage.sync.remove(key);
+  } else {
+    await chrome.storage.sync.set({ [key]: normalized });
+  }
+  return [];
+}
@@ -0,0 +1,287 @@
+/**
+ * User-configurable settings, persisted with `chrome.storage.sync` so they follow the
+ * user's browser profile. This script is shared by the content script and the options page.
+ */
+
+/**
+ * Every persisted setting along with its default value and the range of values considered valid.
+ * Durations are stored in the unit the options page displays them in.
+ */
+const SETTINGS_SCHEMA = {
+  maxRetryCount: { type: "integer", default: 2, min: 0, max: 100 },
+  maxNewBuilds: { type: "integer", default: 0, min: 0, max: 10 }, // fresh builds to queue once the reruns run out
+  pollIntervalSeconds: { type: "integer", default: 60, min: 30, max: 60 * 60 }, // chrome.alarms fire at most every 30 seconds
+  timeoutMinutes: { type: "integer", default: 5 * 60, min: 1, max: 7 * 24 * 60 },
+  postClickWaitSeconds: { type: "integer", default: 30, min: 1, max: 10 * 60 },
+  keepWatchingAfterRejection: { type: "boolean", default: false },
+  dryRun: { type: "boolean", default: false }, // observe only: detect and decide, but never rerun anything
+  useRestApi: { type: "boolean", default: true },
+  classifyFailures: { type: "boolean", default: true },
+  unclassifiedFailures: { type: "enum", default: "retry", values: ["retry", "stop"] },
+  minRetryPassPercent: { type: "integer", default: 0, min: 0, max: 100 }, // 0: retry regardless of the flakiness database
+  retryPolicy: { type: "enum", default: "immediate", values: ["immediate", "fixed", "exponential"] }, // see retry-policies.js
+  retryDelaySeconds: { type: "integer", default: 60, min: 0, max: 24 * 60 * 60 },
+  retryMaxDelaySeconds: { type: "integer", default: 60 * 60, min: 0, max: 24 * 60 * 60 },
+  retryJitterPercent: { type: "integer", default: 20, min: 0, max: 100 },
+  quietHoursStart: { type: "time", default: "" }, // "HH:MM" local time, or empty
+  quietHoursEnd: { type: "time", default: "" },
+  notifyRetry: { type: "boolean", default: true },
+  notifySuccess: { type: "boolean", default: true },
+  notifyFailure: { type: "boolean", default: true },
+  notifyTimeout: { type: "boolean", default: true },
+  notifyDetectionBroken: { type: "boolean", default: true },
+  notifyWaiting: { type: "boolean", default: false },
+  notifyNewBuild: { type: "boolean", default: true },
+  pageTitleTemplate: { type: "text", default: "", maxLength: 200 }, // empty: the built-in title, see content.js
+  restorePageWhenDone: { type: "boolean", default: true },
+  allowExternalControl: { type: "boolean", default: false }, // let other extensions control the watches, see background.js
+};
+
+/**
+ * Build the default settings object from the schema.
+ * @returns a fresh copy of the default settings
+ */
+function getDefaultSettings() {
+  let defaults = {};
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = definition.default;
+  }
+  return defaults;
+}
+
+/**
+ * Validate a single setting value against its schema definition.
+ * @param {the setting name} key
+ * @param {the raw value, e.g. from storage, an input element or a query parameter} value
+ * @returns an object with the parsed `value`, or an `error` message if the value is invalid
+ */
+function validateSetting(key, value) {
+
+  let definition = SETTINGS_SCHEMA[key];
+  if (definition == null) {
+    return { error: `Unknown setting '${key}'.` };
+  }
+
+  switch (definition.type) {
+    case "integer": {
+      let parsed = typeof value === "number" ? value : Number(String(value).trim());
+      if (String(value).trim() === "" || !Number.isInteger(parsed)) {
+        return { error: `'${key}' must be a whole number.` };
+      }
+      if (parsed < definition.min || parsed > definition.max) {
+        return { error: `'${key}' must be between ${definition.min} and ${definition.max}.` };
+      }
+      return { value: parsed };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") {
+        return { value };
+      }
+      if (value === "true" || value === "false") {
+        return { value: value === "true" };
+      }
+      return { error: `'${key}' must be true or false.` };
+    }
+    case "time": {
+      let text = String(value).trim();
+      if (text !== "" && !/^([01]\d|2[0-3]):[0-5]\d$/.test(text)) {
+        return { error: `'${key}' must be a time of day (HH:MM) or empty.` };
+      }
+      return { value: text };
+    }
+    case "text": {
+      let text = String(value).trim();
+      if (text.length > definition.maxLength) {
+        return { error: `'${key}' must be at most ${definition.maxLength} characters long.` };
+      }
+      return { value: text };
+    }
+    case "enum": {
+      if (!definition.values.includes(value)) {
+        return { error: `'${key}' must be one of [${definition.values.join(", ")}].` };
+      }
+      return { value };
+    }
+    default:
+      return { error: `Setting '${key}' has unsupported type '${definition.type}'.` };
+  }
+}
+
+/**
+ * Validate a settings object. Invalid or missing values are replaced by their defaults.
+ * @param {the raw settings object} values
+ * @returns an object with the validated `settings` and a map of `errors` keyed by setting name
+ */
+function validateSettings(values) {
+
+  let settings = getDefaultSettings();
+  let errors = {};
+
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (values == null || values[key] === undefined) {
+      continue;
+    }
+    let result = validateSetting(key, values[key]);
+    if (result.error != null) {
+      errors[key] = result.error;
+    } else {
+      settings[key] = result.value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Validate a partial settings object overriding the global settings, e.g. those of a profile.
+ * Empty values are left out, so they fall back to the global settings.
+ * @param {the raw setting overrides} values
+ * @returns an object with the validated `settings` and a list of `errors`
+ */
+function validateSettingOverrides(values) {
+
+  let settings = {};
+  let errors = [];
+
+  for (const [key, value] of Object.entries(values ?? {})) {
+    if (value == null || String(value).trim() === "") {
+      continue;
+    }
+    let result = validateSetting(key, value);
+    if (result.error != null) {
+      errors.push(result.error);
+    } else {
+      settings[key] = result.value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Validate the limits a policy sets on the settings (see config.js). Invalid limits are left out.
+ * @param {the raw limits, keyed by setting name: `min` and/or `max` for whole numbers, or the `value` every other setting is locked to} limits
+ * @returns an object with the validated `limits` and a list of `errors`
+ */
+function validateSettingLimits(limits) {
+
+  let validated = {};
+  let errors = [];
+
+  for (const [key, limit] of Object.entries(limits ?? {})) {
+    let definition = SETTINGS_SCHEMA[key];
+    if (definition == null) {
+      errors.push(`Unknown setting '${key}'.`);
+      continue;
+    }
+    let result = {};
+    for (const bound of ["min", "max", "value"]) {
+      if (limit?.[bound] == null) {
+        continue;
+      }
+      if (bound !== "value" && definition.type !== "integer") {
+        errors.push(`'${key}' can only be limited to a value.`);
+        continue;
+      }
+      let { value, error } = validateSetting(key, limit[bound]);
+      if (error != null) {
+        errors.push(`The ${bound} limit of ${key}: ${error}`);
+      } else {
+        result[bound] = value;
+      }
+    }
+    if (Object.keys(result).length > 0) {
+      validated[key] = result;
+    }
+  }
+
+  return { limits: validated, errors };
+}
+
+/**
+ * Check a setting value against the limit of the policy.
+ * @param {the setting name} key
+ * @param {the validated value} value
+ * @param {the limit of the setting, if any} limit
+ * @returns the error message, or null if the value is within the limit
+ */
+function getSettingLimitError(key, value, limit) {
+  if (limit?.value !== undefined && value !== limit.value) {
+    return `'${key}' is set to ${limit.value} by your organization.`;
+  }
+  if (limit?.min != null && value < limit.min) {
+    return `'${key}' must be at least ${limit.min} by your organization's policy.`;
+  }
+  if (limit?.max != null && value > limit.max) {
+    return `'${key}' must be at most ${limit.max} by your organization's policy.`;
+  }
+  return null;
+}
+
+/**
+ * Bring the settings within the limits of the policy.
+ * @param {the validated settings} settings
+ * @param {the validated limits, see `validateSettingLimits`} limits
+ * @returns a copy of the settings with every value within its limit
+ */
+function applySettingLimits(settings, limits) {
+  let limited = { ...settings };
+  for (const [key, limit] of Object.entries(limits)) {
+    if (limit.value !== undefined) {
+      limited[key] = limit.value;
+    } else {
+      limited[key] = Math.min(Math.max(limited[key], limit.min ?? -Infinity), limit.max ?? Infinity);
+    }
+  }
+  return limited;
+}
+
+/**
+ * Load the persisted settings. Settings which were never saved take the value of the policy (see config.js), if any,
+ * and values which fail validation fall back to their defaults. Every value is within the limits of the policy.
+ * @returns the validated settings
+ */
+async function loadSettings() {
+  let { config, limits } = await loadPolicy();
+  let stored = await chrome.storage.sync.get({ ...getDefaultSettings(), ...validateSettingOverrides(config.settings).settings });
+  return applySettingLimits(validateSettings(stored).settings, limits);
+}
+
+/**
+ * Validate and persist the given settings. Nothing is saved if any value is invalid or beyond the limits of the policy.
+ * @param {the settings to save} values
+ * @returns the map of validation errors keyed by setting name (empty on success)
+ */
+async function saveSettings(values) {
+  let { settings, errors } = await validateSettingsWithinPolicy(values);
+  if (Object.keys(errors).length === 0) {
+    await chrome.storage.sync.set(settings);
+  }
+  return errors;
+}
+
+/**
+ * Validate settings like `validateSettings`, and check them against the limits of the policy (see config.js).
+ * @param {the raw setting values} values
+ * @returns an object with the normalized `settings` and the `errors` by setting
+ */
+async function validateSettingsWithinPolicy(values) {
+  let { settings, errors } = validateSettings(values);
+  let { limits } = await loadPolicy();
+  for (const [key, limit] of Object.entries(limits)) {
+    let error = errors[key] == null ? getSettingLimitError(key, settings[key], limit) : null;
+    if (error != null) {
+      errors[key] = error;
+    }
+  }
+  return { settings, errors };
+}
+
+/**
+ * Restore all settings to their defaults, or those of the policy.
+ * @returns the default settings
+ */
+async function resetSettings() {
+  await chrome.storage.sync.remove(Object.keys(SETTINGS_SCHEMA));
+  return await loadSettings();
+}
@@ -0,0 +1,82 @@
+/**
+ * Index of the records a store keeps under their own keys in `chrome.storage.local` (the watches, the history
+ * entries, the flakiness records). The ids of the records are kept under a key of their own, so loading
+ * the records reads only their keys, never the rest of the storage (e.g. the log, see log.js).
+ */
+class StorageIndex {
+
+  #key = null;
+  #prefix = null;
+
+  // The last queued update of the index (see `update`).
+  #lastUpdate = Promise.resolve();
+
+  /**
+   * @param {the key of the index, e.g. "historyIds"} key
+   * @param {the prefix of the keys of the records, e.g. "history:"} prefix
+   */
+  constructor(key, prefix) {
+    this.#key = key;
+    this.#prefix = prefix;
+  }
+
+  /**
+   * Load the ids of the records.
+   * @returns the ids, oldest first
+   */
+  async loadIds() {
+    let stored = await chrome.storage.local.get({ [this.#key]: [] });
+    return stored[this.#key];
+  }
+
+  /**
+   * Load every record.
+   * @returns the records, in no particular order
+   */
+  async loadRecords() {
+    let ids = await this.loadIds();
+    if (ids.length === 0) {
+      return [];
+    }
+    return Object.values(await chrome.storage.local.get(ids.map(id => this.#prefix + id)));
+  }
+
+  /**
+   * Persist a record, adding it to the index.
+   * @param {the record id} id
+   * @param {the record} record
+   */
+  async save(id, record) {
+    await this.update(ids => ids.includes(id) ? ids : [...ids, id]);
+    await chrome.storage.local.set({ [this.#prefix + id]: record });
+  }
+
+  /**
+   * Delete records, removing them from the index.
+   * @param {the record ids} ids
+   */
+  async remove(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+    await chrome.storage.local.remove(ids.map(id => this.#prefix + id));
+    let removed = new Set(ids);
+    await this.update(current => current.some(id => removed.has(id)) ? current.filter(id => !removed.has(id)) : current);
+  }
+
+  /**
+   * Change the index. Updates are queued, so concurrent updates don't overwrite each other.
+   * @param {a function returning the changed ids, or the same array if nothing changes} change
+   */
+  async update(change) {
+    let update = this.#lastUpdate.catch(() => { }).then(async () => {
+      let ids = await this.loadIds();
+      let changed = change(ids);
+      if (changed !== ids) {
+        await chrome.storage.local.set({ [this.#key]: changed });
+      }
+    });
+    this.#lastUpdate = update;
+    await update;
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Outgoing webhooks, which post the events of a watch (see watch-events.js) to a chat channel or any
+ * HTTP endpoint. Persisted with `chrome.storage.sync` under a single key. The extension needs access to
+ * the origin of each webhook URL, which the options page requests when saving.
+ *
+ * A webhook looks like:
+ * {
+ *   name: "Team channel",
+ *   enabled: true,
+ *   url: "https://contoso.webhook.office.com/...",
+ *   format: "teams",              // "json", "teams" or "slack", see webhook-delivery.js
+ *   events: ["retry", "failure"], // the WatchEvents to post
+ *   branchPattern: "main"         // optional, wildcard pattern matched against the build's source branch
+ * }
+ */
+
+const WEBHOOKS_STORAGE_KEY = "webhooks";
+
+const WEBHOOK_FORMATS = ["json", "teams", "slack"];
+
+// The values of `WatchEvent`, which only the background script loads.
+const WEBHOOK_EVENTS = ["retry", "success", "failure", "timeout", "detection-broken", "waiting", "new-build"];
+
+/**
+ * Whether the webhook posts the given event of a build.
+ * The branch pattern is matched against both the full ref (refs/heads/main) and the branch name (main).
+ * @param {the webhook} webhook
+ * @param {the WatchEvent} event
+ * @param {the source branch of the build, or null if unknown} sourceBranch
+ */
+function webhookMatches(webhook, event, sourceBranch) {
+  if (!webhook.enabled || !webhook.events.includes(event)) {
+    return false;
+  }
+  if (!webhook.branchPattern) {
+    return true;
+  }
+  let regex = wildcardToRegExp(webhook.branchPattern);
+  return sourceBranch != null && (regex.test(sourceBranch) || regex.test(sourceBranch.replace(/^refs\/heads\//, "")));
+}
+
+/**
+ * Get the host permission pattern covering the webhook URL, e.g. "https://hooks.slack.com/*".
+ * @param {the webhook} webhook
+ */
+function getWebhookPermissionPattern(webhook) {
+  return `${new URL(webhook.url).origin}/*`;
+}
+
+/**
+ * Validate a webhook.
+ * @param {the raw webhook} webhook
+ * @returns an object with the normalized `webhook` and a list of `errors`
+ */
+function validateWebhook(webhook) {
+
+  let errors = [];
+  let name = String(webhook?.name ?? "").trim();
+  let label = name || "(unnamed)";
+  let url = String(webhook?.url ?? "").trim();
+  let format = String(webhook?.format ?? "json").trim();
+  let events = Array.isArray(webhook?.events) ? webhook.events.filter(event => WEBHOOK_EVENTS.includes(event)) : [];
+
+  if (!name) {
+    errors.push("Every webhook needs a name.");
+  }
+  try {
+    if (!["https:", "http:"].includes(new URL(url).protocol)) {
+      errors.push(`Webhook '${label}': the URL must start with https:// or http://.`);
+    }
+  } catch (e) {
+    errors.push(`Webhook '${label}': the URL is not valid.`);
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    errors.push(`Webhook '${label}': the format must be one of [${WEBHOOK_FORMATS.join(", ")}].`);
+  }
+  if (events.length === 0) {
+    errors.push(`Webhook '${label}': pick at least one event.`);
+  }
+
+  let normalized = {
+    name,
+    enabled: webhook?.enabled !== false,
+    url,
+    format,
+    events,
+    branchPattern: String(webhook?.branchPattern ?? "").trim(),
+  };
+
+  return { webhook: normalized, errors };
+}
+
+/**
+ * Load the persisted webhooks, or those of the policy (see config.js) if none were saved. Invalid webhooks are skipped.
+ * @returns the valid webhooks
+ */
+async function loadWebhooks() {
+  let stored = await chrome.storage.sync.get({ [WEBHOOKS_STORAGE_KEY]: await getPolicyList(WEBHOOKS_STORAGE_KEY) });
+  return stored[WEBHOOKS_STORAGE_KEY]
+    .map(validateWebhook)
+    .filter(result => result.errors.length === 0)
+    .map(result => result.webhook);
+}
+
+/**
+ * Validate and persist the given webhooks. Nothing is saved if any webhook is invalid.
+ * @param {the webhooks} webhooks
+ * @returns the list of validation errors (empty on success)
+ */
+async function saveWebhooks(webhooks) {
+  let { webhooks: valid, errors } = validateWebhooks(webhooks);
+  if (errors.length === 0) {
+    await chrome.storage.sync.set({ [WEBHOOKS_STORAGE_KEY]: valid });
+  }
+  return errors;
+}
+
+/**
+ * Validate a list of webhooks, e.g. before saving it.
+ * @param {the webhooks} webhooks
+ * @returns an object with the normalized `webhooks` and a list of `errors`
+ */
+function validateWebhooks(webhooks) {
+
+  let results = webhooks.map(validateWebhook);
+  let errors = results.flatMap(result => result.errors);
+
+  let names = results.map(result => result.webhook.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    errors.push("Webhook names must be unique.");
+  }
+
+  return { webhooks: results.map(result => result.webhook), errors };
+}
@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestWorld } = require("./harness");
+
+// A running watch, see `RerunManager.currentState`.
+const RUNNING = {
+  running: true,
+  cancelled: false,
+  finished: false,
+  status: "active",
+  startTime: new Date(2024, 0, 15, 9, 0).getTime(),
+  endTime: 0,
+  retries: 1,
+  cancellationReason: null,
+  profile: null,
+  autoWatchRule: null,
+  nonRetryable: false,
+  matchedRule: null,
+  detectionBroken: false,
+  paused: false,
+  dryRun: false,
+  nextRetryTime: null,
+  retryPolicy: "immediate",
+};
+
+const FINISHED = { ...RUNNING, running: false, finished: true, endTime: RUNNING.startTime + 90 * 1000 };
+
+describe("action button", () => {
+
+  let world = new TestWorld();
+  let getActionAppearance = world.evaluate("getActionAppearance");
+
+  for (const [name, state, icon, title] of [
+    ["running", RUNNING, "blue", "Periodically checking the build for failed jobs to rerun. (retries: 1, policy: immediate)"],
+    ["running a dry run", { ...RUNNING, dryRun: true }, "blue", /^Dry run: .* \(retries: 1, policy: immediate\)$/],
+    ["paused", { ...RUNNING, paused: true }, "default", /^Automatic retry is paused, .* \(retries: 1\)$/],
+    ["waiting for an approval", { ...RUNNING, status: "waiting" }, "blue", /^The build is waiting for an approval, .* \(retries: 1\)$/],
+    ["unable to detect the status", { ...RUNNING, status: "unknown", detectionBroken: true }, "yellow", /^Unable to detect the build status on the page/],
+    ["cancelled", { ...FINISHED, finished: false, cancelled: true, cancellationReason: "timed out" }, "default",
+      "Automatic retry was cancelled. (reason: 'timed out', retries: 1, elapsed: 00:01:30)"],
+    ["succeeded", { ...FINISHED, status: "success" }, "green", "Pipeline succeeded. (retries: 1, elapsed: 00:01:30)"],
+    ["failed", { ...FINISHED, status: "failed" }, "red", "Pipeline failed or script timed out. (retries: 1, elapsed: 00:01:30)"],
+    ["not retried", { ...FINISHED, status: "failed", nonRetryable: true, matchedRule: "Compilation error", profile: "Nightly" }, "red",
+      "Pipeline failed and the failure isn't worth retrying, so it wasn't retried. (retries: 1, rule: 'Compilation error', elapsed: 00:01:30, profile: 'Nightly')"],
+  ]) {
+    it(`shows a watch which is ${name}`, () => {
+      let appearance = getActionAppearance(state);
+      assert.equal(appearance.icon, icon);
+      if (title instanceof RegExp) {
+        assert.match(appearance.title, title);
+      } else {
+        assert.equal(appearance.title, title);
+      }
+    });
+  }
+
+  it("shows when the next retry is due", () => {
+    let nextRetryTime = new Date(2024, 0, 15, 9, 5).getTime();
+    let { title } = getActionAppearance({ ...RUNNING, nextRetryTime, retryPolicy: "fixed (5m)" });
+    assert.equal(title, `Periodically checking the build for failed jobs to rerun. (retries: 1, next retry: ${new Date(nextRetryTime).toLocaleTimeString()}, policy: fixed (5m))`);
+  });
+
+  it("sets the icon and title of the tab", async () => {
+    await world.evaluate("setAction")(3, { ...FINISHED, status: "success" });
+    let action = world.browser.getAction(3);
+    assert.equal(action.icon, "/icons/green16x16.png");
+    assert.equal(action.title, "Pipeline succeeded. (retries: 1, elapsed: 00:01:30)");
+    assert.equal(world.browser.getAction(4).icon, undefined);
+  });
+});
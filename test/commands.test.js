@@ -0,0 +1,49 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestWorld } = require("./harness");
+
+const SECOND = 1000;
+const BUILD_URL = "https://dev.azure.com/org/project/_build/results?buildId=42";
+
+describe("context menu and shortcuts", () => {
+
+  it("watches a link opened in the background once its page has loaded", async () => {
+    let world = new TestWorld({ settings: { useRestApi: false } });
+    let opener = await world.openTab("build-success.html", "https://dev.azure.com/org/project/_build/results?buildId=41");
+    await world.browser.events.contextMenuClicked.dispatch({ menuItemId: "watch-link", linkUrl: BUILD_URL }, { id: opener.id, index: 0 });
+    let tab = Array.from(world.browser.tabs.values()).find(candidate => candidate.url === BUILD_URL);
+    assert.equal(tab.active, false);
+
+    // The service worker is stopped while the page loads.
+    world.restartBackground();
+    let loaded = world.loadPage(tab, "build-failed.html");
+    // Long enough for the page agent to confirm an immediate rerun.
+    await world.clock.tick(SECOND);
+    await loaded;
+
+    let [watch] = (await world.send("list-watches")).result;
+    assert.equal(watch.tabId, tab.id);
+    assert.equal(watch.buildId, 42);
+    assert.equal(tab.page.document.body.dataset.reruns, "1");
+    assert.deepEqual([...world.browser.storage.session.items.pendingBackgroundWatchTabs], []);
+  });
+
+  it("forgets a background tab closed before its page loaded", async () => {
+    let world = new TestWorld({ settings: { useRestApi: false } });
+    await world.browser.events.contextMenuClicked.dispatch({ menuItemId: "watch-link", linkUrl: BUILD_URL }, null);
+    let [tab] = world.browser.tabs.values();
+    world.browser.tabs.delete(tab.id);
+    await world.browser.events.tabRemoved.dispatch(tab.id, {});
+    assert.deepEqual([...world.browser.storage.session.items.pendingBackgroundWatchTabs], []);
+  });
+
+  it("shows the state of the watch", async () => {
+    let world = new TestWorld();
+    let tab = await world.openTab("build-success.html");
+    await world.browser.events.command.dispatch("retry-now", { id: tab.id });
+    assert.deepEqual(world.browser.notifications.map(({ title, message }) => ({ title, message })), [{
+      title: "No build is being watched in this tab",
+      message: "Unable to retry now. Open a build and press the shortcut or click \"Watch this page\" in the popup to watch it.",
+    }]);
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * Fakes of the `chrome.*` APIs the extension uses, backed by plain objects the tests can inspect:
+ * the storage areas, alarms (on the fake clock), tabs (see page.js), the action button, notifications
+ * and permissions. The background script and each page agent get their own `chrome` object, wired
+ * together like in the browser: `chrome.tabs.sendMessage` reaches the page agent's `chrome.runtime.onMessage`
+ * and the page agent's `chrome.runtime.sendMessage` reaches the background script's.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(ROOT, "_locales", "en", "messages.json"), "utf8"));
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+const EXTENSION_ID = "abcdefghijklmnopabcdefghijklmnop";
+
+/**
+ * Copy a value the way the extension messaging and storage serialize it.
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class FakeEvent {
+
+  listeners = [];
+
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(candidate => candidate !== listener);
+  }
+
+  hasListener(listener) {
+    return this.listeners.includes(listener);
+  }
+
+  /**
+   * Call every listener with the given arguments.
+   * @returns a promise of the listeners' results
+   */
+  dispatch(...args) {
+    return Promise.all(this.listeners.map(listener => listener(...args)));
+  }
+}
+
+/**
+ * Deliver a message to `runtime.onMessage` listeners, which respond through `sendResponse`, asynchronously if they return true.
+ * @param {the `onMessage` event} event
+ * @param {the message} message
+ * @param {the sender, e.g. { tab }} sender
+ * @returns a promise of the first response, or of undefined if no listener responds
+ */
+function deliverMessage(event, message, sender) {
+  return new Promise((resolve, reject) => {
+    if (event.listeners.length === 0) {
+      reject(new Error("Could not establish connection. Receiving end does not exist."));
+      return;
+    }
+    let waiting = false;
+    for (const listener of event.listeners) {
+      waiting = listener(clone(message), sender, response => resolve(clone(response))) === true || waiting;
+    }
+    if (!waiting) {
+      resolve(undefined);
+    }
+  });
+}
+
+class FakeStorageArea {
+
+  #name = null;
+  #onChanged = null;
+  #items = {};
+
+  // The quota of the area in bytes (of JSON), or null for no quota.
+  quotaBytes = null;
+
+  // The keys each `get` asked for, null meaning everything.
+  reads = [];
+
+  /**
+   * @param {the area name, e.g. "local"} name
+   * @param {the `chrome.storage.onChanged` event} onChanged
+   */
+  constructor(name, onChanged) {
+    this.#name = name;
+    this.#onChanged = onChanged;
+  }
+
+  /**
+   * The stored items, for the tests to inspect or seed.
+   */
+  get items() {
+    return this.#items;
+  }
+
+  async get(keys = null) {
+    this.reads.push(keys);
+    if (keys == null) {
+      return clone(this.#items);
+    }
+    let defaults = typeof keys === "string" ? { [keys]: undefined }
+      : Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined]))
+        : keys;
+    let result = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      let value = key in this.#items ? this.#items[key] : fallback;
+      if (value !== undefined) {
+        result[key] = clone(value);
+      }
+    }
+    return result;
+  }
+
+  async set(items) {
+    let updated = { ...this.#items, ...clone(items) };
+    if (this.quotaBytes != null && getBytes(updated) > this.quotaBytes) {
+      throw new Error("QUOTA_BYTES quota exceeded");
+    }
+    let changes = Object.fromEntries(Object.keys(items).map(key => [key, { oldValue: clone(this.#items[key]), newValue: clone(items[key]) }]));
+    this.#items = updated;
+    this.#onChanged.dispatch(changes, this.#name);
+  }
+
+  async remove(keys) {
+    let changes = {};
+    for (const key of [].concat(keys).filter(key => key in this.#items)) {
+      changes[key] = { oldValue: this.#items[key] };
+      delete this.#items[key];
+    }
+    if (Object.keys(changes).length > 0) {
+      this.#onChanged.dispatch(changes, this.#name);
+    }
+  }
+
+  async clear() {
+    await this.remove(Object.keys(this.#items));
+  }
+
+  async getBytesInUse(keys = null) {
+    let items = keys == null ? this.#items : await this.get(keys);
+    return getBytes(items);
+  }
+}
+
+/**
+ * The size of the given items the way the storage quota counts it: the length of each key and of its value as JSON.
+ */
+function getBytes(items) {
+  return Object.entries(items).reduce((total, [key, value]) => total + key.length + JSON.stringify(value).length, 0);
+}
+
+/**
+ * Translate a message of _locales/en/messages.json like `chrome.i18n.getMessage`.
+ */
+function getMessage(name, substitutions = []) {
+  let message = MESSAGES[name];
+  if (message == null) {
+    return "";
+  }
+  let values = [].concat(substitutions ?? []);
+  let fill = text => text.replace(/\$(\d)/g, (_, index) => values[index - 1] ?? "");
+  return message.message.replace(/\$(\w+)\$/g, (match, placeholder) => {
+    let content = message.placeholders?.[placeholder.toLowerCase()]?.content;
+    return content == null ? match : fill(content);
+  });
+}
+
+/**
+ * The browser the extension runs in: its storage, alarms, tabs, toolbar button and so on.
+ */
+class FakeBrowser {
+
+  #clock = null;
+  #alarms = new Map();
+  #nextTabId = 1;
+
+  storageChanged = new FakeEvent();
+  storage = {
+    local: new FakeStorageArea("local", this.storageChanged),
+    sync: new FakeStorageArea("sync", this.storageChanged),
+    session: new FakeStorageArea("session", this.storageChanged),
+    managed: new FakeStorageArea("managed", this.storageChanged),
+  };
+
+  // The open tabs by id: { id, url, windowId, page } where `page` is the FakePage shown, if any.
+  tabs = new Map();
+
+  // The icon, title and badge of the toolbar button, per tab id and for every tab (key null).
+  actions = new Map();
+
+  // The notifications shown, in order: { id, title, message, ... }.
+  notifications = [];
+
+  // The origins the user granted access to, or null if every request is granted.
+  grantedOrigins = null;
+
+  // How many times the options page was opened.
+  optionsPageOpens = 0;
+
+  // The events of the background script.
+  events = {
+    alarm: new FakeEvent(),
+    message: new FakeEvent(),
+    messageExternal: new FakeEvent(),
+    startup: new FakeEvent(),
+    installed: new FakeEvent(),
+    tabUpdated: new FakeEvent(),
+    tabRemoved: new FakeEvent(),
+    tabActivated: new FakeEvent(),
+    notificationClicked: new FakeEvent(),
+    notificationButtonClicked: new FakeEvent(),
+    contextMenuClicked: new FakeEvent(),
+    command: new FakeEvent(),
+    permissionsAdded: new FakeEvent(),
+    permissionsRemoved: new FakeEvent(),
+  };
+
+  /**
+   * @param {the FakeClock the alarms run on} clock
+   */
+  constructor(clock) {
+    this.#clock = clock;
+  }
+
+  /**
+   * The pending alarms by name: { name, scheduledTime }.
+   */
+  get alarms() {
+    return new Map(Array.from(this.#alarms.entries(), ([name, alarm]) => [name, { name, scheduledTime: alarm.scheduledTime }]));
+  }
+
+  /**
+   * Open a tab.
+   * @param {the URL} url
+   * @returns the tab
+   */
+  addTab(url) {
+    let tab = { id: this.#nextTabId++, url, windowId: 1, active: true, page: null };
+    this.tabs.set(tab.id, tab);
+    return tab;
+  }
+
+  /**
+   * Get the toolbar button state of the given tab, falling back to the global state like the browser.
+   * @param {the tab id, or null for the global state} tabId
+   */
+  getAction(tabId = null) {
+    return { ...this.actions.get(null), ...this.actions.get(tabId) };
+  }
+
+  /**
+   * Create the `chrome` object of the background script.
+   */
+  createBackgroundApi() {
+    let events = this.events;
+    let setAction = (tabId, change) => this.actions.set(tabId ?? null, { ...this.actions.get(tabId ?? null), ...change });
+
+    return {
+      storage: { ...this.storage, onChanged: this.storageChanged },
+      alarms: {
+        create: async (name, { when, delayInMinutes }) => {
+          this.#clearAlarm(name);
+          let scheduledTime = when ?? this.#clock.now + delayInMinutes * 60 * 1000;
+          let timer = this.#clock.at(scheduledTime, () => {
+            this.#alarms.delete(name);
+            return events.alarm.dispatch({ name, scheduledTime });
+          });
+          this.#alarms.set(name, { scheduledTime, timer });
+        },
+        clear: async (name) => this.#clearAlarm(name),
+        get: async (name) => this.alarms.get(name),
+        getAll: async () => Array.from(this.alarms.values()),
+        onAlarm: events.alarm,
+      },
+      action: {
+        setIcon: async ({ tabId, path }) => setAction(tabId, { icon: path[16] }),
+        setTitle: async ({ tabId, title }) => setAction(tabId, { title }),
+        setBadgeText: async ({ tabId, text }) => setAction(tabId, { badgeText: text }),
+        setBadgeBackgroundColor: async ({ tabId, color }) => setAction(tabId, { badgeColor: color }),
+      },
+      tabs: {
+        get: async (tabId) => this.#getTab(tabId),
+        query: async () => Array.from(this.tabs.values()).filter(tab => tab.active).map(tab => this.#getTab(tab.id)),
+        create: async ({ url, active = true }) => {
+          let tab = this.addTab(url);
+          tab.active = active;
+          return this.#getTab(tab.id);
+        },
+        update: async (tabId, { url }) => {
+          let tab = this.tabs.get(tabId);
+          if (tab == null) {
+            throw new Error(`No tab with id: ${tabId}.`);
+          }
+          if (url != null) {
+            tab.url = url;
+          }
+          return this.#getTab(tabId);
+        },
+        sendMessage: async (tabId, message) => {
+          let page = this.tabs.get(tabId)?.page;
+          if (page == null) {
+            throw new Error("Could not establish connection. Receiving end does not exist.");
+          }
+          return await deliverMessage(page.messages, message, { id: EXTENSION_ID });
+        },
+        onUpdated: events.tabUpdated,
+        onRemoved: events.tabRemoved,
+        onActivated: events.tabActivated,
+      },
+      windows: {
+        update: async (windowId) => ({ id: windowId }),
+      },
+      scripting: {
+        executeScript: async ({ target, files }) => {
+          let page = this.tabs.get(target.tabId)?.page;
+          if (page == null) {
+            throw new Error(`Cannot access contents of the page of tab ${target.tabId}.`);
+          }
+          return [{ frameId: 0, result: clone(await page.inject(files)) }];
+        },
+      },
+      runtime: {
+        id: EXTENSION_ID,
+        getURL: (file) => `chrome-extension://${EXTENSION_ID}/${file.replace(/^\//, "")}`,
+        getManifest: () => clone(MANIFEST),
+        sendMessage: async () => undefined,
+        openOptionsPage: async () => {
+          this.optionsPageOpens++;
+        },
+        onMessage: events.message,
+        onMessageExternal: events.messageExternal,
+        onStartup: events.startup,
+        onInstalled: events.installed,
+      },
+      notifications: {
+        create: async (id, options) => {
+          this.notifications.push({ id, ...clone(options) });
+          return id;
+        },
+        clear: async (id) => this.notifications.some(notification => notification.id === id),
+        onClicked: events.notificationClicked,
+        onButtonClicked: events.notificationButtonClicked,
+      },
+      permissions: {
+        contains: async ({ origins = [] }) => origins.every(origin => this.grantedOrigins?.has(origin) ?? true),
+        request: async ({ origins = [] }) => {
+          origins.forEach(origin => this.grantedOrigins?.add(origin));
+          return true;
+        },
+        remove: async ({ origins = [] }) => {
+          origins.forEach(origin => this.grantedOrigins?.delete(origin));
+          return true;
+        },
+        getAll: async () => ({ origins: Array.from(this.grantedOrigins ?? MANIFEST.host_permissions), permissions: MANIFEST.permissions }),
+        onAdded: events.permissionsAdded,
+        onRemoved: events.permissionsRemoved,
+      },
+      contextMenus: {
+        create: () => { },
+        removeAll: async () => { },
+        onClicked: events.contextMenuClicked,
+      },
+      commands: {
+        onCommand: events.command,
+      },
+      i18n: {
+        getMessage,
+        getUILanguage: () => "en",
+      },
+    };
+  }
+
+  /**
+   * Create the `chrome` object of a page agent, i.e. of a content script.
+   * @param {the tab the page is shown in} tab
+   * @param {the `runtime.onMessage` event of the page} messages
+   */
+  createPageApi(tab, messages) {
+    return {
+      storage: { ...this.storage, onChanged: this.storageChanged },
+      runtime: {
+        id: EXTENSION_ID,
+        getURL: (file) => `chrome-extension://${EXTENSION_ID}/${file.replace(/^\//, "")}`,
+        sendMessage: (message) => deliverMessage(this.events.message, message, { id: EXTENSION_ID, tab: this.#getTab(tab.id) }),
+        onMessage: messages,
+      },
+      i18n: {
+        getMessage,
+        getUILanguage: () => "en",
+      },
+    };
+  }
+
+  #getTab(tabId) {
+    let tab = this.tabs.get(tabId);
+    if (tab == null) {
+      throw new Error(`No tab with id: ${tabId}.`);
+    }
+    let { page, ...info } = tab;
+    return { ...info, status: page == null ? "loading" : "complete" };
+  }
+
+  #clearAlarm(name) {
+    let alarm = this.#alarms.get(name);
+    if (alarm == null) {
+      return false;
+    }
+    this.#clock.clearTimeout(alarm.timer);
+    this.#alarms.delete(name);
+    return true;
+  }
+}
+
+module.exports = { FakeBrowser, FakeEvent, ROOT, EXTENSION_ID, deliverMessage, getMessage };
@@ -0,0 +1,125 @@
+/**
+ * A fake clock for the scripts under test. Their `Date`, `setTimeout` and `setInterval` (and the fake
+ * `chrome.alarms`) only move when the test advances the clock, so poll intervals, retry delays and
+ * timeouts of hours pass in no time and in a predictable order.
+ */
+
+class FakeClock {
+
+  // A bound on the timers called at the same time, to catch timers which keep rescheduling themselves right away.
+  static MAX_CALLS_AT_ONCE = 100;
+
+  #now = 0;
+  #timers = new Map();
+  #nextTimerId = 1;
+
+  // The errors thrown by the callbacks, which would otherwise go unnoticed.
+  errors = [];
+
+  /**
+   * @param {the initial time, as a timestamp in milliseconds} now
+   */
+  constructor(now = new Date(2024, 0, 15, 9, 0).getTime()) {
+    this.#now = now;
+    let clock = this;
+
+    // A `Date` whose current time is the clock's.
+    this.Date = class extends Date {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.now);
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.now;
+      }
+    };
+
+    this.setTimeout = (callback, millis = 0, ...args) => this.#add(callback, millis, null, args);
+    this.setInterval = (callback, millis = 0, ...args) => this.#add(callback, millis, Math.max(1, millis), args);
+    this.clearTimeout = (id) => this.#timers.delete(id);
+    this.clearInterval = (id) => this.#timers.delete(id);
+  }
+
+  get now() {
+    return this.#now;
+  }
+
+  /**
+   * The number of pending timers (and alarms).
+   */
+  get pendingTimers() {
+    return this.#timers.size;
+  }
+
+  /**
+   * Call the given function at the given time.
+   * @param {the timestamp in milliseconds} time
+   * @param {the function} callback
+   * @returns the timer id, for `clearTimeout`
+   */
+  at(time, callback) {
+    return this.#add(callback, time - this.#now, null, []);
+  }
+
+  /**
+   * Move the clock forward, calling the timers which fall due on the way, in order.
+   * The callbacks aren't awaited, as they may wait for timers further on (e.g. a step of the retry loop
+   * waiting for the page agent to confirm the rerun); everything they don't wait on has settled on return.
+   * @param {how far to move the clock, in milliseconds} millis
+   */
+  async tick(millis) {
+    let target = this.#now + millis;
+    let callsAtOnce = 0;
+    for (;;) {
+      await settle();
+      let next = Array.from(this.#timers.values())
+        .filter(timer => timer.time <= target)
+        .sort((a, b) => a.time - b.time || a.id - b.id)[0];
+      if (next == null) {
+        break;
+      }
+      callsAtOnce = next.time > this.#now ? 0 : callsAtOnce + 1;
+      if (callsAtOnce > FakeClock.MAX_CALLS_AT_ONCE) {
+        throw new Error(`More than ${FakeClock.MAX_CALLS_AT_ONCE} timers fell due at ${new Date(this.#now).toISOString()}; one keeps rescheduling itself right away.`);
+      }
+      this.#now = Math.max(this.#now, next.time);
+      if (next.interval == null) {
+        this.#timers.delete(next.id);
+      } else {
+        next.time += next.interval;
+      }
+      this.#call(() => next.callback(...next.args));
+    }
+    this.#now = target;
+    await settle();
+  }
+
+  #add(callback, millis, interval, args) {
+    let id = this.#nextTimerId++;
+    this.#timers.set(id, { id, time: this.#now + Math.max(0, millis), interval, callback, args });
+    return id;
+  }
+
+  #call(callback) {
+    try {
+      Promise.resolve(callback()).catch(e => this.errors.push(e));
+    } catch (e) {
+      this.errors.push(e);
+    }
+  }
+}
+
+/**
+ * Wait until every promise which doesn't depend on a timer has settled.
+ */
+async function settle() {
+  for (let i = 0; i < 3; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+module.exports = { FakeClock, settle };
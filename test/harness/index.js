@@ -0,0 +1,144 @@
+/**
+ * The test harness: loads the extension's classic scripts into their own V8 contexts, with a fake
+ * `chrome`, a fake clock and ADO pages from fixtures, so the background script and the page agent
+ * can be tested together under Node.js (`npm test`).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { FakeClock, settle } = require("./clock");
+const { FakeBrowser, ROOT, EXTENSION_ID, deliverMessage } = require("./chrome");
+const { FakePage, ExtensionPage } = require("./page");
+
+// The console of the scripts under test, which log a lot. Set DEBUG to see it.
+const quietConsole = process.env.DEBUG ? console : { debug() { }, log() { }, info() { }, warn() { }, error() { } };
+
+/**
+ * Load extension scripts into a fresh context, e.g. the shared modules, which have no dependencies on the browser.
+ * @param {the script paths, relative to the extension root} files
+ * @param {additional globals of the context, e.g. a fake `chrome`} globals
+ * @returns a function evaluating an expression in the context, e.g. `evaluate("getRetrySchedule")`
+ */
+function loadScripts(files, globals = {}) {
+  let context = vm.createContext({ console: quietConsole, URL, URLSearchParams, ...globals });
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  }
+  return (code) => vm.runInContext(code, context);
+}
+
+/**
+ * A browser with the extension installed: the background script runs on startup,
+ * and tabs can be opened on fixture pages.
+ */
+class TestWorld {
+
+  clock = null;
+  browser = null;
+  #evaluate = null;
+
+  /**
+   * @param {the settings to store before the background script starts, see settings.js} settings
+   * @param {the initial time of the clock} now
+   */
+  constructor({ settings = {}, now } = {}) {
+    this.clock = new FakeClock(now);
+    this.browser = new FakeBrowser(this.clock);
+    Object.assign(this.browser.storage.sync.items, settings);
+    this.#startBackground();
+  }
+
+  /**
+   * Stop the service worker and start it again, as the browser does when it's idle for a while:
+   * whatever the background script kept in memory is lost, while the storage, alarms and tabs remain.
+   */
+  restartBackground() {
+    for (const event of [...Object.values(this.browser.events), this.browser.storageChanged]) {
+      event.listeners.length = 0;
+    }
+    this.#startBackground();
+  }
+
+  #startBackground() {
+    let clock = this.clock;
+    let context = vm.createContext({
+      console: quietConsole,
+      chrome: this.browser.createBackgroundApi(),
+      Date: clock.Date,
+      setTimeout: clock.setTimeout,
+      clearTimeout: clock.clearTimeout,
+      setInterval: clock.setInterval,
+      clearInterval: clock.clearInterval,
+      crypto,
+      URL,
+      URLSearchParams,
+      AbortController,
+      TextEncoder,
+      fetch: async (url) => {
+        throw new TypeError(`Failed to fetch ${url}: the tests have no network.`);
+      },
+      importScripts: (...files) => {
+        for (const file of files) {
+          vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+        }
+      },
+    });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, "background.js"), "utf8"), context, { filename: "background.js" });
+    this.#evaluate = (code) => vm.runInContext(code, context);
+  }
+
+  /**
+   * Evaluate an expression in the background script, e.g. to call one of its functions.
+   * @param {the expression} code
+   */
+  evaluate(code) {
+    return this.#evaluate(code);
+  }
+
+  /**
+   * Open a tab on a fixture page.
+   * @param {the fixture file name, e.g. "build-failed.html"} fixture
+   * @param {the URL of the page} url
+   * @returns the tab, whose `page` is the FakePage
+   */
+  async openTab(fixture, url = "https://dev.azure.com/org/project/_build/results?buildId=42") {
+    let tab = this.browser.addTab(url);
+    await this.loadPage(tab, fixture);
+    return tab;
+  }
+
+  /**
+   * Load a fixture page in a tab, e.g. one the background script opened.
+   * @param {the tab} tab
+   * @param {the fixture file name} fixture
+   */
+  async loadPage(tab, fixture) {
+    tab.page = new FakePage(this.browser, this.clock, tab, fixture);
+    await this.browser.events.tabUpdated.dispatch(tab.id, { status: "complete" }, { id: tab.id, url: tab.url });
+  }
+
+  /**
+   * Open a page of the extension, e.g. the options page, once it has loaded.
+   * @param {the page path, relative to the extension root, e.g. "options/options.html"} file
+   * @returns the ExtensionPage
+   */
+  async openExtensionPage(file) {
+    let page = new ExtensionPage(this.browser, this.clock, file);
+    await page.load();
+    return page;
+  }
+
+  /**
+   * Send a message to the background script like the popup does.
+   * Not awaited by the clock, so the response may wait for the clock to move on.
+   * @param {the message type} type
+   * @param {the payload} payload
+   * @returns a promise of the response: { result } or { error }
+   */
+  send(type, payload = {}) {
+    return deliverMessage(this.browser.events.message, { type, payload }, { id: EXTENSION_ID });
+  }
+}
+
+module.exports = { TestWorld, loadScripts, settle };
@@ -0,0 +1,143 @@
+/**
+ * An ADO page in a tab, loaded from a fixture (see ../fixtures) into jsdom. The fixture's own scripts run,
+ * so its buttons behave like ADO's (e.g. the rerun button opens the confirmation dialog), and the page agent
+ * is injected into it like `chrome.scripting.executeScript` does, with the page's `chrome` and timers faked.
+ *
+ * Pages of the extension itself, e.g. the options page, are loaded by `ExtensionPage`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { FakeEvent, ROOT, EXTENSION_ID, deliverMessage } = require("./chrome");
+const { settle } = require("./clock");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+class FakePage {
+
+  #dom = null;
+
+  // The page's `chrome.runtime.onMessage`, which the page agent listens to once injected.
+  messages = new FakeEvent();
+
+  /**
+   * @param {the FakeBrowser} browser
+   * @param {the FakeClock} clock
+   * @param {the tab showing the page} tab
+   * @param {the fixture file name, e.g. "build-failed.html"} fixture
+   */
+  constructor(browser, clock, tab, fixture) {
+    this.#dom = new JSDOM(fs.readFileSync(path.join(FIXTURES, fixture), "utf8"), {
+      url: tab.url,
+      runScripts: "dangerously",
+      virtualConsole: new VirtualConsole(),
+    });
+    let window = this.#dom.window;
+    Object.assign(window, {
+      chrome: browser.createPageApi(tab, this.messages),
+      Date: clock.Date,
+      setTimeout: clock.setTimeout,
+      clearTimeout: clock.clearTimeout,
+      setInterval: clock.setInterval,
+      clearInterval: clock.clearInterval,
+    });
+  }
+
+  get window() {
+    return this.#dom.window;
+  }
+
+  get document() {
+    return this.#dom.window.document;
+  }
+
+  /**
+   * Run extension scripts in the page, like `chrome.scripting.executeScript`.
+   * @param {the script paths, relative to the extension root} files
+   * @returns the value of the last script's last expression, once settled
+   */
+  async inject(files) {
+    let result;
+    for (const file of files) {
+      result = vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), this.#dom.getInternalVMContext(), { filename: file });
+    }
+    return await result;
+  }
+
+  /**
+   * Evaluate an expression in the page, e.g. to reach the page agent's classes.
+   * @param {the expression} code
+   */
+  evaluate(code) {
+    return vm.runInContext(code, this.#dom.getInternalVMContext());
+  }
+
+  /**
+   * Show another build status, like ADO does as the build progresses.
+   * @param {the status class of the status icon, e.g. "failed", "animate" or "neutral"} status
+   */
+  setStatus(status) {
+    this.document.querySelector("svg.bolt-status").setAttribute("class", `bolt-status ${status}`);
+  }
+}
+
+/**
+ * A page of the extension, e.g. options/options.html, loaded into jsdom with its scripts and the full fake `chrome`.
+ */
+class ExtensionPage {
+
+  #dom = null;
+
+  /**
+   * @param {the FakeBrowser} browser
+   * @param {the FakeClock} clock
+   * @param {the page path, relative to the extension root} file
+   */
+  constructor(browser, clock, file) {
+    this.#dom = new JSDOM(fs.readFileSync(path.join(ROOT, file), "utf8"), {
+      url: `chrome-extension://${EXTENSION_ID}/${file}`,
+      runScripts: "outside-only",
+      virtualConsole: new VirtualConsole(),
+    });
+    let chrome = browser.createBackgroundApi();
+    // Its messages go to the background script.
+    chrome.runtime.sendMessage = (message) => deliverMessage(browser.events.message, message, { id: EXTENSION_ID, url: this.window.location.href });
+    Object.assign(this.#dom.window, {
+      chrome,
+      Date: clock.Date,
+      setTimeout: clock.setTimeout,
+      clearTimeout: clock.clearTimeout,
+      setInterval: clock.setInterval,
+      clearInterval: clock.clearInterval,
+    });
+    // The scripts are classic ones, sharing the page's globals.
+    for (const script of this.document.querySelectorAll("script[src]")) {
+      let src = path.join(path.dirname(file), script.getAttribute("src"));
+      vm.runInContext(fs.readFileSync(path.join(ROOT, src), "utf8"), this.#dom.getInternalVMContext(), { filename: src });
+    }
+  }
+
+  get window() {
+    return this.#dom.window;
+  }
+
+  get document() {
+    return this.#dom.window.document;
+  }
+
+  /**
+   * Wait for the page's `DOMContentLoaded` listeners, which load what it shows.
+   */
+  async load() {
+    if (this.document.readyState === "loading") {
+      await new Promise(resolve => this.document.addEventListener("DOMContentLoaded", resolve));
+    } else {
+      this.document.dispatchEvent(new this.window.Event("DOMContentLoaded"));
+    }
+    await settle();
+  }
+}
+
+module.exports = { FakePage, ExtensionPage };
@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestWorld, settle } = require("./harness");
+
+const POLICY_HOST = { name: "Contoso", baseUrl: "https://ado.contoso.com/tfs" };
+
+/**
+ * Submit the options form, and wait for it to be saved.
+ * @param {the options ExtensionPage} page
+ */
+async function save(page) {
+  page.document.getElementById("settings-form").requestSubmit();
+  await settle();
+}
+
+describe("options page", () => {
+
+  it("saves nothing unless every section is valid", async () => {
+    let world = new TestWorld();
+    let page = await world.openExtensionPage("options/options.html");
+    page.document.getElementById("maxRetryCount").value = "5";
+    page.window.addHostEditor({ name: "", baseUrl: "https://ado.contoso.com/tfs" });
+
+    await save(page);
+    assert.equal(page.document.getElementById("status").textContent, "Nothing was saved. Fix the highlighted values.");
+    assert.equal(page.document.getElementById("host-errors").textContent, "Every host needs a name.");
+    assert.equal(world.browser.storage.sync.items.maxRetryCount, undefined);
+
+    page.document.querySelector("#hosts [data-field=\"name\"]").value = "Contoso";
+    await save(page);
+    assert.equal(page.document.getElementById("status").textContent, "Saved.");
+    assert.equal(world.browser.storage.sync.items.maxRetryCount, 5);
+    assert.deepEqual(Array.from(world.browser.storage.sync.items.hosts, host => host.name), ["Contoso"]);
+  });
+
+  it("asks for access to the hosts of the policy", async () => {
+    let world = new TestWorld();
+    world.browser.grantedOrigins = new Set();
+    world.browser.storage.managed.items.config = { version: 1, format: "retry-failed-jobs-config", hosts: [POLICY_HOST] };
+
+    let page = await world.openExtensionPage("options/options.html");
+    let note = page.document.getElementById("permissions-note");
+    assert.equal(note.hidden, false);
+    assert.equal(page.document.getElementById("missing-origins").textContent, "https://ado.contoso.com/*");
+
+    page.document.getElementById("grant-permissions").click();
+    await settle();
+    assert.equal(note.hidden, true);
+    assert.deepEqual([...world.browser.grantedOrigins], ["https://ado.contoso.com/*"]);
+  });
+});
+
+describe("policy permissions", () => {
+
+  it("tells when the extension has no access to the hosts of the policy", async () => {
+    let world = new TestWorld();
+    world.browser.grantedOrigins = new Set();
+    world.browser.storage.managed.items.config = { version: 1, format: "retry-failed-jobs-config", hosts: [POLICY_HOST] };
+
+    await world.browser.events.installed.dispatch({ reason: "install" });
+    let [notification] = world.browser.notifications;
+    assert.equal(notification.title, "Access needed");
+    assert.match(notification.message, /no access to https:\/\/ado\.contoso\.com\/\*,/);
+
+    await world.browser.events.notificationClicked.dispatch(notification.id);
+    assert.equal(world.browser.optionsPageOpens, 1);
+  });
+
+  it("stays quiet when it has access", async () => {
+    let world = new TestWorld();
+    world.browser.storage.managed.items.config = { version: 1, format: "retry-failed-jobs-config", hosts: [POLICY_HOST] };
+    await world.browser.events.installed.dispatch({ reason: "install" });
+    assert.deepEqual(world.browser.notifications, []);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestWorld } = require("./harness");
+
+/**
+ * Open a fixture page and talk to its page agent the way the background script does (see tab-agent.js).
+ * @param {the fixture file name} fixture
+ */
+async function openAgent(fixture) {
+  let world = new TestWorld();
+  let tab = await world.openTab(fixture);
+  let sendToTabAgent = world.evaluate("sendToTabAgent");
+  return { world, tab, page: tab.page, send: (type, payload) => sendToTabAgent(tab.id, { type, payload }) };
+}
+
+describe("page agent", () => {
+
+  for (const [fixture, status] of [
+    ["build-success.html", "success"],
+    ["build-failed.html", "failed"],
+    ["build-active.html", "active"],
+    ["build-cancelled.html", "cancelled"],
+    ["build-unknown.html", "unknown"],
+  ]) {
+    it(`reads the status of ${fixture}`, async () => {
+      let { send } = await openAgent(fixture);
+      assert.deepEqual(await send("get-status"), { buildId: 42, status });
+    });
+  }
+
+  it("is injected once", async () => {
+    let { world, tab, send } = await openAgent("build-failed.html");
+    await send("get-status");
+    await send("get-status");
+    assert.equal(tab.page.messages.listeners.length, 1);
+    assert.equal(world.clock.errors.length, 0);
+  });
+
+  it("identifies the pipeline", async () => {
+    let { send } = await openAgent("build-failed.html");
+    let pageInfo = await send("get-page-info");
+    assert.equal(pageInfo.organization, "org");
+    assert.equal(pageInfo.project, "project");
+    assert.equal(pageInfo.buildId, 42);
+    assert.equal(pageInfo.definitionId, 7);
+    assert.equal(pageInfo.pipelineName, "CI pipeline");
+  });
+
+  it("lists the errors on the build summary", async () => {
+    let { send } = await openAgent("build-failed.html");
+    let { failures } = await send("get-failures");
+    assert.equal(failures.length, 1);
+    assert.match(failures[0].messages[0], /ECONNRESET/);
+  });
+
+  it("finds the rerun button only on failed builds", async () => {
+    assert.equal((await (await openAgent("build-failed.html")).send("find-rerun-button")).found, true);
+    assert.equal((await (await openAgent("build-success.html")).send("find-rerun-button")).found, false);
+  });
+
+  it("clicks the rerun button and confirms the dialog", async () => {
+    let { world, page, send } = await openAgent("build-failed.html");
+
+    let response = send("rerun", { buildId: 42 });
+    // The dialog is confirmed after `PageAgent.CONFIRM_DELAY_MILLIS`.
+    await world.clock.tick(500);
+    assert.notEqual(page.document.querySelector('[role="dialog"]'), null);
+    await world.clock.tick(500);
+
+    assert.deepEqual(await response, { submitted: true });
+    assert.equal(page.document.body.dataset.reruns, "1");
+    assert.equal(page.document.querySelector('[role="dialog"]'), null);
+    assert.deepEqual(await send("get-status"), { buildId: 42, status: "active" });
+  });
+
+  it("doesn't confirm if no dialog opens", async () => {
+    let { world, page, send } = await openAgent("build-failed.html");
+    page.document.getElementById("confirm-dialog").remove();
+    page.document.getElementById("rerun").replaceWith(page.document.getElementById("rerun").cloneNode(true));
+
+    let response = send("rerun", { buildId: 42 });
+    await world.clock.tick(1000);
+    assert.deepEqual(await response, { submitted: false });
+  });
+
+  it("only confirms in the open dialog", async () => {
+    let { world, page, send } = await openAgent("build-failed.html");
+    let clicked = [];
+    let addButton = (parent, text) => {
+      let button = page.document.createElement("button");
+      button.innerHTML = `<span>${text}</span>`;
+      button.addEventListener("click", () => clicked.push(text));
+      parent.append(button);
+    };
+    addButton(page.document.body, "Yes");
+    let hidden = page.document.createElement("div");
+    hidden.setAttribute("role", "dialog");
+    hidden.hidden = true;
+    addButton(hidden, "Yes");
+    page.document.body.append(hidden);
+    // A dialog the page keeps around, in which only the primary button confirms.
+    let dialog = page.document.getElementById("confirm-dialog").content.firstElementChild;
+    dialog.querySelector(".primary span").textContent = "Yes, rerun";
+    addButton(dialog, "Yes, and cancel the other runs");
+
+    let response = send("rerun", { buildId: 42 });
+    await world.clock.tick(1000);
+    assert.deepEqual(await response, { submitted: true });
+    assert.equal(page.document.body.dataset.reruns, "1");
+    assert.deepEqual(clicked, []);
+  });
+
+  it("doesn't confirm outside a dialog", async () => {
+    let { world, page, send } = await openAgent("build-failed.html");
+    page.document.getElementById("confirm-dialog").remove();
+    page.document.getElementById("rerun").replaceWith(page.document.getElementById("rerun").cloneNode(true));
+    page.document.body.insertAdjacentHTML("beforeend", '<button id="decoy" onclick="this.dataset.clicked = true"><span>Yes</span></button>');
+
+    let response = send("rerun", { buildId: 42 });
+    await world.clock.tick(1000);
+    assert.deepEqual(await response, { submitted: false });
+    assert.equal(page.document.getElementById("decoy").dataset.clicked, undefined);
+  });
+
+  it("doesn't click on another build", async () => {
+    let { page, send } = await openAgent("build-failed.html");
+    assert.deepEqual(await send("rerun", { buildId: 41 }), { submitted: false });
+    assert.equal(page.document.body.dataset.reruns, undefined);
+  });
+
+  it("shows the state of the watch in the tab", async () => {
+    let { page, send } = await openAgent("build-failed.html");
+    let favicon = page.document.querySelector('link[rel="icon"]');
+    let state = { running: true, status: "failed", retries: 1, cancelled: false, dryRun: false, pageTitleTemplate: "" };
+
+    await send("render-state", { buildId: 42, state });
+    assert.match(favicon.href, /\/icons\/favicons\/red\.ico$/);
+    assert.equal(page.document.title, "Fix the flaky test (retries: 1)");
+
+    await send("render-state", { buildId: 42, state: { ...state, running: false, status: "success", restorePageWhenDone: true } });
+    assert.equal(favicon.href, "https://cdn.vsassets.io/favicon.ico");
+    assert.equal(page.document.title, "Fix the flaky test - Results");
+  });
+});
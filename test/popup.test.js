@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestWorld, settle } = require("./harness");
+
+const SECOND = 1000;
+
+/**
+ * Watch the failed build of a fixture page, waiting for its retry, and open the popup.
+ * @param {the settings, see settings.js} settings
+ */
+async function openPopup(settings = {}) {
+  let world = new TestWorld({ settings: { useRestApi: false, retryPolicy: "fixed", retryDelaySeconds: 600, ...settings } });
+  let tab = await world.openTab("build-failed.html");
+  let response = world.send("start-watch", { tabId: tab.id });
+  await world.clock.tick(SECOND);
+  assert.equal((await response).error, undefined);
+  let popup = await world.openExtensionPage("popup/popup.html");
+  return { world, popup, item: () => popup.document.querySelector(".watch") };
+}
+
+/**
+ * Click one of the buttons of the watch, and wait for the popup to show the result.
+ */
+async function click(item, action) {
+  item.querySelector(`[data-action="${action}"]`).click();
+  await settle();
+}
+
+describe("popup", () => {
+
+  it("gives an added retry the share of the timeout of each attempt", async () => {
+    let { world, item } = await openPopup({ maxRetryCount: 2, timeoutMinutes: 60 });
+    assert.equal(item().querySelector('[data-action="extend"]').title, "Add a retry and 20 minutes to the timeout");
+
+    await click(item(), "extend");
+    let [watch] = (await world.send("list-watches")).result;
+    assert.equal(watch.maxRetryCount, 3);
+    assert.equal(watch.minutesPerAttempt, 20);
+  });
+
+  it("shows when a button had nothing to do", async () => {
+    let { world, item } = await openPopup({ maxRetryCount: 2, timeoutMinutes: 300 });
+    world.browser.storage.managed.items.limits = { maxRetryCount: { max: 2 }, timeoutMinutes: { max: 300 } };
+
+    await click(item(), "extend");
+    let status = item().querySelector(".status");
+    assert.equal(status.textContent, "the budget can't grow any further");
+    assert.ok(status.classList.contains("error"));
+  });
+
+  it("shows the errors of the buttons", async () => {
+    let { world, item } = await openPopup();
+    world.browser.storage.local.quotaBytes = 0;
+
+    await click(item(), "pause");
+    assert.equal(item().querySelector(".status").textContent, "failed: QUOTA_BYTES quota exceeded");
+  });
+});
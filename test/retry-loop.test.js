@@ -0,0 +1,206 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestWorld } = require("./harness");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * Watch the failed build of the fixture page through the page (without the REST API, which the tests can't reach).
+ * @param {the settings, see settings.js} settings
+ * @param {the fixture file name} fixture
+ */
+async function startWatch(settings = {}, fixture = "build-failed.html") {
+  let world = new TestWorld({ settings: { useRestApi: false, ...settings } });
+  let tab = await world.openTab(fixture);
+  let response = world.send("start-watch", { tabId: tab.id });
+  // Long enough for the page agent to confirm an immediate rerun.
+  await world.clock.tick(SECOND);
+  assert.equal((await response).error, undefined);
+  let [watch] = (await world.send("list-watches")).result;
+  return { world, tab, page: tab.page, watch };
+}
+
+async function getState(world) {
+  let [watch] = (await world.send("list-watches")).result;
+  return watch.state;
+}
+
+describe("retry loop", () => {
+
+  it("reruns the failed jobs until the build passes", async () => {
+    let { world, tab, page } = await startWatch({ maxRetryCount: 2 });
+    assert.equal(page.document.body.dataset.reruns, "1");
+    assert.equal((await getState(world)).retries, 1);
+    assert.match(world.browser.getAction(tab.id).icon, /blue16x16/);
+
+    // ADO starts the jobs again, and they fail again.
+    await world.clock.tick(30 * SECOND);
+    page.setStatus("failed");
+    await world.clock.tick(MINUTE);
+    assert.equal(page.document.body.dataset.reruns, "2");
+    assert.equal((await getState(world)).retries, 2);
+
+    page.setStatus("success");
+    await world.clock.tick(MINUTE);
+    let state = await getState(world);
+    assert.equal(state.running, false);
+    assert.equal(state.status, "success");
+    assert.match(world.browser.getAction(tab.id).icon, /green16x16/);
+    assert.match(world.browser.getAction(tab.id).title, /^Pipeline succeeded\. \(retries: 2, elapsed: /);
+    assert.equal(world.browser.alarms.size, 0);
+    assert.deepEqual(world.clock.errors, []);
+  });
+
+  it("gives up once the retries are used up", async () => {
+    let { world, tab, page } = await startWatch({ maxRetryCount: 1 });
+
+    await world.clock.tick(30 * SECOND);
+    page.setStatus("failed");
+    await world.clock.tick(MINUTE);
+
+    let state = await getState(world);
+    assert.equal(page.document.body.dataset.reruns, "1");
+    assert.equal(state.running, false);
+    assert.equal(state.status, "failed");
+    assert.match(world.browser.getAction(tab.id).icon, /red16x16/);
+    assert.match(world.browser.getAction(tab.id).title, /^Pipeline failed or script timed out\. \(retries: 1, /);
+    assert.equal(world.browser.alarms.size, 0);
+  });
+
+  it("waits for the delay of the retry policy", async () => {
+    let { world, page } = await startWatch({ retryPolicy: "fixed", retryDelaySeconds: 120 });
+    assert.equal(page.document.body.dataset.reruns, undefined);
+    assert.equal((await getState(world)).nextRetryTime, world.clock.now - SECOND + 120 * SECOND);
+
+    await world.clock.tick(MINUTE);
+    assert.equal(page.document.body.dataset.reruns, undefined);
+    await world.clock.tick(MINUTE + SECOND);
+    assert.equal(page.document.body.dataset.reruns, "1");
+  });
+
+  it("shows the progress on the badge of the tab", async () => {
+    let { world, tab } = await startWatch({ maxRetryCount: 2, retryPolicy: "fixed", retryDelaySeconds: 150 });
+    assert.equal(world.browser.getAction(tab.id).badgeText, "2m");
+    assert.equal(world.browser.getAction(tab.id).badgeColor, "#d13438");
+
+    await world.clock.tick(MINUTE);
+    assert.equal(world.browser.getAction(tab.id).badgeText, "1m");
+    await world.clock.tick(MINUTE + 30 * SECOND);
+    assert.equal(world.browser.getAction(tab.id).badgeText, "2/3");
+
+    // Nothing keeps the service worker busy between the steps.
+    assert.equal(world.clock.pendingTimers, world.browser.alarms.size);
+  });
+
+  it("doesn't rerun on the page when retry targets are set", async () => {
+    let world = new TestWorld({ settings: { useRestApi: false } });
+    await world.evaluate("saveRetryTargets")({ organization: "org", project: "project", definitionId: 7 },
+      { mode: "allow", targets: [{ stage: "Build", job: null }] });
+    let tab = await world.openTab("build-failed.html");
+    let response = world.send("start-watch", { tabId: tab.id });
+    await world.clock.tick(SECOND);
+    assert.equal((await response).error, undefined);
+
+    let state = await getState(world);
+    assert.equal(state.running, false);
+    assert.equal(state.nonRetryable, true);
+    assert.equal(state.matchedRule, "Retry targets");
+    assert.equal(tab.page.document.body.dataset.reruns, undefined);
+  });
+
+  it("doesn't mistake the failure it just reran for a new one", async () => {
+    let { world, page } = await startWatch({ maxRetryCount: 3, postClickWaitSeconds: 90 });
+    // ADO hasn't updated the status yet.
+    page.setStatus("failed");
+    await world.clock.tick(MINUTE);
+    assert.equal(page.document.body.dataset.reruns, "1");
+    await world.clock.tick(MINUTE);
+    assert.equal(page.document.body.dataset.reruns, "2");
+  });
+
+  it("gives a new build retries of its own, within the attempt budget", async () => {
+    let world = new TestWorld({ settings: { maxRetryCount: 1, maxNewBuilds: 1 } });
+    let reruns = [];
+    // The REST API, with builds which keep failing.
+    world.evaluate("AdoApiClient").fromPipelineContext = () => ({
+      getJobStatus: async () => "failed",
+      getFailures: async () => [],
+      getRejectedChecks: async () => [],
+      getStages: async () => [],
+      rerunFailedJobs: async (buildId) => {
+        reruns.push(buildId);
+        return [{ name: null, jobs: [] }];
+      },
+      getTestRuns: async () => [],
+      getBuild: async (buildId) => ({ id: buildId }),
+      queueBuild: async () => ({ id: 43 }),
+    });
+    let tab = await world.openTab("build-failed.html");
+    let response = world.send("start-watch", { tabId: tab.id });
+    await world.clock.tick(SECOND);
+    await response;
+
+    await world.clock.tick(2 * MINUTE);
+    assert.deepEqual(reruns, [42, 43]);
+    let [watch] = (await world.send("list-watches")).result;
+    assert.equal(watch.buildId, 43);
+    assert.equal(watch.state.finished, true);
+    assert.equal(watch.state.retries, 1);
+    assert.equal(watch.state.attempt, 4);
+    assert.equal(watch.state.maxAttempts, 4);
+    assert.equal(world.browser.storage.local.items[`history:${watch.id}`].retries, 2);
+  });
+
+  it("stops when cancelled", async () => {
+    let { world, tab, page, watch } = await startWatch({ retryPolicy: "fixed", retryDelaySeconds: 120 });
+
+    assert.equal((await world.send("cancel-watch", { id: watch.id })).error, undefined);
+    let state = await getState(world);
+    assert.equal(state.running, false);
+    assert.equal(state.cancelled, true);
+    assert.equal(state.cancellationReason, "cancelled by user");
+    assert.equal(world.browser.alarms.size, 0);
+    assert.match(world.browser.getAction(tab.id).icon, /default16x16/);
+    assert.match(world.browser.getAction(tab.id).title, /^Automatic retry was cancelled\. \(reason: 'cancelled by user', retries: 0, /);
+
+    await world.clock.tick(10 * MINUTE);
+    assert.equal(page.document.body.dataset.reruns, undefined);
+  });
+
+  it("doesn't add the time paused while waiting for an approval to the timeout twice", async () => {
+    let { world, page, watch } = await startWatch({ timeoutMinutes: 5 }, "build-active.html");
+    page.setStatus("waiting");
+    await world.clock.tick(MINUTE);
+    assert.notEqual((await getState(world)).waitingSince, null);
+
+    // Paused for 3 minutes of a wait of about 5.
+    assert.equal((await world.send("pause-watch", { id: watch.id })).result, true);
+    await world.clock.tick(3 * MINUTE);
+    assert.equal((await world.send("resume-watch", { id: watch.id })).result, true);
+    await world.clock.tick(MINUTE);
+    page.setStatus("active");
+
+    // The timeout ends 10 minutes in: 5 minutes, 3 paused and 2 more waiting. Counting the pause twice, it would be 13.
+    await world.clock.tick(4 * MINUTE);
+    assert.equal((await getState(world)).running, true);
+    await world.clock.tick(2 * MINUTE);
+    assert.equal((await getState(world)).cancellationReason, "timed out");
+  });
+
+  it("times out", async () => {
+    let { world, tab } = await startWatch({ timeoutMinutes: 5 }, "build-active.html");
+
+    await world.clock.tick(4 * MINUTE);
+    assert.equal((await getState(world)).running, true);
+    await world.clock.tick(MINUTE);
+
+    let state = await getState(world);
+    assert.equal(state.running, false);
+    assert.equal(state.cancellationReason, "timed out");
+    assert.match(world.browser.getAction(tab.id).title, /reason: 'timed out'/);
+    assert.equal(world.browser.notifications.length, 1);
+    assert.match(world.browser.notifications[0].title, /^Stopped watching /);
+    assert.equal(world.browser.notifications[0].message, "Timed out after 5 minutes. (retries: 0/2)");
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./harness");
+
+const evaluate = loadScripts(["shared/format.js", "shared/settings.js", "shared/retry-policies.js"]);
+const getNextRetryTime = evaluate("getNextRetryTime");
+const getEndOfQuietHours = evaluate("getEndOfQuietHours");
+const getRetrySchedule = evaluate("getRetrySchedule");
+const getRetryDelayMillis = evaluate("getRetryDelayMillis");
+const describeRetryPolicy = evaluate("describeRetryPolicy");
+const defaults = evaluate("getDefaultSettings()");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Local times, in January to stay clear of daylight saving changes.
+const at = (hours, minutes = 0, day = 15) => new Date(2024, 0, day, hours, minutes).getTime();
+
+describe("retry policies", () => {
+
+  describe("getRetrySchedule", () => {
+
+    it("doesn't wait with the immediate policy", () => {
+      assert.deepEqual([...getRetrySchedule({ ...defaults, retryPolicy: "immediate", maxRetryCount: 3 })], [0, 0, 0]);
+    });
+
+    it("waits the same before every retry with the fixed policy", () => {
+      assert.deepEqual([...getRetrySchedule({ ...defaults, retryPolicy: "fixed", retryDelaySeconds: 90, maxRetryCount: 3 })], [90 * SECOND, 90 * SECOND, 90 * SECOND]);
+    });
+
+    it("doubles the delay up to the maximum with the exponential policy", () => {
+      let settings = { ...defaults, retryPolicy: "exponential", retryDelaySeconds: 60, retryMaxDelaySeconds: 5 * 60, maxRetryCount: 5 };
+      assert.deepEqual([...getRetrySchedule(settings)], [1, 2, 4, 5, 5].map(minutes => minutes * MINUTE));
+    });
+
+    it("never caps the exponential delay below the first delay", () => {
+      let settings = { ...defaults, retryPolicy: "exponential", retryDelaySeconds: 120, retryMaxDelaySeconds: 30, maxRetryCount: 2 };
+      assert.deepEqual([...getRetrySchedule(settings)], [2 * MINUTE, 2 * MINUTE]);
+    });
+
+    it("has no retries without a retry budget", () => {
+      assert.deepEqual([...getRetrySchedule({ ...defaults, retryPolicy: "fixed", maxRetryCount: 0 })], []);
+    });
+  });
+
+  describe("getRetryDelayMillis", () => {
+
+    let settings = { ...defaults, retryPolicy: "exponential", retryDelaySeconds: 100, retryMaxDelaySeconds: 1000, retryJitterPercent: 20 };
+
+    it("stays within the jitter bounds", () => {
+      assert.equal(getRetryDelayMillis(settings, 1, () => 0), 80 * SECOND);
+      assert.equal(getRetryDelayMillis(settings, 1, () => 0.5), 100 * SECOND);
+      assert.equal(getRetryDelayMillis(settings, 1, () => 0.999999), 120 * SECOND);
+      for (let i = 0; i < 100; i++) {
+        let delay = getRetryDelayMillis(settings, 3);
+        assert.ok(delay >= 320 * SECOND && delay <= 480 * SECOND, `${delay} is out of bounds`);
+      }
+    });
+
+    it("applies the jitter to the capped delay", () => {
+      assert.equal(getRetryDelayMillis(settings, 10, () => 0), 800 * SECOND);
+      assert.equal(getRetryDelayMillis(settings, 10, () => 0.999999), 1200 * SECOND);
+    });
+
+    it("only jitters the exponential policy", () => {
+      let fixed = { ...settings, retryPolicy: "fixed" };
+      assert.equal(getRetryDelayMillis(fixed, 1, () => 0), 100 * SECOND);
+      assert.equal(getRetryDelayMillis({ ...settings, retryJitterPercent: 0 }, 1, () => 0), 100 * SECOND);
+    });
+  });
+
+  describe("getEndOfQuietHours", () => {
+
+    it("leaves times outside the quiet hours alone", () => {
+      assert.equal(getEndOfQuietHours(at(12), "22:00", "06:00"), at(12));
+      assert.equal(getEndOfQuietHours(at(21, 59), "22:00", "06:00"), at(21, 59));
+      assert.equal(getEndOfQuietHours(at(6), "22:00", "06:00"), at(6));
+    });
+
+    it("postpones times in quiet hours which cross midnight to the next morning", () => {
+      assert.equal(getEndOfQuietHours(at(22), "22:00", "06:00"), at(6, 0, 16));
+      assert.equal(getEndOfQuietHours(at(23, 30), "22:00", "06:00"), at(6, 0, 16));
+    });
+
+    it("postpones times after midnight to the same morning", () => {
+      assert.equal(getEndOfQuietHours(at(0, 15), "22:00", "06:00"), at(6));
+      assert.equal(getEndOfQuietHours(at(5, 59), "22:00", "06:00"), at(6));
+    });
+
+    it("postpones times in quiet hours within a day to their end", () => {
+      assert.equal(getEndOfQuietHours(at(12, 30), "12:00", "13:00"), at(13));
+      assert.equal(getEndOfQuietHours(at(13), "12:00", "13:00"), at(13));
+    });
+
+    it("is disabled unless both ends are set and differ", () => {
+      assert.equal(getEndOfQuietHours(at(23), "", "06:00"), at(23));
+      assert.equal(getEndOfQuietHours(at(23), "22:00", ""), at(23));
+      assert.equal(getEndOfQuietHours(at(23), "22:00", "22:00"), at(23));
+      assert.equal(getEndOfQuietHours(at(23), "25:00", "06:00"), at(23));
+    });
+  });
+
+  describe("getNextRetryTime", () => {
+
+    it("adds the delay of the retry to the failure time", () => {
+      let settings = { ...defaults, retryPolicy: "exponential", retryDelaySeconds: 60, retryMaxDelaySeconds: 600, retryJitterPercent: 0 };
+      assert.equal(getNextRetryTime(settings, 1, at(12)), at(12, 1));
+      assert.equal(getNextRetryTime(settings, 3, at(12)), at(12, 4));
+    });
+
+    it("retries right away with the immediate policy", () => {
+      assert.equal(getNextRetryTime({ ...defaults, retryPolicy: "immediate" }, 2, at(12)), at(12));
+    });
+
+    it("waits for the end of the quiet hours the delay ends in", () => {
+      let settings = { ...defaults, retryPolicy: "fixed", retryDelaySeconds: 30 * 60, quietHoursStart: "22:00", quietHoursEnd: "06:00" };
+      assert.equal(getNextRetryTime(settings, 1, at(21, 15)), at(21, 45));
+      assert.equal(getNextRetryTime(settings, 1, at(21, 45)), at(6, 0, 16));
+      assert.equal(getNextRetryTime(settings, 1, at(3)), at(6));
+    });
+
+    it("applies the jitter before the quiet hours", () => {
+      let settings = { ...defaults, retryPolicy: "exponential", retryDelaySeconds: 60 * 60, retryJitterPercent: 50, quietHoursStart: "22:00", quietHoursEnd: "06:00" };
+      assert.equal(getNextRetryTime(settings, 1, at(21), () => 0), at(21, 30));
+      assert.equal(getNextRetryTime(settings, 1, at(21), () => 0.999999), at(6, 0, 16));
+    });
+  });
+
+  describe("describeRetryPolicy", () => {
+
+    it("describes the delays and the quiet hours", () => {
+      let settings = { ...defaults, retryPolicy: "exponential", retryDelaySeconds: 60, retryMaxDelaySeconds: 3600, retryJitterPercent: 20, maxRetryCount: 3,
+        quietHoursStart: "22:00", quietHoursEnd: "06:00" };
+      assert.equal(describeRetryPolicy(settings), "exponential (1m, 2m, 4m ±20%), quiet hours 22:00-06:00");
+      assert.equal(describeRetryPolicy({ ...defaults, retryPolicy: "immediate" }), "immediate");
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./harness");
+const { FakeBrowser } = require("./harness/chrome");
+const { FakeClock } = require("./harness/clock");
+
+/**
+ * Load the given scripts with a fake `chrome`.
+ * @param {the script paths} files
+ * @returns the `evaluate` function of the scripts and the fake `chrome.storage.local`
+ */
+function load(files) {
+  let browser = new FakeBrowser(new FakeClock());
+  return { evaluate: loadScripts(files, { chrome: browser.createBackgroundApi() }), storage: browser.storage.local };
+}
+
+const entry = (message) => ({ time: 0, level: "info", source: "background", runId: "run", event: "test", message });
+
+describe("log", () => {
+
+  let evaluate, storage;
+  beforeEach(() => ({ evaluate, storage } = load(["shared/log.js"])));
+
+  it("numbers the entries", async () => {
+    await evaluate("appendLogEntries")([entry("a"), entry("b")]);
+    await evaluate("appendLogEntries")([entry("c")]);
+    let entries = await evaluate("loadLogEntries")();
+    assert.deepEqual(entries.map(({ seq, message }) => [seq, message]), [[0, "a"], [1, "b"], [2, "c"]]);
+  });
+
+  it("keeps the most recent entries", async () => {
+    let max = evaluate("MAX_LOG_ENTRIES");
+    await evaluate("appendLogEntries")(Array.from({ length: max + 5 }, (_, i) => entry(`${i}`)));
+    let entries = await evaluate("loadLogEntries")();
+    assert.equal(entries.length, max);
+    assert.equal(entries[0].message, "5");
+    assert.equal(entries.at(-1).seq, max + 4);
+  });
+
+  it("keeps the log within its size", async () => {
+    let long = "x".repeat(evaluate("MAX_LOG_MESSAGE_LENGTH"));
+    await evaluate("appendLogEntries")(Array.from({ length: 1000 }, () => entry(long)));
+    let entries = await evaluate("loadLogEntries")();
+    assert.ok(entries.length < 1000);
+    assert.ok(JSON.stringify(entries).length <= evaluate("MAX_LOG_BYTES"));
+    assert.equal(entries.at(-1).seq, 999);
+  });
+
+  it("stores the whole log under one key, apart from the rest", async () => {
+    await evaluate("appendLogEntries")([entry("a")]);
+    await evaluate("loadLogEntries")();
+    assert.deepEqual(Object.keys(storage.items), ["log"]);
+    assert.ok(storage.reads.every(keys => keys != null));
+  });
+
+  it("clears the log", async () => {
+    await evaluate("appendLogEntries")([entry("a")]);
+    await evaluate("clearLog")();
+    assert.equal((await evaluate("loadLogEntries")()).length, 0);
+  });
+});
+
+describe("watch store", () => {
+
+  let evaluate, storage;
+  beforeEach(() => ({ evaluate, storage } = load(["shared/storage-index.js", "background/watch-store.js"])));
+
+  const watch = (id, startTime) => ({ id, startTime });
+
+  it("saves, lists and deletes watches", async () => {
+    await evaluate("saveWatch")(watch("b", 2));
+    await evaluate("saveWatch")(watch("a", 1));
+    await evaluate("saveWatch")({ ...watch("b", 2), retries: 1 });
+    assert.deepEqual(Array.from(await evaluate("loadWatches")(), ({ id }) => id), ["a", "b"]);
+    assert.equal((await evaluate("loadWatch")("b")).retries, 1);
+
+    await evaluate("deleteWatch")("a");
+    assert.deepEqual(Array.from(await evaluate("loadWatches")(), ({ id }) => id), ["b"]);
+    assert.deepEqual([...storage.items.watchIds], ["b"]);
+  });
+
+  it("lists the watches without reading the rest of the storage", async () => {
+    await evaluate("saveWatch")(watch("a", 1));
+    storage.reads.length = 0;
+    await evaluate("loadWatches")();
+    assert.ok(storage.reads.every(keys => keys != null));
+  });
+
+  it("keeps every watch saved at the same time", async () => {
+    await Promise.all(["a", "b", "c"].map((id, i) => evaluate("saveWatch")(watch(id, i))));
+    assert.deepEqual([...storage.items.watchIds].sort(), ["a", "b", "c"]);
+  });
+});
+
+describe("history", () => {
+
+  let evaluate, storage;
+  beforeEach(() => ({ evaluate, storage } = load(["shared/storage-index.js", "shared/history.js"])));
+
+  it("keeps the most recent entries", async () => {
+    let max = evaluate("MAX_HISTORY_ENTRIES");
+    for (let i = 0; i < max; i++) {
+      storage.items[`history:${i}`] = { id: `${i}`, startTime: i };
+    }
+    storage.items.historyIds = Array.from({ length: max }, (_, i) => `${i}`);
+    await evaluate("addHistoryEntry")({ id: "new", startTime: max });
+    let entries = await evaluate("loadHistory")();
+    assert.equal(entries.length, max);
+    assert.equal(entries[0].id, "new");
+    assert.equal(storage.items["history:0"], undefined);
+    assert.equal(storage.items.historyIds.length, max);
+  });
+
+  it("reads only the entries", async () => {
+    await evaluate("addHistoryEntry")({ id: "a", startTime: 1 });
+    storage.items.log = [entry("a")];
+    storage.reads.length = 0;
+    assert.deepEqual(Array.from(await evaluate("loadHistory")(), ({ id }) => id), ["a"]);
+    assert.ok(storage.reads.every(keys => keys != null && !JSON.stringify(keys).includes("\"log\"")));
+
+    await evaluate("clearHistory")();
+    assert.deepEqual(Object.keys(storage.items).sort(), ["historyIds", "log"]);
+  });
+});
+
+describe("flakiness", () => {
+
+  let evaluate, storage;
+  beforeEach(() => ({ evaluate, storage } = load(["shared/storage-index.js", "shared/flakiness.js"])));
+
+  const record = (id, time, testName = "FeedTests.RestoresPackages") => ({ id, time, jobs: [], tests: [{ name: testName, run: "Tests", passedOnRetry: null }] });
+
+  it("keeps the most recent records", async () => {
+    let max = evaluate("MAX_FLAKINESS_RECORDS");
+    for (let i = 0; i < max; i++) {
+      storage.items[`flakiness:w/${i}`] = record(`w/${i}`, i);
+    }
+    storage.items.flakinessIds = Array.from({ length: max }, (_, i) => `w/${i}`);
+    await evaluate("addFlakinessRecord")(record(`w/${max}`, max));
+    await evaluate("addFlakinessRecord")(record(`w/${max + 1}`, max + 1));
+    let records = await evaluate("loadFlakinessRecords")();
+    assert.equal(records.length, max);
+    assert.equal(records[0].id, `w/${max + 1}`);
+    assert.equal(records.at(-1).id, "w/2");
+  });
+
+  it("keeps the records within their size", async () => {
+    let large = "x".repeat(evaluate("MAX_FLAKINESS_BYTES") / 3);
+    for (let i = 0; i < 4; i++) {
+      await evaluate("addFlakinessRecord")(record(`w/${i}`, i, large));
+    }
+    assert.deepEqual(Array.from(await evaluate("loadFlakinessRecords")(), ({ id }) => id), ["w/3", "w/2"]);
+  });
+
+  it("makes room for a record when the storage is full", async () => {
+    for (let i = 0; i < 8; i++) {
+      await evaluate("addFlakinessRecord")(record(`w/${i}`, i));
+    }
+    storage.quotaBytes = JSON.stringify(storage.items).length;
+    await evaluate("addFlakinessRecord")(record("w/8", 8));
+    assert.deepEqual(Array.from(await evaluate("loadFlakinessRecords")(), ({ id }) => id), ["w/8", "w/7", "w/6", "w/5", "w/4", "w/3", "w/2"]);
+  });
+
+  it("reads only the records", async () => {
+    await evaluate("addFlakinessRecord")(record("w/0", 0));
+    storage.items.log = [entry("a")];
+    storage.reads.length = 0;
+    assert.equal((await evaluate("loadFlakinessRecords")()).length, 1);
+    assert.ok(storage.reads.every(keys => keys != null && !JSON.stringify(keys).includes("\"log\"")));
+
+    await evaluate("clearFlakiness")();
+    assert.deepEqual(Object.keys(storage.items).sort(), ["flakinessIds", "log"]);
+  });
+
+  it("reports when there is no room even so", async () => {
+    storage.quotaBytes = 10;
+    await assert.rejects(evaluate("addFlakinessRecord")(record("w/0", 0)), /quota/);
+  });
+});
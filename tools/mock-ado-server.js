@@ -0,0 +1,424 @@
+/**
+ * A tiny stand-in for Azure DevOps, for trying out the extension without a real flaky pipeline.
+ * It serves the Builds/Timeline/connectionData REST endpoints the extension uses, and a bare-bones build results
+ * page with the same status icon, rerun button and confirmation dialog the page scraping looks for.
+ *
+ * Usage: node tools/mock-ado-server.js [--port 8080] [--fail-times 2] [--run-seconds 20] [--failure-message "..."] [--ui-language en]
+ *        [--webhook-failures 0] [--approval none] [--approval-seconds 20]
+ *
+ * Then open http://localhost:8080/org/project/_build/results?buildId=1 and click the extension.
+ * The build fails `--fail-times` times before the next rerun succeeds; each run takes `--run-seconds`.
+ * The failing task reports `--failure-message` as its error, to exercise the failure classifier.
+ * The page is labelled in `--ui-language` (see `UI_LABELS`), to exercise the localized button detection.
+ * With `--approval approve` or `--approval reject`, every run of the "Test" stage first waits `--approval-seconds`
+ * for an environment approval, which is then granted or rejected.
+ * Builds queued through the REST API get the next build id and, being fresh runs, succeed after `--run-seconds`.
+ * Every run of the "Test" stage publishes a test run, in which one test fails when the stage does.
+ *
+ * It's also a webhook endpoint: http://localhost:8080/webhook logs the payloads posted to it (GET lists them),
+ * and fails the first `--webhook-failures` deliveries with a 503, to exercise the delivery retries.
+ */
+
+const http = require("http");
+
+/**
+ * Parse `--name value` command line arguments, falling back to the given defaults.
+ * Arguments with a numeric default must be whole numbers.
+ * @param {the default values, keyed by argument name} defaults
+ * @returns the parsed options
+ */
+function parseArgs(defaults) {
+  let options = { ...defaults };
+  let args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i += 2) {
+    let name = args[i].replace(/^--/, "");
+    let numeric = typeof defaults[name] === "number";
+    if (!(name in defaults) || args[i + 1] == null || (numeric && isNaN(parseInt(args[i + 1])))) {
+      console.error(`Unknown or invalid argument '${args[i]} ${args[i + 1] ?? ""}'.`);
+      process.exit(1);
+    }
+    options[name] = numeric ? parseInt(args[i + 1]) : args[i + 1];
+  }
+  return options;
+}
+
+const options = parseArgs({
+  "port": 8080,
+  "fail-times": 2,
+  "run-seconds": 20,
+  "failure-message": "Response status code does not indicate success: 429 (Too Many Requests).",
+  "ui-language": "en",
+  "webhook-failures": 0,
+  "approval": "none",
+  "approval-seconds": 20,
+});
+
+// The page labels by UI language.
+const UI_LABELS = {
+  en: { rerun: "Rerun failed jobs", confirmQuestion: "Rerun failed jobs?", confirm: "Yes", cancel: "No" },
+  de: { rerun: "Fehlerhafte Aufträge erneut ausführen", confirmQuestion: "Fehlerhafte Aufträge erneut ausführen?", confirm: "Ja", cancel: "Nein" },
+};
+
+if (!["none", "approve", "reject"].includes(options["approval"])) {
+  console.error(`Unknown approval '${options["approval"]}', expected one of [none, approve, reject].`);
+  process.exit(1);
+}
+
+if (!(options["ui-language"] in UI_LABELS)) {
+  console.error(`Unknown UI language '${options["ui-language"]}', expected one of [${Object.keys(UI_LABELS).join(", ")}].`);
+  process.exit(1);
+}
+
+/**
+ * A mock build with a "Build" stage that always succeeds and a flaky "Test" stage, which may need an approval.
+ */
+class MockBuild {
+
+  /**
+   * @param {the build id} id
+   * @param {the queue request of a build queued through the REST API, or null for the builds which "already ran"} request
+   */
+  constructor(id, request = null) {
+    this.id = id;
+    this.attempts = 1;
+    this.fresh = request != null;
+    this.finishTime = request == null ? 0 : Date.now() + options["run-seconds"] * 1000;
+    this.approvalTime = 0;
+    this.parameters = request?.parameters ?? JSON.stringify({ "system.debug": "false" });
+    this.templateParameters = request?.templateParameters ?? { configuration: "release" };
+    this.stages = [
+      { identifier: "Build", name: "Build", result: "succeeded" },
+      { identifier: "Test", name: "Test", result: request == null ? "failed" : "succeeded", approval: options["approval"] !== "none" },
+    ];
+    this.requestApproval();
+  }
+
+  get running() {
+    return Date.now() < this.finishTime;
+  }
+
+  get waiting() {
+    return Date.now() < this.approvalTime;
+  }
+
+  get rejected() {
+    return this.approvalTime > 0 && !this.waiting && options["approval"] === "reject";
+  }
+
+  /**
+   * Hold the run of the "Test" stage for `--approval-seconds`. A rejection ends the run right away.
+   */
+  requestApproval() {
+    if (options["approval"] === "none") {
+      return;
+    }
+    this.approvalTime = Date.now() + options["approval-seconds"] * 1000;
+    this.finishTime = this.approvalTime + (options["approval"] === "approve" ? options["run-seconds"] * 1000 : 0);
+  }
+
+  /**
+   * Rerun the failed stages. The rerun fails again until the build has failed `--fail-times` times.
+   */
+  retry() {
+    this.attempts++;
+    this.finishTime = Date.now() + options["run-seconds"] * 1000;
+    let result = this.attempts > options["fail-times"] ? "succeeded" : "failed";
+    this.stages.filter(stage => stage.result === "failed").forEach(stage => {
+      stage.result = result;
+      stage.rerun = true;
+    });
+    this.requestApproval();
+  }
+
+  /**
+   * One test run per finished run of the "Test" stage. The first run of a build which "already ran" failed,
+   * and the reruns fail until the build has failed `--fail-times` times (see `retry`).
+   */
+  toTestRuns() {
+    let finished = this.running ? this.attempts - 1 : this.attempts;
+    return Array.from({ length: finished }, (_, i) => {
+      let attempt = i + 1;
+      let failed = !this.fresh && attempt <= Math.max(1, options["fail-times"]);
+      return { id: this.id * 100 + attempt, name: "Integration tests", state: "Completed", totalTests: 2, passedTests: failed ? 1 : 2 };
+    });
+  }
+
+  toTestResults(runId) {
+    let run = this.toTestRuns().find(run => run.id === runId);
+    let failed = run != null && run.passedTests < run.totalTests;
+    return { count: failed ? 1 : 0, value: failed ? [{ automatedTestName: "FeedTests.RestoresPackages", outcome: "Failed" }] : [] };
+  }
+
+  toResource() {
+    let failed = this.rejected || this.stages.some(stage => stage.result === "failed");
+    return {
+      id: this.id,
+      buildNumber: `20240101.${this.id}`,
+      definition: { id: 1, name: "mock-pipeline" },
+      reason: "pullRequest",
+      sourceBranch: "refs/pull/1/merge",
+      parameters: this.parameters,
+      templateParameters: this.templateParameters,
+      requestedFor: MOCK_USER,
+      status: this.running ? "inProgress" : "completed",
+      result: this.running ? null : (failed ? "failed" : "succeeded"),
+    };
+  }
+
+  /**
+   * Each stage has a single phase with a single job with a single task, which share the stage's state and result.
+   * The failed tasks report `--failure-message` as an error issue and in their log (log id = stage index).
+   * A stage with an approval also has a checkpoint, which holds the stage back while pending and fails it when rejected.
+   */
+  toTimeline() {
+    return {
+      records: this.stages.flatMap((stage, index) => {
+        let state = this.running && (stage.rerun || stage.approval) ? "inProgress" : "completed";
+        let result = this.running && (stage.rerun || stage.approval) ? null : stage.result;
+        let issues = result === "failed" ? [{ type: "error", message: options["failure-message"] }] : [];
+        let jobState = state;
+        let jobResult = result;
+        let checkpoint = [];
+        if (stage.approval) {
+          let approvalState = this.waiting ? "inProgress" : "completed";
+          let approvalResult = this.waiting ? null : (this.rejected ? "failed" : "succeeded");
+          checkpoint = [
+            { id: `checkpoint-${index}`, parentId: `stage-${index}`, type: "Checkpoint", name: "Checkpoint", state: approvalState, result: approvalResult },
+            { id: `approval-${index}`, parentId: `checkpoint-${index}`, type: "Checkpoint.Approval", name: "Approval", state: approvalState, result: approvalResult },
+          ];
+          if (this.waiting || this.rejected) {
+            // The jobs don't run before the approval, and never after a rejection.
+            jobState = this.waiting ? "pending" : "completed";
+            jobResult = this.waiting ? null : "skipped";
+            result = this.waiting ? null : "failed";
+            issues = [];
+          }
+        }
+        return [
+          { id: `stage-${index}`, parentId: null, type: "Stage", identifier: stage.identifier, name: stage.name, state, result },
+          ...checkpoint,
+          { id: `phase-${index}`, parentId: `stage-${index}`, type: "Phase", name: `${stage.name} phase`, state: jobState, result: jobResult },
+          { id: `job-${index}`, parentId: `phase-${index}`, type: "Job", name: `${stage.name} job`, state: jobState, result: jobResult, issues: [] },
+          { id: `task-${index}`, parentId: `job-${index}`, type: "Task", name: `Run ${stage.name}`, state: jobState, result: jobResult, issues, log: { id: index } },
+        ];
+      }),
+    };
+  }
+
+  toLog(logId) {
+    let stage = this.stages[logId];
+    let lines = ["Starting: task", `Running ${stage.name}...`];
+    if (stage.result === "failed") {
+      lines.push(`##[error]${options["failure-message"]}`);
+    }
+    lines.push("Finishing: task");
+    return { count: lines.length, value: lines };
+  }
+}
+
+// The signed-in user, who queued every build.
+const MOCK_USER = { id: "00000000-0000-0000-0000-000000000001", displayName: "Mock User" };
+
+const builds = new Map();
+
+// The payloads posted to the webhook endpoint, and how many deliveries were failed on purpose so far.
+const webhookPayloads = [];
+let failedWebhookDeliveries = 0;
+
+function getBuild(id) {
+  if (!builds.has(id)) {
+    builds.set(id, new MockBuild(id));
+  }
+  return builds.get(id);
+}
+
+/**
+ * The build results page. Its script polls the REST API and renders the same elements the
+ * extension scrapes: `svg.bolt-status`, `button > span` "Rerun failed jobs" and a "Yes" confirmation dialog.
+ * The rerun button carries an aria label and the confirmation dialog a primary button, like ADO's.
+ */
+function renderResultsPage(org, project, buildId) {
+  let labels = UI_LABELS[options["ui-language"]];
+  return `<!DOCTYPE html>
+<html lang="${options["ui-language"]}">
+<head>
+  <title>Mock build ${buildId}</title>
+  <link rel="icon" href="data:,">
+  <style>
+    .bolt-status { width: 16px; height: 16px; }
+    .success { fill: green; } .failed { fill: red; } .active { fill: blue; } .waiting { fill: orange; } .neutral { fill: gray; }
+    #dialog[hidden], #rerun[hidden] { display: none; }
+  </style>
+</head>
+<body>
+  <a href="/${org}/${project}/_build?definitionId=1">mock-pipeline</a>
+  <h1 role="heading">Mock build ${buildId}</h1>
+  <svg class="bolt-status" viewBox="0 0 16 16"><circle cx="8" cy="8" r="8"></circle></svg>
+  <button id="rerun" aria-label="${labels.rerun}" hidden><span>${labels.rerun}</span></button>
+  <ul class="run-issues-list"></ul>
+  <div id="dialog" role="dialog" hidden>
+    <p>${labels.confirmQuestion}</p>
+    <button id="cancel"><span>${labels.cancel}</span></button>
+    <button id="confirm" class="primary"><span>${labels.confirm}</span></button>
+  </div>
+  <script>
+    const api = "/${org}/${project}/_apis/build/builds/${buildId}";
+    async function render() {
+      let build = await (await fetch(api)).json();
+      let timeline = await (await fetch(api + "/timeline")).json();
+      let waiting = timeline.records.some(record => record.type.startsWith("Checkpoint") && record.state === "inProgress");
+      let status = build.status !== "completed" ? (waiting ? "waiting" : "active") : (build.result === "succeeded" ? "success" : "failed");
+      document.querySelector(".bolt-status").setAttribute("class", "bolt-status " + status);
+      document.getElementById("rerun").hidden = status !== "failed";
+      let messages = timeline.records.flatMap(record => record.issues ?? []).map(issue => issue.message);
+      document.querySelector(".run-issues-list").innerHTML = "";
+      for (const message of status === "failed" ? messages : []) {
+        let item = document.createElement("li");
+        item.className = "issue-message";
+        item.textContent = message;
+        document.querySelector(".run-issues-list").appendChild(item);
+      }
+    }
+    document.getElementById("rerun").addEventListener("click", () => document.getElementById("dialog").hidden = false);
+    document.getElementById("cancel").addEventListener("click", () => document.getElementById("dialog").hidden = true);
+    document.getElementById("confirm").addEventListener("click", async () => {
+      document.getElementById("dialog").hidden = true;
+      await fetch(api + "?retry=true", { method: "PATCH" });
+      render();
+    });
+    render();
+    setInterval(render, 2000);
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Send a response, allowing credentialed cross-origin requests so the extension can
+ * point a real ADO page at this server.
+ */
+function send(req, res, statusCode, body, contentType = "application/json") {
+  res.writeHead(statusCode, {
+    "Content-Type": contentType,
+    "Access-Control-Allow-Origin": req.headers.origin ?? "*",
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Allow-Methods": "GET, PATCH, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Accept, Content-Type, X-TFS-FedAuthRedirect",
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+
+  let url = new URL(req.url, `http://${req.headers.host}`);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (req.method === "OPTIONS") {
+    return send(req, res, 204, "");
+  }
+
+  let match = null;
+
+  if ((match = url.pathname.match(/^\/([^/]+)\/([^/]+)\/_build\/results$/)) && req.method === "GET") {
+    let buildId = parseInt(url.searchParams.get("buildId")) || 1;
+    return send(req, res, 200, renderResultsPage(match[1], match[2], buildId), "text/html");
+  }
+
+  if (url.pathname === "/webhook" && req.method === "GET") {
+    return send(req, res, 200, webhookPayloads);
+  }
+
+  if (url.pathname === "/webhook" && req.method === "POST") {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      if (failedWebhookDeliveries < options["webhook-failures"]) {
+        failedWebhookDeliveries++;
+        console.log(`Failing webhook delivery ${failedWebhookDeliveries}/${options["webhook-failures"]} on purpose.`);
+        return send(req, res, 503, { message: "Service unavailable." });
+      }
+      try {
+        webhookPayloads.push(JSON.parse(body));
+      } catch (e) {
+        return send(req, res, 400, { message: `Invalid JSON: ${e.message}` });
+      }
+      console.log(`Webhook payload: ${body}`);
+      send(req, res, 200, { ok: true });
+    });
+    return;
+  }
+
+  if (url.pathname.match(/^\/[^/]+\/_apis\/connectionData$/) && req.method === "GET") {
+    return send(req, res, 200, { authenticatedUser: MOCK_USER });
+  }
+
+  if (url.pathname.match(/\/_apis\/build\/builds$/) && req.method === "POST") {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      let request = null;
+      try {
+        request = JSON.parse(body);
+      } catch (e) {
+        return send(req, res, 400, { message: `Invalid JSON: ${e.message}` });
+      }
+      let id = Math.max(0, ...builds.keys()) + 1;
+      builds.set(id, new MockBuild(id, request));
+      console.log(`Queued build ${id}: ${body}`);
+      send(req, res, 200, builds.get(id).toResource());
+    });
+    return;
+  }
+
+  if ((match = url.pathname.match(/\/_apis\/build\/builds\/(\d+)$/))) {
+    let build = getBuild(parseInt(match[1]));
+    if (req.method === "PATCH" && url.searchParams.get("retry") === "true") {
+      build.retry();
+    } else if (req.method !== "GET") {
+      return send(req, res, 405, { message: "Method not allowed." });
+    }
+    return send(req, res, 200, build.toResource());
+  }
+
+  if (url.pathname.match(/\/_apis\/test\/runs$/) && req.method === "GET") {
+    let buildId = parseInt(url.searchParams.get("buildUri")?.split("/").pop());
+    return send(req, res, 200, builds.has(buildId) ? { value: getBuild(buildId).toTestRuns() } : { value: [] });
+  }
+
+  if ((match = url.pathname.match(/\/_apis\/test\/runs\/(\d+)\/results$/)) && req.method === "GET") {
+    let runId = parseInt(match[1]);
+    let build = builds.get(Math.floor(runId / 100));
+    return build == null ? send(req, res, 404, { message: "Test run not found." }) : send(req, res, 200, build.toTestResults(runId));
+  }
+
+  if ((match = url.pathname.match(/\/_apis\/build\/builds\/(\d+)\/timeline$/)) && req.method === "GET") {
+    return send(req, res, 200, getBuild(parseInt(match[1])).toTimeline());
+  }
+
+  if ((match = url.pathname.match(/\/_apis\/build\/builds\/(\d+)\/logs\/(\d+)$/)) && req.method === "GET") {
+    let build = getBuild(parseInt(match[1]));
+    let logId = parseInt(match[2]);
+    if (logId >= build.stages.length) {
+      return send(req, res, 404, { message: "Log not found." });
+    }
+    return send(req, res, 200, build.toLog(logId));
+  }
+
+  if ((match = url.pathname.match(/\/_apis\/build\/builds\/(\d+)\/stages\/([^/]+)$/)) && req.method === "PATCH") {
+    let build = getBuild(parseInt(match[1]));
+    if (!build.stages.some(stage => stage.identifier === decodeURIComponent(match[2]))) {
+      return send(req, res, 404, { message: "Stage not found." });
+    }
+    // Rerunning any failed stage reruns them all here, which is close enough for a mock.
+    if (!build.running) {
+      build.retry();
+    }
+    return send(req, res, 204, "");
+  }
+
+  send(req, res, 404, { message: "Not found." });
+});
+
+server.listen(options.port, () => {
+  console.log(`Mock ADO server listening on http://localhost:${options.port}/org/project/_build/results?buildId=1`);
+});